@@ -2,25 +2,73 @@
  * @fileoverview Controlador principal: orquesta servicios y UI del chat.
  */
 
-import { ConfigService, ChatService, ApiService } from './services/index.js';
-// BYOK: Tier system commented out (not needed when users bring their own API key)
-// import { TierService } from './services/index.js';
-// import { getUsedToday, incrementUsedToday } from './services/UsageTracker.js';
+import { ConfigService, ChatService, ConversationStore, ApiService, DocumentService, SrdService, SceneContextService, EncounterService, StatBlockService, ExportService, CommandService, JournalService, ToolService, RollService, ShareService, RoleService, TierService, ContextService, UsageService, incrementUsedToday } from './services/index.js';
 import { ChatPanel } from './ui/ChatPanel.js';
+import { createBuiltinCommands } from './commands/builtinCommands.js';
+import { getProvider, listProviders, describeModel } from './providers/index.js';
 import { VaultIntegrationService } from './services/VaultIntegrationService.js';
+import { DEFAULT_MAX_RETRIES } from './utils/request.js';
+
+/** Reply budget for stat block JSON (legendary creatures run long). */
+const STAT_BLOCK_MAX_TOKENS = 1800;
 
 export class AppController {
   constructor() {
     this.configService = new ConfigService();
-    // this.tierService = new TierService(this.configService); // BYOK: Commented out
+    this.roleService = new RoleService();
+    this.tierService = new TierService(this.configService);
+    this.usageService = new UsageService(this.configService);
     this.chatService = new ChatService();
+    this.contextService = new ContextService(this.configService, this.chatService);
     this.apiService = new ApiService(this.configService);
-    this.vaultService = new VaultIntegrationService();
+    this.vaultService = new VaultIntegrationService(this.configService, this.roleService);
+    this.documentService = new DocumentService(this.configService);
+    this.srdService = new SrdService();
+    this.sceneService = new SceneContextService();
+    this.encounterService = new EncounterService(this.srdService);
+    this.statBlockService = new StatBlockService(this.srdService);
+    this.exportService = new ExportService();
+    this.toolService = new ToolService();
+    this.commandService = new CommandService(this.roleService);
+    this.rollService = new RollService(this.configService);
+    this.shareService = new ShareService(this.roleService);
+    this.journalService = new JournalService(this.roleService);
+    this._unreadShared = 0;
     this.chatPanel = new ChatPanel(document.getElementById('app'));
     this._loadingEl = null;
+    this._abortController = null;
+    this._tierInfo = null;
+    /** Models listed by each provider (/v1/models), by "providerId|endpoint" */
+    this._modelLists = {};
+    /** Budget period ("day:2026-10-19", "month:2026-10") already warned about */
+    this._budgetWarned = null;
   }
 
   async init(OBR) {
+    // The role decides what is shown (share actions, GM-only tools), so it goes first
+    await this.roleService.init(OBR);
+    this._applyRole();
+    // Settings the GM shared with the room sit under this user's own settings
+    await this.configService.init(OBR);
+    this.configService.onRoomSettingsChange(() => this._onRoomSettingsChanged());
+    this.roleService.onChange(() => {
+      this._applyRole();
+      this._renderActiveThread();
+      this._loadSettingsIntoUI();
+      this.vaultService.invalidateCache();
+    });
+
+    await this.shareService.init(OBR);
+    this.shareService.setOnMessage((message) => this._onSharedMessage(message));
+    await this.journalService.init(OBR);
+
+    // Restore saved conversations for this room before anything else is shown
+    this.chatService.setOnPersistError(({ unsaved, total }) => this.chatPanel.showNotice(unsaved === total
+      ? 'The browser storage is full, so this conversation is no longer being saved. Export it or delete old conversations.'
+      : `The browser storage is full: ${unsaved === 1 ? 'your oldest conversation is' : `your ${unsaved} oldest conversations are`} no longer saved and will be gone after a reload. Export or delete old conversations.`, true));
+    this.chatService.useStore(new ConversationStore(OBR?.room?.id));
+    this._renderActiveThread();
+
     // Initialize vault integration with OBR
     if (OBR) {
       this.vaultService.setOnVaultUpdated(() => {
@@ -30,16 +78,52 @@ export class AppController {
         }
       });
       await this.vaultService.init(OBR);
+      await this.rollService.init(OBR);
+      this.sceneService.init(OBR);
+      this.encounterService.init(OBR);
     }
 
-    // await this._refreshTier(); // BYOK: Commented out
+    // Tools the model can call; rolls show up in the chat above the answer
+    this.toolService.register(this.rollService.getTool());
+    this.rollService.setOnRoll((roll) => this.chatPanel.appendRoll(roll, this._loadingEl));
+    this.chatPanel.setOnEncounterToScene((encounter, btn) => this._addEncounterToScene(encounter, btn));
+    this._registerCommands();
+
     this._bindEvents();
     this._loadSettingsIntoUI();
     this._updateVaultStatus();
+    this._syncDocuments();
+    if (this.configService.isKeyLocked()) {
+      this.chatPanel.showNotice('Your saved API keys are locked. Enter your passphrase in Settings to unlock them.', false);
+    } else if (this.configService.hasMigratedKeys()) {
+      // Ask right away: the plain-text copy stays in storage until a mode is chosen and saved
+      document.getElementById('btn-settings')?.click();
+      this.chatPanel.showNotice('Your API keys are saved as plain text in this browser. Choose Encrypted or Session under Keep API keys and press Save: the plain-text copy is deleted once they are saved that way.', false);
+    }
+    // Hosted mode: tier badge and daily limits (does not block the chat if the server is slow)
+    this._refreshTier();
+  }
+
+  /** Shows or hides GM-only UI for the current role and the GM's player policy. */
+  _applyRole() {
+    const isGM = this.roleService.isGM();
+    document.documentElement.setAttribute('data-gm-ia-role', isGM ? 'gm' : 'player');
+    document.querySelectorAll('.gm-only').forEach(el => el.classList.toggle('hidden', !isGM));
+    if (!isGM) document.getElementById('encounter-panel')?.classList.add('hidden');
+    this.chatPanel.setOnShare(isGM ? (content, btn) => this._shareWithParty(content, btn) : null);
+    this.chatPanel.setOnSaveToVault(isGM ? (content, btn) => this._saveToVault(this.exportService.messageToPage(content), btn) : null);
+
+    const useScene = document.getElementById('use-scene');
+    if (useScene) useScene.disabled = !this.roleService.can('allowScene');
+    const documentUrls = document.getElementById('document-urls');
+    if (documentUrls) documentUrls.disabled = !this.roleService.can('allowDocuments');
+    const playerNote = document.getElementById('player-mode-note');
+    if (playerNote) playerNote.classList.toggle('hidden', isGM);
   }
 
   _bindEvents() {
     const sendBtn = document.getElementById('btn-send');
+    const stopBtn = document.getElementById('btn-stop');
     const input = document.getElementById('chat-input');
     const btnSettings = document.getElementById('btn-settings');
     const btnSettingsClose = document.getElementById('btn-settings-close');
@@ -49,17 +133,61 @@ export class AppController {
 
     const send = () => this._sendMessage();
     sendBtn?.addEventListener('click', send);
+    stopBtn?.addEventListener('click', () => this._stopGenerating());
     input?.addEventListener('keydown', (e) => {
+      // Command autocomplete: arrows move, Tab or Enter complete the name, Esc closes the list
+      const selected = this.chatPanel.getSelectedCommand();
+      if (selected) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          this.chatPanel.moveCommandSelection(e.key === 'ArrowDown' ? 1 : -1);
+          return;
+        }
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          this.chatPanel.hideCommandSuggestions();
+          return;
+        }
+        const typed = this.chatPanel.getInputValue().toLowerCase();
+        if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && typed !== `/${selected.name}`)) {
+          e.preventDefault();
+          this._completeCommand(selected);
+          return;
+        }
+      }
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         send();
       }
     });
-    input?.addEventListener('input', () => this.chatPanel.hideNotice());
+    input?.addEventListener('input', () => {
+      this.chatPanel.hideNotice();
+      this.chatPanel.showCommandSuggestions(this.commandService.suggest(input.value));
+    });
+    input?.addEventListener('blur', () => this.chatPanel.hideCommandSuggestions());
+    this.chatPanel.setOnCommandPick((command) => this._completeCommand(command));
+
+    document.getElementById('ai-provider')?.addEventListener('change', (e) => {
+      this._showProviderFields(e.target.value, true);
+      this._refreshModelOptions();
+    });
+    document.getElementById('ai-base-url')?.addEventListener('change', () => this._refreshModelOptions());
+    document.getElementById('chat-mode')?.addEventListener('change', (e) => {
+      this._showModeFields(e.target.value);
+      this._refreshModelOptions();
+    });
+    window.addEventListener('offline', () => {
+      this.chatPanel.showNotice('You are offline. Questions wait and are sent when the connection is back.', false);
+    });
+    window.addEventListener('online', () => this.chatPanel.showNotice('Back online.', false));
+    document.getElementById('key-storage')?.addEventListener('change', () => this._updateKeyStorageStatus());
+    document.getElementById('btn-key-unlock')?.addEventListener('click', () => this._unlockKeys());
+    document.getElementById('btn-key-forget')?.addEventListener('click', () => this._forgetApiKey());
 
     btnSettings?.addEventListener('click', async () => {
       this.chatPanel.hideNotice();
       settingsPanel?.classList.remove('hidden');
+      this._refreshModelOptions();
       // Request fresh vault data when opening settings
       await this._updateVaultStatus();
     });
@@ -68,56 +196,597 @@ export class AppController {
       settingsPanel?.classList.add('hidden');
     });
 
-    btnSettingsSave?.addEventListener('click', () => {
+    btnSettingsSave?.addEventListener('click', async () => {
       this._saveSettingsFromUI();
-      settingsPanel?.classList.add('hidden');
-      // this.tierService.invalidateCache(); // BYOK: Commented out
-      // this._refreshTier(); // BYOK: Commented out
+      const saved = await this._saveKeySettingsFromUI();
+      this._syncDocuments();
+      this.tierService.invalidateCache();
+      this._refreshTier();
+      // A wrong passphrase keeps the panel open with the reason under the key storage field
+      if (saved.ok) settingsPanel?.classList.add('hidden');
+    });
+
+    const usagePanel = document.getElementById('usage-panel');
+    document.getElementById('btn-usage')?.addEventListener('click', () => {
+      this.chatPanel.hideNotice();
+      this._loadBudgetIntoUI();
+      this._renderUsage();
+      usagePanel?.classList.remove('hidden');
+    });
+    document.getElementById('btn-usage-close')?.addEventListener('click', () => {
+      usagePanel?.classList.add('hidden');
+    });
+    document.getElementById('btn-budget-save')?.addEventListener('click', () => {
+      this.configService.setBudgetCap(document.getElementById('budget-cap')?.value);
+      this.configService.setBudgetPeriod(document.getElementById('budget-period')?.value);
+      this._budgetWarned = null;
+      this._loadBudgetIntoUI();
+      this._renderUsage();
+    });
+
+    const threadsPanel = document.getElementById('threads-panel');
+    document.getElementById('btn-threads')?.addEventListener('click', () => {
+      this.chatPanel.hideNotice();
+      this._renderThreadList();
+      threadsPanel?.classList.remove('hidden');
+    });
+    document.getElementById('btn-threads-close')?.addEventListener('click', () => {
+      threadsPanel?.classList.add('hidden');
+    });
+    document.getElementById('btn-thread-new')?.addEventListener('click', () => {
+      if (this._isBusy()) return;
+      this.chatService.createThread();
+      this._renderActiveThread();
+      threadsPanel?.classList.add('hidden');
+    });
+    document.getElementById('thread-list')?.addEventListener('click', (e) => {
+      const btn = e.target?.closest('[data-action]');
+      if (!btn) return;
+      this._onThreadAction(btn.getAttribute('data-action'), btn.getAttribute('data-thread-id'), btn);
+    });
+
+    const feedPanel = document.getElementById('feed-panel');
+    document.getElementById('btn-feed')?.addEventListener('click', () => {
+      this.chatPanel.hideNotice();
+      this._unreadShared = 0;
+      this.chatPanel.setFeedBadge(0);
+      this.chatPanel.renderFeed(this.shareService.getFeed());
+      feedPanel?.classList.remove('hidden');
+    });
+    document.getElementById('btn-feed-close')?.addEventListener('click', () => {
+      feedPanel?.classList.add('hidden');
     });
 
+    const encounterPanel = document.getElementById('encounter-panel');
+    document.getElementById('btn-encounter')?.addEventListener('click', () => {
+      this.chatPanel.hideNotice();
+      encounterPanel?.classList.remove('hidden');
+    });
+    document.getElementById('btn-encounter-close')?.addEventListener('click', () => {
+      encounterPanel?.classList.add('hidden');
+    });
+    document.getElementById('btn-encounter-build')?.addEventListener('click', () => this._buildEncounter());
+    document.getElementById('btn-statblock')?.addEventListener('click', () => this._requestStatBlock());
+
     useVaultCheckbox?.addEventListener('change', () => {
       this._updateVaultStatus();
     });
 
-    // BYOK: Patreon listener commented out (no tier system)
-    // this.chatPanel.limitsEl?.addEventListener('click', (e) => {
-    //   if (e.target?.getAttribute('data-action') === 'patreon') {
-    //     e.preventDefault();
-    //     window.open('https://www.patreon.com/', '_blank');
-    //   }
-    // });
+    document.getElementById('btn-patreon')?.addEventListener('click', () => this._togglePatreon());
+
+    document.getElementById('btn-room-publish')?.addEventListener('click', () => this._publishRoomSettings());
+    document.getElementById('btn-room-reset')?.addEventListener('click', () => {
+      this.configService.clearOverrides();
+      this._loadSettingsIntoUI();
+      this._syncDocuments();
+    });
+    const importFile = document.getElementById('config-import-file');
+    document.getElementById('btn-config-export')?.addEventListener('click', () => this._exportSettings());
+    document.getElementById('btn-config-import')?.addEventListener('click', () => importFile?.click());
+    importFile?.addEventListener('change', () => {
+      this._importSettings(importFile.files?.[0]);
+      importFile.value = '';
+    });
+
+    this.chatPanel.limitsEl?.addEventListener('click', (e) => {
+      if (e.target?.getAttribute('data-action') === 'patreon') {
+        e.preventDefault();
+        // Already logged in without a premium pledge: send them to Patreon to pledge
+        if (this.configService.getPatreonToken()) window.open('https://www.patreon.com/', '_blank');
+        else this._togglePatreon();
+      }
+    });
+  }
+
+  /** True while an answer is being generated; thread changes are blocked meanwhile. */
+  _isBusy() {
+    if (!this._abortController) return false;
+    this.chatPanel.showNotice('Wait for the current answer (or press Stop) before switching conversations.', false);
+    return true;
+  }
+
+  _renderActiveThread() {
+    this.chatPanel.renderHistory(this.chatService.getMessages());
+    this.chatPanel.setThreadTitle(this.chatService.getActiveThreadTitle());
+  }
+
+  _renderThreadList() {
+    this.chatPanel.renderThreads(this.chatService.listThreads(), this.chatService.getActiveThreadId());
+  }
+
+  _onThreadAction(action, threadId, btn) {
+    if (!threadId) return;
+    if (action === 'open') {
+      if (this._isBusy()) return;
+      this.chatService.switchThread(threadId);
+      this._renderActiveThread();
+      document.getElementById('threads-panel')?.classList.add('hidden');
+    } else if (action === 'rename') {
+      this.chatPanel.startRenameThread(threadId, (title) => {
+        this.chatService.renameThread(threadId, title);
+        this.chatPanel.setThreadTitle(this.chatService.getActiveThreadTitle());
+        this._renderThreadList();
+      });
+    } else if (action === 'export') {
+      this.chatPanel.toggleThreadExport(threadId, this.roleService.isGM());
+    } else if (action.startsWith('export-')) {
+      const thread = this.chatService.getThread(threadId);
+      if (thread) this.exportService.download(thread, action.slice('export-'.length));
+    } else if (action === 'vault') {
+      const thread = this.chatService.getThread(threadId);
+      if (thread) this._saveToVault(this.exportService.threadToPage(thread), btn);
+    } else if (action === 'delete') {
+      if (this._isBusy() || !this.chatPanel.confirmThreadDelete(btn)) return;
+      this.chatService.deleteThread(threadId);
+      this._renderActiveThread();
+      this._renderThreadList();
+    }
+  }
+
+  /**
+   * Saves an answer or a whole conversation as a new GM Vault page (GM only).
+   * @param {{ title: string, content: string }} page
+   * @param {HTMLButtonElement} [btn]
+   */
+  async _saveToVault(page, btn) {
+    if (btn) btn.disabled = true;
+    const { ok, error } = await this.vaultService.savePage(page);
+    if (btn) btn.disabled = false;
+    if (!ok) {
+      this.chatPanel.showNotice(error, true);
+      return;
+    }
+    if (btn) btn.textContent = 'Saved ✓';
+    this.chatPanel.showNotice(`Saved "${page.title}" to GM Vault.`, false);
+    this._updateVaultStatus();
   }
 
   _loadSettingsIntoUI() {
-    const openaiApiKey = document.getElementById('openai-api-key');
+    const chatMode = document.getElementById('chat-mode');
+    const aiProvider = document.getElementById('ai-provider');
+    const aiBaseUrl = document.getElementById('ai-base-url');
     const apiBase = document.getElementById('api-base-url');
-    const patreon = document.getElementById('patreon-token');
     const documentUrls = document.getElementById('document-urls');
     const aiModel = document.getElementById('ai-model');
     const useVault = document.getElementById('use-vault');
+    const useJournal = document.getElementById('use-journal');
+    const useScene = document.getElementById('use-scene');
+    const announceRolls = document.getElementById('announce-rolls');
+    const requestTimeout = document.getElementById('request-timeout');
+    const persona = document.getElementById('persona');
+    const allowedModels = document.getElementById('room-allowed-models');
+    const keyStorage = document.getElementById('key-storage');
+    const policy = this.roleService.getPolicy();
     
-    if (openaiApiKey) openaiApiKey.value = this.configService.getOpenAiApiKey();
+    document.querySelectorAll('[data-player-policy]').forEach(input => {
+      input.checked = policy[input.getAttribute('data-player-policy')] === true;
+    });
+    if (chatMode) chatMode.value = this.configService.getChatMode();
+    this._showModeFields(this.configService.getChatMode());
+    if (aiProvider) {
+      aiProvider.innerHTML = '';
+      listProviders().forEach(({ id, label }) => aiProvider.add(new Option(label, id)));
+      aiProvider.value = this.configService.getLlmProvider().id;
+    }
+    if (keyStorage) keyStorage.value = this.configService.getKeyStorageMode();
+    this._showProviderFields(this.configService.getLlmProvider().id, false);
+    if (aiBaseUrl) aiBaseUrl.value = this.configService.getLlmBaseUrl();
     if (apiBase) apiBase.value = this.configService.getApiBaseUrl();
-    if (patreon) patreon.value = this.configService.getPatreonToken();
+    this._updatePatreonStatus();
     if (documentUrls) documentUrls.value = this.configService.getDocumentUrls();
     if (aiModel) aiModel.value = this.configService.getAiModel();
     if (useVault) useVault.checked = this.configService.getUseVault();
+    if (useJournal) useJournal.checked = this.configService.getUseJournal();
+    if (useScene) useScene.checked = this.configService.getUseScene();
+    if (announceRolls) announceRolls.checked = this.configService.getAnnounceRolls();
+    if (requestTimeout) requestTimeout.value = this.configService.getRequestTimeout();
+    if (persona) persona.value = this.configService.getPersona();
+    if (allowedModels) allowedModels.value = this.configService.getAllowedModels().join(', ');
+    this._updateRoomSettingsStatus();
+  }
+
+  /** Who set the room settings and whether this user's own values override them. */
+  _updateRoomSettingsStatus() {
+    const statusEl = document.getElementById('room-settings-status');
+    const room = this.configService.getRoomSettings();
+    const published = room.updatedAt !== undefined;
+    document.getElementById('btn-room-reset')?.classList.toggle('hidden', !published || !this.configService.hasRoomOverrides());
+    if (!statusEl) return;
+    if (!published) {
+      statusEl.textContent = this.roleService.isGM()
+        ? 'Share your document URLs, persona, model and context choices so every GM and player in this room starts from them.'
+        : 'The GM has not shared settings for this room.';
+      return;
+    }
+    const date = new Date(room.updatedAt).toLocaleString();
+    statusEl.textContent = this.configService.hasRoomOverrides()
+      ? `Shared by the GM on ${date}. Some of your own settings replace the room's.`
+      : `Shared by the GM on ${date}. You are using the room's settings.`;
+  }
+
+  /** The GM published new room settings: apply them unless the settings form is being edited. */
+  _onRoomSettingsChanged() {
+    const panel = document.getElementById('settings-panel');
+    if (panel && !panel.classList.contains('hidden')) {
+      this._updateRoomSettingsStatus();
+    } else {
+      this._loadSettingsIntoUI();
+    }
+    this._syncDocuments();
+    if (!this.roleService.isGM()) this.chatPanel.showNotice('The GM updated the settings for this room.', false);
+  }
+
+  /** Saves the form, then publishes the shared settings to the room (GM only). */
+  async _publishRoomSettings() {
+    if (!this.roleService.isGM()) return;
+    this._saveSettingsFromUI();
+    const allowedModels = (document.getElementById('room-allowed-models')?.value || '')
+      .split(',').map(m => m.trim()).filter(Boolean);
+    const { ok, error } = await this.configService.publishRoomSettings({
+      ...this.configService.getLayeredSettings(),
+      allowedModels
+    });
+    if (!ok) {
+      this.chatPanel.showNotice(error, true);
+      return;
+    }
+    // The GM's values are now the room's
+    this.configService.clearOverrides();
+    this._loadSettingsIntoUI();
+    this.chatPanel.showNotice('Settings shared with the room.', false);
+  }
+
+  _exportSettings() {
+    const policy = this.roleService.isGM() ? this.roleService.getPolicy() : undefined;
+    this.exportService.downloadFile({
+      filename: `gm-ai-settings-${new Date().toISOString().slice(0, 10)}.json`,
+      mime: 'application/json',
+      content: this.configService.exportConfig(policy)
+    });
+  }
+
+  /** Applies a settings file; the GM also publishes its room settings and player permissions. */
+  async _importSettings(file) {
+    if (!file) return;
+    const { ok, error, room, playerPolicy } = this.configService.importConfig(await file.text());
+    if (!ok) {
+      this.chatPanel.showNotice(error, true);
+      return;
+    }
+    let notice = 'Settings imported.';
+    if (this.roleService.isGM()) {
+      if (room) {
+        const published = await this.configService.publishRoomSettings(room);
+        if (!published.ok) notice = `Settings imported, but the room settings were not shared: ${published.error}`;
+      }
+      if (playerPolicy) await this.roleService.setPolicy(playerPolicy);
+    }
+    this._loadSettingsIntoUI();
+    this._syncDocuments();
+    this.tierService.invalidateCache();
+    this._refreshTier();
+    this.chatPanel.showNotice(notice, false);
+  }
+
+  /** Shows the settings of the selected mode (own provider, or GM AI server + Patreon). */
+  _showModeFields(mode) {
+    const hosted = mode === 'hosted';
+    document.getElementById('byok-settings')?.classList.toggle('hidden', hosted);
+    document.getElementById('hosted-settings')?.classList.toggle('hidden', !hosted);
+  }
+
+  /**
+   * Fills the provider-dependent settings (stored key, hints, model suggestions).
+   * @param {string} providerId
+   * @param {boolean} switched - The user picked another provider: reset endpoint and model
+   */
+  _showProviderFields(providerId, switched) {
+    const provider = getProvider(providerId);
+    const apiKey = document.getElementById('ai-api-key');
+    const keyHint = document.getElementById('ai-key-hint');
+    const aiBaseUrl = document.getElementById('ai-base-url');
+    const aiModel = document.getElementById('ai-model');
+    const modelOptions = document.getElementById('ai-model-options');
+
+    if (apiKey) {
+      // The saved key is never put back in the form, only a masked hint of it
+      const masked = this.configService.getMaskedApiKey(provider.id);
+      apiKey.value = '';
+      apiKey.placeholder = masked
+        ? `Saved: ${masked} (leave empty to keep)`
+        : (provider.keyRequired ? (provider.keyHint || 'API key') : 'Optional');
+    }
+    if (keyHint) {
+      keyHint.textContent = provider.keyRequired ? 'Required. ' : 'Only needed if your server asks for one. ';
+      if (provider.keyUrl) {
+        const link = document.createElement('a');
+        link.href = provider.keyUrl;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = 'Get a key';
+        keyHint.appendChild(link);
+      }
+    }
+    if (aiBaseUrl) {
+      aiBaseUrl.placeholder = provider.defaultBaseUrl || 'http://localhost:8080/v1';
+      if (switched) aiBaseUrl.value = '';
+    }
+    if (modelOptions) {
+      // The room's allowed models, if the GM set any, replace the provider's suggestions
+      const allowed = this.configService.getAllowedModels();
+      this._fillModelOptions(allowed.length > 0 ? allowed : (this._modelLists[this._modelListKey()] || provider.models));
+    }
+    if (aiModel) {
+      aiModel.placeholder = provider.defaultModel || 'Model name';
+      if (switched) aiModel.value = provider.defaultModel;
+    }
+    this._updateKeyStorageStatus();
+  }
+
+  /** Cache key of a provider's model list: provider and endpoint as they are in the form. */
+  _modelListKey() {
+    const providerId = document.getElementById('ai-provider')?.value || this.configService.getLlmProvider().id;
+    const baseUrl = document.getElementById('ai-base-url')?.value.trim() || getProvider(providerId).defaultBaseUrl;
+    return `${providerId}|${baseUrl}`;
+  }
+
+  /** @param {string[]} models - Suggestions for the model field, with what the registry knows of each */
+  _fillModelOptions(models) {
+    const modelOptions = document.getElementById('ai-model-options');
+    if (!modelOptions) return;
+    modelOptions.innerHTML = '';
+    models.forEach(model => {
+      const option = new Option(model, model);
+      option.label = describeModel(model);
+      modelOptions.appendChild(option);
+    });
+  }
+
+  /**
+   * Replaces the model suggestions with the provider's own list (/v1/models) for the provider,
+   * endpoint and key in the form. Kept per provider and endpoint for the session; the room's
+   * allowed models, if any, are left alone.
+   */
+  async _refreshModelOptions() {
+    const statusEl = document.getElementById('ai-model-status');
+    if (document.getElementById('chat-mode')?.value === 'hosted' || this.configService.getAllowedModels().length > 0) return;
+    const key = this._modelListKey();
+    if (this._modelLists[key]) return;
+
+    const [providerId, baseUrl] = key.split('|');
+    const typedKey = document.getElementById('ai-api-key')?.value.trim();
+    if (statusEl) statusEl.textContent = 'Loading the models of this provider…';
+    const { models, error } = await this.apiService.listModels({
+      providerId,
+      baseUrl,
+      apiKey: typedKey || this.configService.getApiKey(providerId)
+    });
+    // The form moved on to another provider or endpoint meanwhile
+    if (key !== this._modelListKey()) return;
+    if (models.length > 0) {
+      this._modelLists[key] = models;
+      this._fillModelOptions(models);
+    }
+    if (statusEl) {
+      statusEl.textContent = models.length > 0
+        ? `${models.length} models available from ${getProvider(providerId).label}.`
+        : (error ? `Could not list the models (${error}). Type the model name.` : '');
+    }
+  }
+
+  /**
+   * Explains the selected key storage and shows the passphrase, Unlock and Forget key controls
+   * that apply to it.
+   * @param {string} [error] - Shown instead of the explanation
+   */
+  _updateKeyStorageStatus(error) {
+    const statusEl = document.getElementById('key-storage-status');
+    const mode = document.getElementById('key-storage')?.value || this.configService.getKeyStorageMode();
+    const providerId = document.getElementById('ai-provider')?.value;
+    const locked = this.configService.isKeyLocked();
+    const encrypted = mode === 'encrypted';
+    const vaultOpen = encrypted && this.configService.getKeyStorageMode() === 'encrypted' && this.configService.hasKeyPassphrase();
+
+    document.getElementById('key-passphrase')?.classList.toggle('hidden', !encrypted);
+    document.getElementById('btn-key-unlock')?.classList.toggle('hidden', !(encrypted && locked));
+    document.getElementById('btn-key-forget')?.classList.toggle('hidden', !locked && !this.configService.getApiKey(providerId));
+    if (!statusEl) return;
+    statusEl.classList.toggle('settings-panel__error', Boolean(error));
+    if (error) {
+      statusEl.textContent = error;
+    } else if (locked) {
+      statusEl.textContent = encrypted
+        ? 'Your keys are encrypted and locked. Enter your passphrase and press Unlock.'
+        : 'Saving deletes your encrypted keys; you will need to enter them again.';
+    } else if (vaultOpen) {
+      statusEl.textContent = 'Encrypted in this browser and unlocked for this session. Type a new passphrase to change it.';
+    } else if (encrypted) {
+      statusEl.textContent = 'Choose a passphrase (at least 8 characters). It is not saved: you will enter it once per session.';
+    } else {
+      statusEl.textContent = this.configService.hasMigratedKeys()
+        ? 'Your keys are still saved as plain text by an older version. Press Save to keep them in memory only (the plain-text copy is deleted), or choose Encrypted.'
+        : 'Keys stay in memory and are forgotten when Owlbear reloads the extension.';
+    }
+  }
+
+  /**
+   * Applies the key storage choice and a newly typed key (the field is left empty to keep the
+   * saved one).
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async _saveKeySettingsFromUI() {
+    const keyStorage = document.getElementById('key-storage');
+    const passphrase = document.getElementById('key-passphrase');
+    const apiKey = document.getElementById('ai-api-key');
+
+    let result = { ok: true };
+    const mode = keyStorage?.value || this.configService.getKeyStorageMode();
+    // Only touch the storage when something changed, so a locked vault does not block other settings
+    if (mode !== this.configService.getKeyStorageMode() || passphrase?.value || this.configService.hasMigratedKeys()) {
+      result = await this.configService.setKeyStorageMode(mode, passphrase?.value || '');
+    }
+    if (result.ok && apiKey?.value.trim()) {
+      result = await this.configService.setApiKey(apiKey.value);
+    }
+    if (result.ok && passphrase) passphrase.value = '';
+    this._showProviderFields(this.configService.getLlmProvider().id, false);
+    if (!result.ok) this._updateKeyStorageStatus(result.error);
+    return result;
+  }
+
+  async _unlockKeys() {
+    const passphrase = document.getElementById('key-passphrase');
+    const { ok, error } = await this.configService.unlockKeys(passphrase?.value || '');
+    if (ok && passphrase) passphrase.value = '';
+    this._showProviderFields(document.getElementById('ai-provider')?.value, false);
+    if (!ok) this._updateKeyStorageStatus(error);
+  }
+
+  /**
+   * Forgets the key of the provider selected in the form, after a second click. While the saved
+   * keys are locked all of them are deleted.
+   */
+  async _forgetApiKey() {
+    const btn = document.getElementById('btn-key-forget');
+    const providerId = document.getElementById('ai-provider')?.value;
+    if (btn && btn.getAttribute('data-confirm') !== 'true') {
+      btn.setAttribute('data-confirm', 'true');
+      btn.textContent = this.configService.isKeyLocked() ? 'Delete all saved keys?' : 'Forget this key?';
+      setTimeout(() => {
+        btn.removeAttribute('data-confirm');
+        btn.textContent = 'Forget key';
+      }, 3000);
+      return;
+    }
+    const { ok, error } = await this.configService.forgetApiKey(providerId);
+    this._showProviderFields(providerId, false);
+    if (!ok) this._updateKeyStorageStatus(error);
   }
 
   _saveSettingsFromUI() {
-    const openaiApiKey = document.getElementById('openai-api-key');
+    const chatMode = document.getElementById('chat-mode');
+    const aiProvider = document.getElementById('ai-provider');
+    const aiBaseUrl = document.getElementById('ai-base-url');
     const apiBase = document.getElementById('api-base-url');
-    const patreon = document.getElementById('patreon-token');
     const documentUrls = document.getElementById('document-urls');
     const aiModel = document.getElementById('ai-model');
     const useVault = document.getElementById('use-vault');
+    const useJournal = document.getElementById('use-journal');
+    const useScene = document.getElementById('use-scene');
+    const announceRolls = document.getElementById('announce-rolls');
+    const requestTimeout = document.getElementById('request-timeout');
+    const persona = document.getElementById('persona');
     
-    if (openaiApiKey) this.configService.setOpenAiApiKey(openaiApiKey.value);
+    if (chatMode) this.configService.setChatMode(chatMode.value);
+    if (aiProvider) this.configService.setLlmProvider(aiProvider.value);
+    if (aiBaseUrl) this.configService.setLlmBaseUrl(aiBaseUrl.value);
     if (apiBase) this.configService.setApiBaseUrl(apiBase.value);
-    if (patreon) this.configService.setPatreonToken(patreon.value);
     if (documentUrls) this.configService.setDocumentUrls(documentUrls.value);
     if (aiModel) this.configService.setAiModel(aiModel.value);
     if (useVault) this.configService.setUseVault(useVault.checked);
+    if (useJournal) this.configService.setUseJournal(useJournal.checked);
+    if (useScene) this.configService.setUseScene(useScene.checked);
+    if (persona) this.configService.setPersona(persona.value);
+    if (this.roleService.isGM()) {
+      const policy = {};
+      document.querySelectorAll('[data-player-policy]').forEach(input => {
+        policy[input.getAttribute('data-player-policy')] = input.checked;
+      });
+      this.roleService.setPolicy(policy);
+    }
+    if (announceRolls) this.configService.setAnnounceRolls(announceRolls.checked);
+    if (requestTimeout) this.configService.setRequestTimeout(requestTimeout.value);
+  }
+
+  /** Connects or disconnects the Patreon session from Settings. */
+  async _togglePatreon() {
+    const btn = document.getElementById('btn-patreon');
+    if (this.configService.getPatreonToken()) {
+      this.tierService.disconnectPatreon();
+      this._updatePatreonStatus();
+      return;
+    }
+    if (btn) btn.disabled = true;
+    const result = await this.tierService.connectPatreon();
+    if (btn) btn.disabled = false;
+    if (!result.ok) {
+      this.chatPanel.showNotice(result.error, true);
+    } else if (!result.premium) {
+      this.chatPanel.showNotice('Logged in with Patreon, but no premium pledge was found for this campaign.', false);
+    }
+    this._updatePatreonStatus();
+  }
+
+  /** Shows whether a Patreon session is stored and which tier it grants. */
+  async _updatePatreonStatus() {
+    const statusEl = document.getElementById('patreon-status');
+    const btn = document.getElementById('btn-patreon');
+    const connected = Boolean(this.configService.getPatreonToken());
+    if (btn) btn.textContent = connected ? 'Disconnect Patreon' : 'Connect Patreon';
+    if (!statusEl) return;
+    if (!connected) {
+      statusEl.textContent = 'Not connected. Patrons get unlimited messages on the hosted backend.';
+      return;
+    }
+    statusEl.textContent = 'Checking membership...';
+    const tier = await this.tierService.getTier();
+    if (!tier.patreon) {
+      statusEl.textContent = 'Connected. Could not reach the backend to check the membership.';
+      return;
+    }
+    if (!tier.patreon.loggedIn) {
+      statusEl.textContent = 'Session expired or not recognized by the backend. Connect again.';
+      return;
+    }
+    const who = tier.patreon.name ? `${tier.patreon.name}: ` : '';
+    statusEl.textContent = tier.tier === 'premium' ? `${who}premium active.` : `${who}no active premium pledge.`;
+  }
+
+  /** Fetches and indexes any new document URLs (in the background) and refreshes their status. */
+  async _syncDocuments() {
+    const statusEl = document.getElementById('document-status');
+    if (statusEl && this.configService.getDocumentUrls()) {
+      statusEl.textContent = '⏳ Loading documents...';
+      statusEl.className = 'document-status';
+    }
+    await this.documentService.sync(this.configService.getDocumentUrls(), { retryFailed: true });
+    this._updateDocumentStatus();
+  }
+
+  _updateDocumentStatus() {
+    const statusEl = document.getElementById('document-status');
+    if (!statusEl) return;
+    const { ready, failed } = this.documentService.getStatus();
+    if (ready === 0 && failed.length === 0) {
+      statusEl.textContent = '';
+      return;
+    }
+    let text = `✓ ${ready} document${ready === 1 ? '' : 's'} indexed`;
+    if (failed.length > 0) {
+      text += ` · ✗ ${failed.length} failed: ${failed.map(f => `${f.url} (${f.error})`).join(', ')}`;
+    }
+    statusEl.textContent = text;
+    statusEl.className = 'document-status' + (failed.length > 0 ? ' error' : '');
   }
 
   async _updateVaultStatus() {
@@ -127,6 +796,16 @@ export class AppController {
     
     if (!statusEl || !containerEl) return;
 
+    if (!this.vaultService.isAllowed()) {
+      statusEl.textContent = 'The GM has not enabled GM Vault context for players.';
+      statusEl.className = 'vault-status unavailable';
+      if (useVaultCheckbox) {
+        useVaultCheckbox.disabled = true;
+        useVaultCheckbox.checked = false;
+      }
+      return;
+    }
+
     // Show loading state
     statusEl.textContent = '⏳ Checking for GM Vault...';
     statusEl.className = 'vault-status unavailable';
@@ -162,57 +841,575 @@ export class AppController {
     }
   }
 
-  // BYOK: _refreshTier method commented out (no tier system)
-  // async _refreshTier() {
-  //   const tierInfo = await this.tierService.getTier();
-  //   const remaining = this.tierService.remainingFreeMessages(tierInfo.usedToday, tierInfo.dailyLimit);
-  //   this.chatPanel.setTierBadge(tierInfo.tier, remaining);
-  //   this.chatPanel.renderLimits(tierInfo.tier, tierInfo.usedToday, tierInfo.dailyLimit);
-  // }
+  /** Tier badge and daily limits in hosted mode; hidden in BYOK mode (no limits). */
+  async _refreshTier() {
+    if (!this.configService.isHostedMode()) {
+      this._tierInfo = null;
+      this.chatPanel.setTierBadge(null);
+      this.chatPanel.renderLimits(null);
+      return;
+    }
+    const tierInfo = await this.tierService.getTier();
+    this._tierInfo = tierInfo;
+    if (tierInfo.offline) {
+      this.chatPanel.setTierBadge('offline');
+      this.chatPanel.renderLimits(null);
+      return;
+    }
+    const remaining = this.tierService.remainingFreeMessages(tierInfo.usedToday, tierInfo.dailyLimit);
+    this.chatPanel.setTierBadge(tierInfo.tier, remaining);
+    this.chatPanel.renderLimits(tierInfo.tier, tierInfo.usedToday, tierInfo.dailyLimit);
+  }
+
+  /**
+   * Why the assistant cannot answer right now (missing setup, daily limit), or null.
+   * @returns {string|null}
+   */
+  _assistantUnavailableReason() {
+    if (this.configService.isHostedMode()) {
+      if (!this.configService.hasValidApiBase()) return 'Set the GM AI server URL in Settings (gear icon).';
+      const tier = this._tierInfo;
+      // Offline: let the request try (and fall back to the user's own key if there is one)
+      if (tier && !tier.offline && !this.tierService.canSendMessage(tier.usedToday, tier.dailyLimit)) {
+        return 'You have used your free messages for today. Connect Patreon in Settings for unlimited messages.';
+      }
+      return null;
+    }
+    if (!this.configService.hasApiKey()) {
+      if (this.configService.isKeyLocked()) return 'Your saved API keys are locked. Unlock them with your passphrase in Settings (gear icon).';
+      return `Please configure ${this.configService.getLlmProvider().label} in Settings (gear icon) to use the assistant.`;
+    }
+    const budget = this.usageService.checkBudget();
+    if (budget.state === 'blocked') return budget.message;
+    return null;
+  }
+
+  /**
+   * Sends a conversation with the user's own key, within the budget cap. The tokens and
+   * estimated cost are recorded and returned in `usage`.
+   * @param {Array<{ role: string, content: string }>} messages
+   * @param {Object} [options] - ApiService.chatDirect() options
+   * @returns {Promise<{ content: string, error?: string, aborted?: boolean, usage?: import('./services/UsageService.js').MessageUsage }>}
+   */
+  async _chatDirect(messages, options = {}) {
+    const budget = this.usageService.checkBudget();
+    if (budget.state === 'blocked') return { content: '', error: budget.message };
+
+    const { model, ...result } = await this.apiService.chatDirect(this.configService.getApiKey(), messages, options);
+    if (!result.usage) return result;
+    const usage = this.usageService.record(model, result.usage);
+    this._warnNearBudget();
+    return { ...result, usage };
+  }
+
+  /** Warns once per budget period when spending gets close to the cap. */
+  _warnNearBudget() {
+    const budget = this.usageService.checkBudget();
+    if (budget.state === 'ok' || budget.state === 'off') return;
+    const today = new Date().toISOString().slice(0, 10);
+    const periodKey = budget.period === 'day' ? `day:${today}` : `month:${today.slice(0, 7)}`;
+    if (this._budgetWarned === `${periodKey}:${budget.state}`) return;
+    this._budgetWarned = `${periodKey}:${budget.state}`;
+    this.chatPanel.showNotice(budget.message, budget.state === 'blocked');
+  }
+
+  _loadBudgetIntoUI() {
+    const cap = document.getElementById('budget-cap');
+    if (cap) cap.value = this.configService.getBudgetCap() || '';
+    const period = document.getElementById('budget-period');
+    if (period) period.value = this.configService.getBudgetPeriod();
+  }
+
+  _renderUsage() {
+    this.chatPanel.renderUsage(this.usageService.getTotals(), this.usageService.checkBudget());
+  }
+
+  /**
+   * Sends a conversation through the selected mode. When the GM AI server cannot be reached
+   * and the user also has their own provider configured, the answer comes from that instead.
+   * @param {Array<{ role: string, content: string }>} messages
+   * @param {Object} options - ApiService.chat()/chatDirect() options
+   * @returns {Promise<{ content: string, error?: string, aborted?: boolean, limitReached?: boolean, usage?: Object }>}
+   *   `usage` for answers from the user's own key
+   */
+  async _requestAnswer(messages, options) {
+    if (!this.configService.isHostedMode()) {
+      return this._chatDirect(messages, options);
+    }
+    const result = await this.apiService.chat(messages, options);
+    if (result.unreachable && !result.content) {
+      this.chatPanel.setTierBadge('offline');
+      if (this.configService.hasApiKey()) {
+        this.chatPanel.showNotice('The GM AI server is unreachable; answering with your own API key.', false);
+        return this._chatDirect(messages, options);
+      }
+      return { ...result, error: 'Could not reach the GM AI server. Check the server URL in Settings, or switch to your own API key.' };
+    }
+    // Follow-ups (options.turn) are not new messages; the server has the real count anyway
+    if (!result.error && !result.aborted && !options.turn) incrementUsedToday();
+    return result;
+  }
+
+  /** After an answer in hosted mode the server's count changed: refresh badge and limits. */
+  _afterHostedAnswer() {
+    if (!this.configService.isHostedMode()) return;
+    this.tierService.invalidateCache();
+    this._refreshTier();
+  }
+
+  /**
+   * Shows the request layer's status (offline queue, retries) under a pending answer.
+   * @param {HTMLElement} el - Loading bubble or card being filled
+   * @returns {(status: import('./utils/request.js').RequestStatus) => void}
+   */
+  _requestStatusHandler(el) {
+    return (status) => {
+      if (status.type === 'offline') {
+        this.chatPanel.setLoadingStatus(el, 'Offline. Waiting for the connection to send this (Stop cancels it)…');
+      } else {
+        const seconds = Math.max(1, Math.round(status.delayMs / 1000));
+        this.chatPanel.setLoadingStatus(el, `${status.reason}. Retrying in ${seconds} s (${status.attempt}/${DEFAULT_MAX_RETRIES})…`);
+      }
+    };
+  }
+
+  /** Aborts the in-flight request; the partial answer is kept. */
+  _stopGenerating() {
+    if (this._abortController) {
+      this._abortController.abort();
+    }
+  }
+
+  /** Slash commands typed in the chat input (/help lists them). */
+  _registerCommands() {
+    const commands = createBuiltinCommands({
+      listCommands: () => this.commandService.list(),
+      roll: (expression, reason) => this.rollService.roll(expression, reason),
+      lookupSrd: (query, kind) => this.lookupSrd(query, kind),
+      requestStatBlock: (request) => this._requestStatBlock(request),
+      recap: () => this._recapSession(),
+      showJournal: () => this.chatPanel.appendLocalMessage('Campaign journal',
+        this.journalService.toMarkdown() || 'No recaps yet. Use /recap at the end of a session to add one.'),
+      removeJournalEntry: async (session) => {
+        const { ok, error } = await this.journalService.removeEntry(session);
+        if (ok) this.chatPanel.showNotice(`Deleted the recap of session ${session}.`, false);
+        return ok || error;
+      },
+      clearConversation: () => this._clearConversation(),
+      searchVault: (query) => this.vaultService.searchPages(query),
+      isVaultAvailable: () => this.vaultService.isVaultAvailable(),
+      showLocal: (label, markdown) => this.chatPanel.appendLocalMessage(label, markdown)
+    });
+    commands.forEach(command => this.commandService.register(command));
+  }
+
+  /**
+   * Puts a suggested command in the input (a second Enter runs it).
+   * @param {import('./services/CommandService.js').Command} command
+   */
+  _completeCommand(command) {
+    this.chatPanel.hideCommandSuggestions();
+    this.chatPanel.setInput(command.usage ? `/${command.name} ` : `/${command.name}`);
+    this.chatPanel.focusInput();
+  }
+
+  /**
+   * /recap: the model recaps the session from this conversation and the answers shared with
+   * the party since it started. The GM's recap is saved to the campaign journal.
+   * @returns {Promise<boolean|string>} An error message if there is nothing to recap
+   */
+  _recapSession() {
+    const thread = this.chatService.getThread(this.chatService.getActiveThreadId());
+    const shared = this.shareService.getFeed().filter(m => m.sharedAt >= (thread?.createdAt || 0));
+    if (this.chatService.isEmpty() && shared.length === 0) {
+      return Promise.resolve('There is nothing to recap in this conversation yet.');
+    }
+    const onAnswer = this.roleService.isGM() ? (content) => this._saveRecap(content) : undefined;
+    return this._ask('/recap', this.journalService.getRecapPrompt(shared), { onAnswer });
+  }
+
+  async _saveRecap(content) {
+    const { ok, session, condensed, dropped, error } = await this.journalService.addEntry(content);
+    if (!ok) {
+      this.chatPanel.showNotice(`The recap was not saved to the campaign journal: ${error}`, true);
+      return;
+    }
+    const made = [
+      condensed > 0 && `${condensed === 1 ? 'an older recap was' : `${condensed} older recaps were`} condensed`,
+      dropped.length > 0 && `${dropped.length === 1 ? 'the oldest recap was' : `the ${dropped.length} oldest recaps were`} removed`
+    ].filter(Boolean).join(' and ');
+    this.chatPanel.showNotice(`Saved as session ${session} in the campaign journal${made ? ` (${made} to make room)` : ''}. The journal is stored in the room, so players can read it.`, false);
+    if (dropped.length > 0) {
+      // Removed recaps are shown whole so the GM can keep them (copy, or save to GM Vault)
+      this.chatPanel.appendLocalMessage('Removed from the campaign journal', dropped
+        .map(e => `### Session ${e.session} · ${new Date(e.createdAt).toLocaleDateString()}\n\n${e.content}`)
+        .join('\n\n'));
+    }
+  }
+
+  /** @returns {boolean} False while an answer is being generated */
+  _clearConversation() {
+    if (this._isBusy()) return false;
+    this.chatService.clear();
+    this._renderActiveThread();
+    return true;
+  }
+
+  /**
+   * Shows SRD entries straight from the local dataset (no model call).
+   * @param {string} query - Entry name, e.g. "fireball" or "bola de fuego"
+   * @param {string} [kind] - Optional restriction: spell | monster | condition | equipment | rule
+   * @returns {boolean} True if at least one entry was found
+   */
+  lookupSrd(query, kind) {
+    const found = this.srdService.lookup(query, kind);
+    // Monster stat blocks are spoilers for players
+    const entries = this.roleService.isGM() ? found : found.filter(e => e.kind !== 'monster');
+    if (found.length > 0 && entries.length === 0) {
+      this.chatPanel.showNotice('Monster stat blocks are only available to the GM.', false);
+      return false;
+    }
+    if (entries.length === 0) {
+      const suggestions = this.srdService.suggest(query, kind);
+      this.chatPanel.showNotice(
+        suggestions.length > 0
+          ? `No exact SRD entry for "${query}". Did you mean: ${suggestions.join(', ')}?`
+          : this.srdService.isComplete(kind)
+            ? `No SRD entry found for "${query}".`
+            : `"${query}" is not in the bundled SRD data, which holds ${this.srdService.describeCoverage(kind)}. Ask the assistant, or check the SRD 5.2 PDF.`,
+        false
+      );
+      return false;
+    }
+    entries.forEach(entry => {
+      this.chatPanel.appendSrdEntry(this.srdService.kindLabel(entry), this.srdService.formatEntry(entry));
+    });
+    return true;
+  }
+
+  /**
+   * Builds an encounter from the Encounter builder panel: the numbers come from
+   * EncounterService, then the model streams flavor and tactics into the card.
+   */
+  async _buildEncounter() {
+    if (!this.roleService.isGM()) return;
+    if (this._abortController) {
+      this.chatPanel.showNotice('Wait for the current answer (or press Stop) first.', false);
+      return;
+    }
+    const value = (id) => document.getElementById(id)?.value || '';
+    const notes = value('encounter-notes').trim();
+    const { encounter, error } = this.encounterService.build({
+      party: value('encounter-party'),
+      difficulty: value('encounter-difficulty'),
+      monsters: value('encounter-monsters')
+    });
+    if (error) {
+      this.chatPanel.showNotice(error, true);
+      return;
+    }
+    document.getElementById('encounter-panel')?.classList.add('hidden');
+
+    const summary = this.encounterService.toMarkdown(encounter);
+    const card = this.chatPanel.appendEncounterCard(encounter);
+
+    const unavailable = this._assistantUnavailableReason();
+    if (unavailable) {
+      this.chatService.addEncounterMessage(encounter, summary);
+      this.chatPanel.showNotice(`Encounter saved without flavor and tactics. ${unavailable}`, false);
+      return;
+    }
+
+    this.chatPanel.setInputDisabled(true);
+    this.chatPanel.setGenerating(true);
+    this._abortController = new AbortController();
+
+    const result = await this._requestAnswer(
+      [{ role: 'user', content: this.encounterService.getFlavorPrompt(encounter, notes) }],
+      {
+        srdContext: this.encounterService.getSrdContext(encounter),
+        signal: this._abortController.signal,
+        onStatus: this._requestStatusHandler(card),
+        onDelta: (delta, content) => this.chatPanel.updateLoadingContent(card, content)
+      }
+    );
+
+    this._abortController = null;
+    this.chatPanel.setLoadingStatus(card, '');
+    this.chatPanel.setGenerating(false);
+    this.chatPanel.setInputDisabled(false);
+
+    if (result.error) {
+      this.chatPanel.showNotice(`Encounter saved without flavor: ${result.error}`, true);
+    } else {
+      this.chatPanel.updateLoadingContent(card, result.content);
+      if (result.aborted && result.content) this.chatPanel.markStopped(card);
+    }
+    this.chatService.addEncounterMessage(encounter, summary, result.error ? '' : result.content);
+    this._afterHostedAnswer();
+  }
+
+  /**
+   * Stat block mode: the request (by default the text in the input box, or /npc) names a creature
+   * or NPC. The model answers with JSON that is validated against the stat block schema (with one
+   * repair round if it is not valid) and shown as a stat block card.
+   * @param {string} [request]
+   * @returns {Promise<boolean>} False if the request could not start
+   */
+  async _requestStatBlock(request = this.chatPanel.getInputValue()) {
+    if (!this.roleService.isGM()) return false;
+    if (this._abortController) {
+      this.chatPanel.showNotice('Wait for the current answer (or press Stop) first.', false);
+      return false;
+    }
+    request = request.trim();
+    if (!request) {
+      this.chatPanel.showNotice('Describe the creature in the message box first, e.g. "orc war chief, CR 4".', false);
+      return false;
+    }
+    const unavailable = this._assistantUnavailableReason();
+    if (unavailable) {
+      this.chatPanel.showNotice(unavailable, true);
+      return false;
+    }
+
+    const label = `Stat block: ${request}`;
+    this.chatService.addUserMessage(label);
+    const questionEl = this.chatPanel.appendMessage('user', label);
+    this.chatPanel.setThreadTitle(this.chatService.getActiveThreadTitle());
+    this.chatPanel.setInput('');
+    this.chatPanel.setInputDisabled(true);
+    this.chatPanel.setGenerating(true);
+    const loadingEl = this.chatPanel.appendLoading();
+    this._abortController = new AbortController();
+
+    const context = this.contextService.build({ srdContext: this.statBlockService.getSrdContext(request) });
+    // The history ends with the short label; the model gets the full instructions instead
+    const messages = [
+      ...context.messages.slice(0, -1),
+      { role: 'user', content: this.statBlockService.getPrompt(request) }
+    ];
+    const options = {
+      srdContext: context.srdContext,
+      json: true,
+      maxTokens: STAT_BLOCK_MAX_TOKENS,
+      role: this.roleService.getRole(),
+      playerPolicy: this.roleService.getPolicy(),
+      signal: this._abortController.signal,
+      onStatus: this._requestStatusHandler(loadingEl)
+    };
+
+    let result = await this._requestAnswer(messages, options);
+    let parsed = result.error || result.aborted ? null : this.statBlockService.parse(result.content);
+    if (parsed && !parsed.statBlock) {
+      // The repair is a follow-up of the same question: the server's turn token keeps it from
+      // counting as another message on the free plan
+      result = await this._requestAnswer([
+        ...messages,
+        { role: 'assistant', content: result.content },
+        { role: 'user', content: this.statBlockService.getRepairPrompt(parsed.errors) }
+      ], { ...options, turn: result.turn });
+      if (!result.error && !result.aborted) parsed = this.statBlockService.parse(result.content);
+    }
+
+    this._abortController = null;
+    this.chatPanel.setGenerating(false);
+    this.chatPanel.setInputDisabled(false);
+
+    if (result.aborted) {
+      // A partial JSON stat block is of no use: the question leaves the history, stays marked on screen
+      loadingEl?.remove();
+      this.chatService.discardLastUserMessage();
+      this.chatPanel.markStopped(questionEl);
+      this.chatPanel.setThreadTitle(this.chatService.getActiveThreadTitle());
+    } else if (result.error || !parsed.statBlock) {
+      const error = result.error || `Could not read a valid stat block: ${parsed.errors.slice(0, 3).join('; ')}.`;
+      this.chatService.addErrorMessage(error);
+      this.chatPanel.replaceLoadingWithMessage(loadingEl, error, true);
+    } else {
+      this.chatService.addStatBlockMessage(parsed.statBlock, this.statBlockService.toMarkdown(parsed.statBlock));
+      this.chatPanel.appendStatBlockCard(parsed.statBlock, loadingEl);
+    }
+    this._afterHostedAnswer();
+    return true;
+  }
+
+  async _shareWithParty(content, btn) {
+    if (btn) btn.disabled = true;
+    const { ok, error } = await this.shareService.share(content);
+    if (ok) {
+      if (btn) btn.textContent = 'Shared ✓';
+      this.chatPanel.showNotice('Shared with the party.', false);
+    } else {
+      if (btn) btn.disabled = false;
+      this.chatPanel.showNotice(error, true);
+    }
+  }
+
+  /** A message shared by the GM arrived: refresh the feed if open, otherwise count it as unread. */
+  _onSharedMessage(message) {
+    const feedPanel = document.getElementById('feed-panel');
+    if (feedPanel && !feedPanel.classList.contains('hidden')) {
+      this.chatPanel.renderFeed(this.shareService.getFeed());
+      return;
+    }
+    this._unreadShared++;
+    this.chatPanel.setFeedBadge(this._unreadShared);
+    this.chatPanel.showNotice(`${message.sharedBy} shared a message with the party (see the party feed).`, false);
+  }
+
+  async _addEncounterToScene(encounter, btn) {
+    if (btn) btn.disabled = true;
+    const { added, error } = await this.encounterService.addToScene(encounter);
+    if (btn) btn.disabled = false;
+    if (error) {
+      this.chatPanel.showNotice(error, true);
+    } else {
+      this.chatPanel.showNotice(`Added ${added} hidden token${added === 1 ? '' : 's'} to the scene.`, false);
+    }
+  }
 
   async _sendMessage() {
     const text = this.chatPanel.getInputValue();
     if (!text) return;
 
     this.chatPanel.hideNotice();
+    this.chatPanel.hideCommandSuggestions();
+
+    // "/command args" runs a registered command; "//" sends text that starts with a slash
+    if (text.startsWith('/') && !text.startsWith('//')) {
+      this.chatPanel.setInput('');
+      const { ok, error } = await this.commandService.run(text);
+      if (error) this.chatPanel.showNotice(error, true);
+      if (!ok && !this.chatPanel.getInputValue()) this.chatPanel.setInput(text);
+      return;
+    }
 
-    // BYOK: Check if user has configured their OpenAI API key
-    if (!this.configService.hasOpenAiApiKey()) {
-      this.chatPanel.showNotice('Please add your OpenAI API key in Settings (gear icon) to use the assistant.', true);
+    // "?name" looks the entry up in the bundled SRD instead of asking the model
+    if (text.startsWith('?')) {
+      if (this.lookupSrd(text.slice(1).trim())) this.chatPanel.setInput('');
       return;
     }
 
+    await this._ask(text.startsWith('//') ? text.slice(1) : text);
+  }
+
+  /**
+   * Asks the assistant: `text` is shown and stored in the conversation, `prompt` (if different)
+   * is what the model gets for this turn, e.g. the instructions behind /recap.
+   * @param {string} text
+   * @param {string} [prompt]
+   * @param {{ onAnswer?: (content: string) => void }} [options] - Called with a complete answer
+   * @returns {Promise<boolean>} False if the question could not be sent
+   */
+  async _ask(text, prompt = text, { onAnswer } = {}) {
+    if (this._abortController) {
+      this.chatPanel.showNotice('Wait for the current answer (or press Stop) first.', false);
+      return false;
+    }
+
+    if (!this.roleService.can('allowChat')) {
+      this.chatPanel.showNotice('The GM has disabled the assistant for players. SRD lookups (?name) still work.', false);
+      return false;
+    }
+
+    // Own provider configured (BYOK), or server URL set and messages left today (hosted)
+    const unavailable = this._assistantUnavailableReason();
+    if (unavailable) {
+      this.chatPanel.showNotice(unavailable, true);
+      return false;
+    }
+
+    const isGM = this.roleService.isGM();
     this.chatService.addUserMessage(text);
     this.chatPanel.appendMessage('user', text);
+    this.chatPanel.setThreadTitle(this.chatService.getActiveThreadTitle());
     this.chatPanel.setInput('');
     this.chatPanel.setInputDisabled(true);
+    this.chatPanel.setGenerating(true);
 
     this._loadingEl = this.chatPanel.appendLoading();
+    this._abortController = new AbortController();
+    const loadingEl = this._loadingEl;
+    const { signal } = this._abortController;
 
-    // Get vault context if enabled
+    // Get vault context if enabled (players only get player-visible pages, if the GM allows it)
     let vaultContext = '';
     if (this.configService.getUseVault() && this.vaultService.isVaultAvailable()) {
-      vaultContext = this.vaultService.getVaultSummary();
+      vaultContext = await this.vaultService.getVaultContext(text, { signal });
     }
 
-    const documentUrls = this.configService.getDocumentUrls();
-    const messages = this.chatService.getApiMessages(undefined);
-    
-    // BYOK: Call OpenAI directly using user's API key
-    const apiKey = this.configService.getOpenAiApiKey();
-    const result = await this.apiService.chatDirect(apiKey, messages, { vaultContext, documentUrls });
+    // Retrieve the passages of the user's documents that match the question
+    const documentUrls = this.roleService.can('allowDocuments') ? this.configService.getDocumentUrls() : '';
+    let documentContext = '';
+    if (documentUrls) {
+      await this.documentService.sync(documentUrls, { signal });
+      this._updateDocumentStatus();
+      documentContext = this.documentService.getRelevantContext(text);
+    }
+
+    const srdContext = this.srdService.getPromptContext(text, { excludeKinds: isGM ? [] : ['monster'] });
+
+    // Tokens on the current map (who is there, HP, conditions); players only see visible tokens
+    const sceneContext = this.configService.getUseScene() && this.roleService.can('allowScene')
+      ? await this.sceneService.getSceneContext({ forPlayers: !isGM })
+      : '';
+
+    // Recaps of earlier sessions (GM only: they come from the GM's own chat)
+    const journalContext = isGM && this.configService.getUseJournal() ? this.journalService.getPromptContext() : '';
+
+    // History (with the running summary) and context sections, trimmed to the model's budget
+    const context = this.contextService.build({ vaultContext, journalContext, documentContext, srdContext, sceneContext });
+    const messages = prompt === text
+      ? context.messages
+      : [...context.messages.slice(0, -1), { role: 'user', content: prompt }];
+
+    // Stop pressed while the context was being gathered: nothing was sent
+    const result = signal.aborted ? { aborted: true, content: '' } : await this._requestAnswer(messages, {
+      vaultContext: context.vaultContext,
+      documentUrls,
+      documentContext: context.documentContext,
+      srdContext: context.srdContext,
+      sceneContext: context.sceneContext,
+      journalContext: context.journalContext,
+      role: this.roleService.getRole(),
+      playerPolicy: this.roleService.getPolicy(),
+      tools: this.roleService.can('allowDice') ? this.toolService : undefined,
+      signal,
+      onStatus: this._requestStatusHandler(loadingEl),
+      onDelta: (delta, content) => {
+        this.chatPanel.setLoadingStatus(loadingEl, '');
+        this.chatPanel.updateLoadingContent(loadingEl, content);
+      }
+    });
 
+    this._abortController = null;
+    this.chatPanel.setGenerating(false);
     this.chatPanel.setInputDisabled(false);
 
+    if (result.aborted) {
+      if (result.content) {
+        this.chatService.addAssistantMessage(result.content, result.usage);
+        this.chatPanel.replaceLoadingWithMessage(loadingEl, result.content);
+        this.chatPanel.markStopped(loadingEl);
+        this.chatPanel.appendUsage(loadingEl, result.usage);
+      } else {
+        loadingEl?.remove();
+      }
+      this._loadingEl = null;
+      this._afterHostedAnswer();
+      return true;
+    }
+
     if (this._loadingEl) {
       if (result.error) {
         this.chatService.addErrorMessage(result.error);
         this.chatPanel.replaceLoadingWithMessage(this._loadingEl, result.error || 'Unknown error.', true);
       } else {
-        // incrementUsedToday(); // BYOK: No usage tracking needed
         const content = result.content || '(No response.)';
-        this.chatService.addAssistantMessage(content);
+        this.chatService.addAssistantMessage(content, result.usage);
         this.chatPanel.replaceLoadingWithMessage(this._loadingEl, content);
+        this.chatPanel.appendUsage(this._loadingEl, result.usage);
       }
       this._loadingEl = null;
     } else {
@@ -221,13 +1418,31 @@ export class AppController {
         this.chatService.addErrorMessage(result.error);
         this.chatPanel.appendMessage('assistant', result.error || 'Unknown error.', true);
       } else {
-        // incrementUsedToday(); // BYOK: No usage tracking needed
         const content = result.content || '(No response.)';
-        this.chatService.addAssistantMessage(content);
-        this.chatPanel.appendMessage('assistant', content);
+        this.chatService.addAssistantMessage(content, result.usage);
+        this.chatPanel.appendUsage(this.chatPanel.appendMessage('assistant', content), result.usage);
       }
     }
 
-    // await this._refreshTier(); // BYOK: No tier system needed
+    if (!result.error && result.content && onAnswer) onAnswer(result.content);
+    this._afterHostedAnswer();
+    this._summarizeOlderTurns();
+    return true;
+  }
+
+  /**
+   * Condenses older turns once the conversation outgrows its share of the context.
+   * Free hosted users are not charged a message for it: their summary is extracted locally.
+   */
+  _summarizeOlderTurns() {
+    let request = null;
+    if (!this.configService.isHostedMode()) {
+      request = (messages) => this._chatDirect(messages);
+    } else if (this._tierInfo?.tier === 'premium') {
+      request = (messages) => this.apiService.chat(messages);
+    }
+    this.contextService.summarizeIfNeeded(request).catch((e) => {
+      console.warn('[GM AI] Could not summarize older turns:', e);
+    });
   }
 }
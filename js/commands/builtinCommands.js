@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Slash commands that ship with GM AI. Each one works through the small
+ * `actions` object the controller passes in, so commands never reach into AppController.
+ * To add a command, push another entry here (or call commandService.register() anywhere).
+ */
+
+const MAX_VAULT_EXCERPT_CHARS = 280;
+
+function trimExcerpt(text) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_VAULT_EXCERPT_CHARS ? flat.slice(0, MAX_VAULT_EXCERPT_CHARS - 1).trimEnd() + '…' : flat;
+}
+
+/**
+ * @typedef {Object} CommandActions
+ * @property {() => import('../services/CommandService.js').Command[]} listCommands
+ * @property {(expression: string, reason?: string) => void} roll - Throws DiceError on a bad expression
+ * @property {(query: string, kind?: string) => boolean} lookupSrd - False if nothing was shown
+ * @property {(request: string) => Promise<boolean>} requestStatBlock - False if it could not start
+ * @property {(label: string, prompt: string) => Promise<boolean>} ask - Shows `label`, sends `prompt`; false if it could not start
+ * @property {() => Promise<boolean|string>} recap - Session recap (saved to the journal for the GM)
+ * @property {() => void} showJournal
+ * @property {(session: number) => Promise<boolean|string>} removeJournalEntry
+ * @property {() => boolean} clearConversation - False if it could not clear now
+ * @property {(query: string) => Promise<Array<{ title: string, category: string, excerpt: string }>>} searchVault
+ * @property {() => boolean} isVaultAvailable
+ * @property {(label: string, markdown: string) => void} showLocal - Local message, not sent to the model
+ */
+
+/**
+ * @param {CommandActions} actions
+ * @returns {import('../services/CommandService.js').Command[]}
+ */
+export function createBuiltinCommands(actions) {
+  return [
+    {
+      name: 'help',
+      aliases: ['?'],
+      description: 'List the available commands.',
+      run() {
+        const lines = actions.listCommands().map(c =>
+          `- \`/${[c.name, c.usage].filter(Boolean).join(' ')}\` — ${c.description}`);
+        lines.push('', 'Start a message with `//` to send text that begins with a slash.');
+        actions.showLocal('Commands', lines.join('\n'));
+      }
+    },
+    {
+      name: 'roll',
+      aliases: ['r'],
+      usage: '<dice> [# reason]',
+      argsRequired: true,
+      description: 'Roll dice locally, e.g. `/roll 2d20kh1+5 # stealth`.',
+      run(args) {
+        const [expression, ...reason] = args.split('#');
+        actions.roll(expression.trim(), reason.join('#'));
+      }
+    },
+    {
+      name: 'spell',
+      usage: '<name>',
+      argsRequired: true,
+      description: 'Show a spell from the SRD.',
+      run(args) {
+        return actions.lookupSrd(args, 'spell');
+      }
+    },
+    {
+      name: 'monster',
+      usage: '<name>',
+      argsRequired: true,
+      gmOnly: true,
+      description: 'Show a monster stat block from the SRD.',
+      run(args) {
+        return actions.lookupSrd(args, 'monster');
+      }
+    },
+    {
+      name: 'npc',
+      usage: '<description>',
+      argsRequired: true,
+      gmOnly: true,
+      description: 'Create a stat block, e.g. `/npc dwarf innkeeper, CR 1`.',
+      run(args) {
+        return actions.requestStatBlock(args);
+      }
+    },
+    {
+      name: 'recap',
+      description: 'Recap the session for the campaign journal (events, NPCs, loot, open threads).',
+      run() {
+        return actions.recap();
+      }
+    },
+    {
+      name: 'journal',
+      usage: '[delete <session>]',
+      gmOnly: true,
+      description: 'Show the campaign journal, or delete the recap of one session.',
+      run(args) {
+        const remove = args.match(/^(?:delete|remove)\s+(\d+)$/i);
+        if (remove) return actions.removeJournalEntry(Number(remove[1]));
+        if (args) return 'Usage: /journal or /journal delete <session>';
+        actions.showJournal();
+      }
+    },
+    {
+      name: 'vault',
+      usage: '<query>',
+      argsRequired: true,
+      description: 'Search your GM Vault pages.',
+      async run(args) {
+        if (!actions.isVaultAvailable()) return 'No GM Vault pages are available.';
+        const pages = await actions.searchVault(args);
+        const body = pages.length > 0
+          ? pages.map(p => `**${p.title}** · ${p.category}${p.excerpt ? `\n> ${trimExcerpt(p.excerpt)}` : ''}`).join('\n\n')
+          : `No vault page matches "${args}".`;
+        actions.showLocal(`GM Vault · ${args}`, body);
+      }
+    },
+    {
+      name: 'clear',
+      description: 'Delete the messages of this conversation.',
+      run() {
+        return actions.clearConversation();
+      }
+    }
+  ];
+}
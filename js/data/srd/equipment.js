@@ -0,0 +1,23 @@
+/**
+ * @fileoverview SRD 5.2 equipment: weapons, armor and adventuring gear (subset).
+ * Source: System Reference Document 5.2, CC-BY-4.0 (see ./index.js).
+ */
+
+export const EQUIPMENT = [
+  { name: 'Chain Mail', aliases: ['cota de malla'], category: 'Heavy Armor', armorClass: '16', strength: 'Str 13', stealth: 'Disadvantage', weight: '55 lb.', cost: '75 GP' },
+  { name: 'Chain Shirt', aliases: ['camisa de malla'], category: 'Medium Armor', armorClass: '13 + Dex modifier (max 2)', weight: '20 lb.', cost: '50 GP' },
+  { name: 'Leather Armor', aliases: ['armadura de cuero'], category: 'Light Armor', armorClass: '11 + Dex modifier', weight: '10 lb.', cost: '10 GP' },
+  { name: 'Plate Armor', aliases: ['armadura de placas'], category: 'Heavy Armor', armorClass: '18', strength: 'Str 15', stealth: 'Disadvantage', weight: '65 lb.', cost: '1,500 GP' },
+  { name: 'Studded Leather Armor', aliases: ['studded leather', 'cuero tachonado'], category: 'Light Armor', armorClass: '12 + Dex modifier', weight: '13 lb.', cost: '45 GP' },
+  { name: 'Shield', aliases: ['escudo'], category: 'Shield', armorClass: '+2', weight: '6 lb.', cost: '10 GP' },
+
+  { name: 'Dagger', aliases: ['daga'], category: 'Simple Melee Weapon', damage: '1d4 Piercing', properties: 'Finesse, Light, Thrown (Range 20/60)', mastery: 'Nick', weight: '1 lb.', cost: '2 GP' },
+  { name: 'Greataxe', aliases: ['gran hacha'], category: 'Martial Melee Weapon', damage: '1d12 Slashing', properties: 'Heavy, Two-Handed', mastery: 'Cleave', weight: '7 lb.', cost: '30 GP' },
+  { name: 'Longbow', aliases: ['arco largo'], category: 'Martial Ranged Weapon', damage: '1d8 Piercing', properties: 'Ammunition (Range 150/600; Arrow), Heavy, Two-Handed', mastery: 'Slow', weight: '2 lb.', cost: '50 GP' },
+  { name: 'Longsword', aliases: ['espada larga'], category: 'Martial Melee Weapon', damage: '1d8 Slashing', properties: 'Versatile (1d10)', mastery: 'Sap', weight: '3 lb.', cost: '15 GP' },
+  { name: 'Shortbow', aliases: ['arco corto'], category: 'Simple Ranged Weapon', damage: '1d6 Piercing', properties: 'Ammunition (Range 80/320; Arrow), Two-Handed', mastery: 'Vex', weight: '2 lb.', cost: '25 GP' },
+  { name: 'Shortsword', aliases: ['espada corta'], category: 'Martial Melee Weapon', damage: '1d6 Piercing', properties: 'Finesse, Light', mastery: 'Vex', weight: '2 lb.', cost: '10 GP' },
+
+  { name: 'Potion of Healing', aliases: ['healing potion', 'pocion de curacion'], category: 'Adventuring Gear', weight: '1/2 lb.', cost: '50 GP', description: 'As a Bonus Action, you can drink it or administer it to another creature within 5 feet of yourself. The creature that drinks the magical red fluid in this vial regains 2d4 + 2 Hit Points.' },
+  { name: 'Healer\'s Kit', aliases: ['kit de sanador'], category: 'Adventuring Gear', weight: '3 lb.', cost: '5 GP', description: 'A Healer\'s Kit has ten uses. As a Utilize action, you can expend one of its uses to stabilize an Unconscious creature that has 0 Hit Points without needing to make a Wisdom (Medicine) check.' }
+];
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Local SRD 5.2 dataset used for deterministic lookups.
+ * Scope: the 15 conditions are complete; spells, monsters, equipment and rules are a hand-picked
+ * subset typed in from the SRD 5.2 PDF (SRD_REFERENCE_URL), not the full lists. Add entries to
+ * the matching file, copied verbatim, and list the kind in COMPLETE_KINDS once it is whole.
+ *
+ * This work includes material from the System Reference Document 5.2 ("SRD 5.2") by
+ * Wizards of the Coast LLC, available at https://www.dndbeyond.com/srd. The SRD 5.2 is
+ * licensed under the Creative Commons Attribution 4.0 International License, available
+ * at https://creativecommons.org/licenses/by/4.0/legalcode.
+ */
+
+import { SPELLS } from './spells.js';
+import { MONSTERS } from './monsters.js';
+import { CONDITIONS } from './conditions.js';
+import { EQUIPMENT } from './equipment.js';
+import { RULES } from './rules.js';
+
+export { SPELLS, MONSTERS, CONDITIONS, EQUIPMENT, RULES };
+
+/** Kinds whose SRD 5.2 list is bundled whole; the others are partial */
+export const COMPLETE_KINDS = ['condition'];
+
+/** Every entry tagged with its kind: spell | monster | condition | equipment | rule */
+export const SRD_ENTRIES = [
+  ...SPELLS.map(e => ({ ...e, kind: 'spell' })),
+  ...MONSTERS.map(e => ({ ...e, kind: 'monster' })),
+  ...CONDITIONS.map(e => ({ ...e, kind: 'condition' })),
+  ...EQUIPMENT.map(e => ({ ...e, kind: 'equipment' })),
+  ...RULES.map(e => ({ ...e, kind: 'rule' }))
+];
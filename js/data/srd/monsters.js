@@ -0,0 +1,155 @@
+/**
+ * @fileoverview SRD 5.2 monster stat blocks, verbatim (subset).
+ * Source: System Reference Document 5.2, CC-BY-4.0 (see ./index.js).
+ * `xp` is the XP value for the monster's Challenge Rating (used by the encounter builder).
+ */
+
+export const MONSTERS = [
+  {
+    name: 'Bandit',
+    aliases: ['bandido'],
+    size: 'Medium or Small',
+    type: 'Humanoid',
+    alignment: 'Neutral',
+    ac: 12,
+    hp: '11 (2d8 + 2)',
+    speed: '30 ft.',
+    abilities: { str: 11, dex: 12, con: 12, int: 10, wis: 10, cha: 10 },
+    senses: 'Passive Perception 10',
+    languages: 'Common, Thieves\' Cant',
+    cr: '1/8',
+    xp: 25,
+    actions: [
+      ['Scimitar', 'Melee Attack Roll: +3, reach 5 ft. Hit: 4 (1d6 + 1) Slashing damage.'],
+      ['Light Crossbow', 'Ranged Attack Roll: +3, range 80/320 ft. Hit: 5 (1d8 + 1) Piercing damage.']
+    ]
+  },
+  {
+    name: 'Goblin Warrior',
+    aliases: ['goblin', 'guerrero goblin'],
+    size: 'Small',
+    type: 'Fey (Goblinoid)',
+    alignment: 'Chaotic Neutral',
+    ac: 15,
+    hp: '10 (3d6)',
+    speed: '30 ft.',
+    abilities: { str: 8, dex: 15, con: 10, int: 10, wis: 8, cha: 8 },
+    skills: 'Stealth +6',
+    senses: 'Darkvision 60 ft.; Passive Perception 9',
+    languages: 'Common, Goblin',
+    cr: '1/4',
+    xp: 50,
+    actions: [
+      ['Scimitar', 'Melee Attack Roll: +4, reach 5 ft. Hit: 5 (1d6 + 2) Slashing damage, plus 2 (1d4) Slashing damage if the attack roll had Advantage.'],
+      ['Shortbow', 'Ranged Attack Roll: +4, range 80/320 ft. Hit: 5 (1d6 + 2) Piercing damage, plus 2 (1d4) Piercing damage if the attack roll had Advantage.']
+    ],
+    bonusActions: [
+      ['Nimble Escape', 'The goblin takes the Disengage or Hide action.']
+    ]
+  },
+  {
+    name: 'Ogre',
+    aliases: ['ogro'],
+    size: 'Large',
+    type: 'Giant',
+    alignment: 'Chaotic Evil',
+    ac: 11,
+    hp: '68 (8d10 + 24)',
+    speed: '40 ft.',
+    abilities: { str: 19, dex: 8, con: 16, int: 5, wis: 7, cha: 7 },
+    senses: 'Darkvision 60 ft.; Passive Perception 8',
+    languages: 'Common, Giant',
+    cr: '2',
+    xp: 450,
+    actions: [
+      ['Greatclub', 'Melee Attack Roll: +6, reach 5 ft. Hit: 13 (2d8 + 4) Bludgeoning damage.'],
+      ['Javelin', 'Melee or Ranged Attack Roll: +6, reach 5 ft. or range 30/120 ft. Hit: 11 (2d6 + 4) Piercing damage.']
+    ]
+  },
+  {
+    name: 'Owlbear',
+    aliases: ['oso lechuza', 'osolechuza'],
+    size: 'Large',
+    type: 'Monstrosity',
+    alignment: 'Unaligned',
+    ac: 13,
+    hp: '59 (7d10 + 21)',
+    speed: '40 ft., Climb 40 ft.',
+    abilities: { str: 20, dex: 12, con: 17, int: 3, wis: 12, cha: 7 },
+    skills: 'Perception +5',
+    senses: 'Darkvision 60 ft.; Passive Perception 15',
+    languages: 'None',
+    cr: '3',
+    xp: 700,
+    actions: [
+      ['Multiattack', 'The owlbear makes two Rend attacks.'],
+      ['Rend', 'Melee Attack Roll: +7, reach 5 ft. Hit: 14 (2d8 + 5) Slashing damage.']
+    ]
+  },
+  {
+    name: 'Skeleton',
+    aliases: ['esqueleto'],
+    size: 'Medium',
+    type: 'Undead',
+    alignment: 'Lawful Evil',
+    ac: 14,
+    hp: '13 (2d8 + 4)',
+    speed: '30 ft.',
+    abilities: { str: 10, dex: 16, con: 15, int: 6, wis: 8, cha: 5 },
+    vulnerabilities: 'Bludgeoning',
+    immunities: 'Poison; Exhaustion, Poisoned',
+    senses: 'Darkvision 60 ft.; Passive Perception 9',
+    languages: 'Understands the languages it knew in life but can\'t speak',
+    cr: '1/4',
+    xp: 50,
+    actions: [
+      ['Shortsword', 'Melee Attack Roll: +5, reach 5 ft. Hit: 6 (1d6 + 3) Piercing damage.'],
+      ['Shortbow', 'Ranged Attack Roll: +5, range 80/320 ft. Hit: 6 (1d6 + 3) Piercing damage.']
+    ]
+  },
+  {
+    name: 'Wolf',
+    aliases: ['lobo'],
+    size: 'Medium',
+    type: 'Beast',
+    alignment: 'Unaligned',
+    ac: 12,
+    hp: '11 (2d8 + 2)',
+    speed: '40 ft.',
+    abilities: { str: 14, dex: 15, con: 12, int: 3, wis: 12, cha: 6 },
+    skills: 'Perception +5, Stealth +4',
+    senses: 'Darkvision 60 ft.; Passive Perception 15',
+    languages: 'None',
+    cr: '1/4',
+    xp: 50,
+    traits: [
+      ['Pack Tactics', 'The wolf has Advantage on an attack roll against a creature if at least one of the wolf\'s allies is within 5 feet of the creature and the ally doesn\'t have the Incapacitated condition.']
+    ],
+    actions: [
+      ['Bite', 'Melee Attack Roll: +4, reach 5 ft. Hit: 5 (1d6 + 2) Piercing damage. If the target is a Large or smaller creature, it has the Prone condition.']
+    ]
+  },
+  {
+    name: 'Zombie',
+    aliases: ['zombi'],
+    size: 'Medium',
+    type: 'Undead',
+    alignment: 'Neutral Evil',
+    ac: 8,
+    hp: '15 (2d8 + 6)',
+    speed: '20 ft.',
+    abilities: { str: 13, dex: 6, con: 16, int: 3, wis: 6, cha: 5 },
+    saves: 'Wis +0',
+    immunities: 'Poison; Exhaustion, Poisoned',
+    senses: 'Darkvision 60 ft.; Passive Perception 8',
+    languages: 'Understands Common plus one other language but can\'t speak',
+    cr: '1/4',
+    xp: 50,
+    traits: [
+      ['Undead Fortitude', 'If damage reduces the zombie to 0 Hit Points, it makes a Constitution saving throw (DC 5 plus the damage taken) unless the damage is Radiant or from a Critical Hit. On a successful save, the zombie drops to 1 Hit Point instead.']
+    ],
+    actions: [
+      ['Slam', 'Melee Attack Roll: +3, reach 5 ft. Hit: 5 (1d8 + 1) Bludgeoning damage.']
+    ]
+  }
+];
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview SRD 5.2 Rules Glossary entries (subset).
+ * Source: System Reference Document 5.2, CC-BY-4.0 (see ./index.js).
+ */
+
+export const RULES = [
+  {
+    name: 'Advantage',
+    aliases: ['ventaja'],
+    text: 'If you have Advantage on a D20 Test, roll two d20s, and use the higher roll. A roll can\'t be affected by more than one Advantage, and Advantage and Disadvantage on the same roll cancel each other.'
+  },
+  {
+    name: 'Disadvantage',
+    aliases: ['desventaja'],
+    text: 'If you have Disadvantage on a D20 Test, roll two d20s, and use the lower roll. A roll can\'t be affected by more than one Disadvantage, and Advantage and Disadvantage on the same roll cancel each other.'
+  },
+  {
+    name: 'Concentration',
+    aliases: ['concentracion'],
+    text: 'Some spells and other effects require Concentration to remain active. If the effect\'s creator loses Concentration, the effect ends. You lose Concentration on an effect if you start casting a spell that requires Concentration or activate another effect that requires it, if you have the Incapacitated condition, or if you die.\n\nTaking Damage. If you take damage, you must succeed on a Constitution saving throw to maintain Concentration. The DC equals 10 or half the damage taken (round down), whichever number is higher, up to a maximum DC of 30.'
+  },
+  {
+    name: 'Opportunity Attack',
+    aliases: ['opportunity attacks', 'ataque de oportunidad'],
+    text: 'You can make an Opportunity Attack when a creature that you can see leaves your reach using its action, its Bonus Action, its Reaction, or one of its speeds. To make the attack, take a Reaction to make one melee attack with a weapon or an Unarmed Strike against that creature. The attack occurs right before it leaves your reach.\n\nA creature can avoid provoking an Opportunity Attack by taking the Disengage action. It also doesn\'t provoke one when it teleports or when it is moved without using its movement, action, Bonus Action, or Reaction.'
+  },
+  {
+    name: 'Cover',
+    aliases: ['cobertura'],
+    text: 'Walls, trees, creatures, and other obstacles can provide cover, making a target more difficult to harm. A target can benefit from cover only when an attack or other effect originates on the opposite side of the cover. If a target is behind multiple sources of cover, only the most protective degree of cover applies.\n\nHalf Cover: +2 bonus to AC and Dexterity saving throws. The target is behind an obstacle that blocks at least half of it.\nThree-Quarters Cover: +5 bonus to AC and Dexterity saving throws. The target is behind an obstacle that blocks at least three-quarters of it.\nTotal Cover: Can\'t be targeted directly. The target is completely concealed by an obstacle.'
+  },
+  {
+    name: 'Critical Hit',
+    aliases: ['critico', 'golpe critico'],
+    text: 'If you roll a 20 on the d20 for an attack roll, the attack hits regardless of any modifiers or the target\'s AC, and it is a Critical Hit. When you score a Critical Hit, roll the attack\'s damage dice twice, add them together, and add any relevant modifiers as normal.'
+  },
+  {
+    name: 'Death Saving Throws',
+    aliases: ['death save', 'salvacion contra muerte'],
+    text: 'Whenever you start your turn with 0 Hit Points, you must make a death saving throw. Roll 1d20: on 10 or higher you succeed, otherwise you fail. On your third success, you become Stable. On your third failure, you die. The successes and failures don\'t need to be consecutive; reset both when you regain any Hit Points or become Stable.\n\nRolling a 1 counts as two failures. Rolling a 20 means you regain 1 Hit Point. If you take any damage while you have 0 Hit Points, you suffer a death saving throw failure (two failures if the damage is from a Critical Hit).'
+  },
+  {
+    name: 'Grapple',
+    aliases: ['grappling', 'presa', 'agarrar'],
+    text: 'Grapple is an Unarmed Strike option. The target must be no more than one size larger than you and within your reach, and you must have a hand free to grab it. The target must succeed on a Strength or Dexterity saving throw (it chooses which), or it has the Grappled condition. The DC for the saving throw equals 8 plus your Strength modifier and Proficiency Bonus.\n\nEscaping. A Grappled creature can use its action to make a Strength (Athletics) or Dexterity (Acrobatics) check against the grapple\'s escape DC, ending the condition on itself on a success.'
+  },
+  {
+    name: 'Short Rest',
+    aliases: ['descanso corto'],
+    text: 'A Short Rest is a 1-hour period of downtime, during which a creature does nothing more strenuous than reading, talking, eating, or standing watch. During a Short Rest, you can spend one or more Hit Point Dice to regain Hit Points. For each Hit Point Die you spend, roll it and add your Constitution modifier; you regain Hit Points equal to the total (minimum of 1).'
+  },
+  {
+    name: 'Long Rest',
+    aliases: ['descanso largo'],
+    text: 'A Long Rest is a period of extended downtime—at least 8 hours—available to any creature. During it, you sleep for at least 6 hours and perform no more than 2 hours of light activity. When you finish a Long Rest, you regain all lost Hit Points and all spent Hit Point Dice, and if you have the Exhaustion condition, its level decreases by 1.\n\nA Long Rest is stopped by rolling Initiative, casting a spell other than a cantrip, taking any damage, or 1 hour of walking or other physical exertion. You can\'t benefit from more than one Long Rest in a 24-hour period, and you must have at least 1 Hit Point at the start of the rest to gain its benefits.'
+  }
+];
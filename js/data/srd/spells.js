@@ -0,0 +1,172 @@
+/**
+ * @fileoverview SRD 5.2 spells, verbatim (subset).
+ * Source: System Reference Document 5.2, CC-BY-4.0 (see ./index.js).
+ * level 0 = cantrip. `upcast` holds "Using a Higher-Level Spell Slot" / "Cantrip Upgrade".
+ */
+
+export const SPELLS = [
+  {
+    name: 'Bless',
+    aliases: ['bendecir'],
+    level: 1,
+    school: 'Enchantment',
+    classes: ['Cleric', 'Paladin'],
+    castingTime: 'Action',
+    range: '30 feet',
+    components: 'V, S, M (a Holy Symbol worth 5+ GP)',
+    duration: 'Concentration, up to 1 minute',
+    description: 'You bless up to three creatures within range. Whenever a target makes an attack roll or a saving throw before the spell ends, the target adds 1d4 to the attack roll or save.',
+    upcast: 'You can target one additional creature for each spell slot level above 1.'
+  },
+  {
+    name: 'Counterspell',
+    aliases: ['contraconjuro'],
+    level: 3,
+    school: 'Abjuration',
+    classes: ['Sorcerer', 'Warlock', 'Wizard'],
+    castingTime: 'Reaction, which you take when you see a creature within 60 feet of yourself casting a spell with Verbal, Somatic, or Material components',
+    range: '60 feet',
+    components: 'S',
+    duration: 'Instantaneous',
+    description: 'You attempt to interrupt a creature in the process of casting a spell. The creature makes a Constitution saving throw. On a failed save, the spell dissipates with no effect, and the action, Bonus Action, or Reaction used to cast it is wasted. If that spell was cast with a spell slot, the slot isn\'t expended.'
+  },
+  {
+    name: 'Cure Wounds',
+    aliases: ['curar heridas'],
+    level: 1,
+    school: 'Abjuration',
+    classes: ['Bard', 'Cleric', 'Druid', 'Paladin', 'Ranger'],
+    castingTime: 'Action',
+    range: 'Touch',
+    components: 'V, S',
+    duration: 'Instantaneous',
+    description: 'A creature you touch regains a number of Hit Points equal to 2d8 plus your spellcasting ability modifier.',
+    upcast: 'The healing increases by 2d8 for each spell slot level above 1.'
+  },
+  {
+    name: 'Detect Magic',
+    aliases: ['detectar magia'],
+    level: 1,
+    school: 'Divination',
+    classes: ['Bard', 'Cleric', 'Druid', 'Paladin', 'Ranger', 'Sorcerer', 'Warlock', 'Wizard'],
+    castingTime: 'Action or Ritual',
+    range: 'Self',
+    components: 'V, S',
+    duration: 'Concentration, up to 10 minutes',
+    description: 'For the duration, you sense the presence of magical effects within 30 feet of yourself. If you sense such effects, you can take the Magic action to see a faint aura around any visible creature or object in the area that bears the magic, and if an effect was created by a spell, you learn the spell\'s school of magic.\n\nThe spell is blocked by 1 foot of stone, dirt, or wood; 1 inch of metal; or a thin sheet of lead.'
+  },
+  {
+    name: 'Fire Bolt',
+    aliases: ['rayo de fuego', 'descarga de fuego'],
+    level: 0,
+    school: 'Evocation',
+    classes: ['Sorcerer', 'Wizard'],
+    castingTime: 'Action',
+    range: '120 feet',
+    components: 'V, S',
+    duration: 'Instantaneous',
+    description: 'You hurl a mote of fire at a creature or an object within range. Make a ranged spell attack against the target. On a hit, the target takes 1d10 Fire damage. A flammable object hit by this spell starts burning if it isn\'t being worn or carried.',
+    upcast: 'The damage increases by 1d10 when you reach levels 5 (2d10), 11 (3d10), and 17 (4d10).'
+  },
+  {
+    name: 'Fireball',
+    aliases: ['bola de fuego'],
+    level: 3,
+    school: 'Evocation',
+    classes: ['Sorcerer', 'Wizard'],
+    castingTime: 'Action',
+    range: '150 feet',
+    components: 'V, S, M (a ball of bat guano and sulfur)',
+    duration: 'Instantaneous',
+    description: 'A bright streak flashes from you to a point you choose within range and then blossoms with a low roar into a fiery explosion. Each creature in a 20-foot-radius Sphere centered on that point makes a Dexterity saving throw, taking 8d6 Fire damage on a failed save or half as much damage on a successful one.\n\nFlammable objects in the area that aren\'t being worn or carried start burning.',
+    upcast: 'The damage increases by 1d6 for each spell slot level above 3.'
+  },
+  {
+    name: 'Healing Word',
+    aliases: ['palabra de curacion'],
+    level: 1,
+    school: 'Abjuration',
+    classes: ['Bard', 'Cleric', 'Druid'],
+    castingTime: 'Bonus Action',
+    range: '60 feet',
+    components: 'V',
+    duration: 'Instantaneous',
+    description: 'A creature of your choice that you can see within range regains Hit Points equal to 2d4 plus your spellcasting ability modifier.',
+    upcast: 'The healing increases by 2d4 for each spell slot level above 1.'
+  },
+  {
+    name: 'Hold Person',
+    aliases: ['inmovilizar persona'],
+    level: 2,
+    school: 'Enchantment',
+    classes: ['Bard', 'Cleric', 'Druid', 'Sorcerer', 'Warlock', 'Wizard'],
+    castingTime: 'Action',
+    range: '60 feet',
+    components: 'V, S, M (a straight piece of iron)',
+    duration: 'Concentration, up to 1 minute',
+    description: 'Choose a Humanoid that you can see within range. The target must succeed on a Wisdom saving throw or have the Paralyzed condition for the duration. At the end of each of its turns, the target repeats the save, ending the spell on itself on a success.',
+    upcast: 'You can target one additional Humanoid for each spell slot level above 2.'
+  },
+  {
+    name: 'Mage Armor',
+    aliases: ['armadura de mago'],
+    level: 1,
+    school: 'Abjuration',
+    classes: ['Sorcerer', 'Wizard'],
+    castingTime: 'Action',
+    range: 'Touch',
+    components: 'V, S, M (a piece of cured leather)',
+    duration: '8 hours',
+    description: 'You touch a willing creature who isn\'t wearing armor. Until the spell ends, the target\'s base AC becomes 13 plus its Dexterity modifier. The spell ends early if the target dons armor.'
+  },
+  {
+    name: 'Magic Missile',
+    aliases: ['proyectil magico'],
+    level: 1,
+    school: 'Evocation',
+    classes: ['Sorcerer', 'Wizard'],
+    castingTime: 'Action',
+    range: '120 feet',
+    components: 'V, S',
+    duration: 'Instantaneous',
+    description: 'You create three glowing darts of magical force. Each dart strikes a creature of your choice that you can see within range. A dart deals 1d4 + 1 Force damage to its target. The darts all strike simultaneously, and you can direct them to hit one creature or several.',
+    upcast: 'The spell creates one more dart for each spell slot level above 1.'
+  },
+  {
+    name: 'Misty Step',
+    aliases: ['paso brumoso'],
+    level: 2,
+    school: 'Conjuration',
+    classes: ['Sorcerer', 'Warlock', 'Wizard'],
+    castingTime: 'Bonus Action',
+    range: 'Self',
+    components: 'V',
+    duration: 'Instantaneous',
+    description: 'Briefly surrounded by silvery mist, you teleport up to 30 feet to an unoccupied space you can see.'
+  },
+  {
+    name: 'Sacred Flame',
+    aliases: ['llama sagrada'],
+    level: 0,
+    school: 'Evocation',
+    classes: ['Cleric'],
+    castingTime: 'Action',
+    range: '60 feet',
+    components: 'V, S',
+    duration: 'Instantaneous',
+    description: 'Flame-like radiance descends on a creature that you can see within range. The target must succeed on a Dexterity saving throw or take 1d8 Radiant damage. The target gains no benefit from Half Cover or Three-Quarters Cover for this save.',
+    upcast: 'The damage increases by 1d8 when you reach levels 5 (2d8), 11 (3d8), and 17 (4d8).'
+  },
+  {
+    name: 'Shield',
+    aliases: ['escudo'],
+    level: 1,
+    school: 'Abjuration',
+    classes: ['Sorcerer', 'Wizard'],
+    castingTime: 'Reaction, which you take when you are hit by an attack roll or targeted by the Magic Missile spell',
+    range: 'Self',
+    components: 'V, S',
+    duration: '1 round',
+    description: 'An imperceptible barrier of magical force protects you. Until the start of your next turn, you have a +5 bonus to AC, including against the triggering attack, and you take no damage from Magic Missile.'
+  }
+];
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Adapter for the Anthropic Messages API. The rest of the plugin speaks
+ * OpenAI format (system/user/assistant/tool messages, function tools), so this adapter
+ * converts requests to Messages API blocks and responses/stream events back.
+ */
+
+import { getModelInfo } from './models.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * OpenAI-style messages → Anthropic `system` + alternating user/assistant messages.
+ * Tool results become `tool_result` blocks in a user turn; assistant tool calls become
+ * `tool_use` blocks. Consecutive turns of the same role are merged, empty ones dropped.
+ * The API rejects tool blocks in a request without tools (the last tool round), so with
+ * `flattenTools` they are written as plain text instead.
+ * @param {Array<Object>} messages
+ * @param {boolean} flattenTools
+ * @returns {{ system: string, messages: Array<{ role: string, content: string|Array<Object> }> }}
+ */
+function toAnthropicMessages(messages, flattenTools) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const out = [];
+
+  const push = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = out[out.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+
+  messages.forEach(m => {
+    if (m.role === 'system') return;
+    if (m.role === 'tool') {
+      push('user', [flattenTools
+        ? { type: 'text', text: `Tool result: ${m.content ?? ''}` }
+        : { type: 'tool_result', tool_use_id: m.tool_call_id, content: String(m.content ?? '') }]);
+      return;
+    }
+    const blocks = [];
+    if (m.content) blocks.push({ type: 'text', text: String(m.content) });
+    (m.tool_calls || []).forEach(call => {
+      let input = {};
+      try {
+        input = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+      } catch (_) {}
+      blocks.push(flattenTools
+        ? { type: 'text', text: `Called ${call.function.name} ${JSON.stringify(input)}` }
+        : { type: 'tool_use', id: call.id, name: call.function.name, input });
+    });
+    push(m.role === 'assistant' ? 'assistant' : 'user', blocks);
+  });
+
+  return { system, messages: out };
+}
+
+/** @type {import('./index.js').Provider} */
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  defaultModel: 'claude-3-5-haiku-latest',
+  models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest'],
+  keyRequired: true,
+  keyHint: 'starts with sk-ant-',
+  keyUrl: 'https://console.anthropic.com/settings/keys',
+  envKey: 'ANTHROPIC_API_KEY',
+
+  validateKey(key) {
+    if (!key) return 'Anthropic API key is required. Please add your key in Settings (gear icon).';
+    if (!key.startsWith('sk-ant-')) return 'That does not look like an Anthropic API key (starts with sk-ant-).';
+    return null;
+  },
+
+  buildRequest({ baseUrl, apiKey, model, messages, tools, stream, maxTokens, temperature }) {
+    const info = getModelInfo(model);
+    const hasTools = Boolean(tools && tools.length > 0 && info.tools);
+    const { system, messages: converted } = toAnthropicMessages(messages, !hasTools);
+    const body = { model, messages: converted, max_tokens: maxTokens };
+    if (info.temperature) body.temperature = temperature;
+    if (system) body.system = system;
+    if (hasTools) {
+      body.tools = tools.map(t => ({
+        name: t.function.name,
+        description: t.function.description,
+        input_schema: t.function.parameters
+      }));
+    }
+    if (stream && info.streaming) body.stream = true;
+    return {
+      url: `${baseUrl.replace(/\/+$/, '')}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // Required for calls straight from the browser (BYOK)
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body
+    };
+  },
+
+  parseResponse(data) {
+    const blocks = Array.isArray(data?.content) ? data.content : [];
+    const content = blocks.filter(b => b.type === 'text').map(b => b.text).join('').trim();
+    const toolCalls = blocks
+      .filter(b => b.type === 'tool_use')
+      .map(b => ({ id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } }));
+    const usage = data?.usage
+      ? { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 }
+      : undefined;
+    return { content, toolCalls: toolCalls.length > 0 ? toolCalls : undefined, usage };
+  },
+
+  readStreamEvent(data, acc) {
+    switch (data.type) {
+      // Input tokens come first; the output count grows with each message_delta
+      case 'message_start':
+        if (data.message?.usage) {
+          acc.usage = { inputTokens: data.message.usage.input_tokens || 0, outputTokens: data.message.usage.output_tokens || 0 };
+        }
+        return '';
+      case 'message_delta':
+        if (data.usage && acc.usage) acc.usage.outputTokens = data.usage.output_tokens || acc.usage.outputTokens;
+        return '';
+      case 'content_block_start':
+        if (data.content_block?.type === 'tool_use') {
+          acc.toolCalls[data.index] = {
+            id: data.content_block.id,
+            type: 'function',
+            function: { name: data.content_block.name, arguments: '' }
+          };
+        }
+        return '';
+      case 'content_block_delta':
+        if (data.delta?.type === 'text_delta') return data.delta.text || '';
+        if (data.delta?.type === 'input_json_delta' && acc.toolCalls[data.index]) {
+          acc.toolCalls[data.index].function.arguments += data.delta.partial_json || '';
+        }
+        return '';
+      case 'error':
+        throw new Error(data.error?.message || 'Stream error');
+      default:
+        return '';
+    }
+  },
+
+  parseError(status, data) {
+    return data?.error?.message || `Anthropic error ${status}`;
+  },
+
+  isModelError(status, data) {
+    return status === 404 || data?.error?.type === 'not_found_error';
+  },
+
+  buildModelsRequest({ baseUrl, apiKey }) {
+    return {
+      url: `${baseUrl.replace(/\/+$/, '')}/models?limit=100`,
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }
+    };
+  },
+
+  parseModels(data) {
+    return Array.isArray(data?.data) ? data.data.map(m => m.id) : [];
+  }
+};
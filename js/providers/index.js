@@ -0,0 +1,89 @@
+/**
+ * @fileoverview LLM provider registry. Each provider adapts the plugin's OpenAI-format
+ * messages and tools to its own API (request, response, stream events, errors).
+ * Used by ApiService in the browser (BYOK) and by netlify/functions/chat.js.
+ */
+
+import { createOpenAiCompatible } from './openai.js';
+import { anthropicProvider } from './anthropic.js';
+
+export { getModelInfo, getReplyTokenLimit, filterChatModels, describeModel } from './models.js';
+
+/**
+ * @typedef {Object} Provider
+ * @property {string} id
+ * @property {string} label
+ * @property {string} defaultBaseUrl - Empty when the user must supply one
+ * @property {string} defaultModel
+ * @property {string[]} models - Suggestions for the model field
+ * @property {boolean} keyRequired
+ * @property {string} keyHint
+ * @property {string} keyUrl - Where to get a key (empty if not applicable)
+ * @property {string} envKey - Environment variable with the server-side key
+ * @property {(key: string) => string|null} validateKey - Error message, or null if usable
+ * @property {(req: { baseUrl: string, apiKey: string, model: string, messages: Array<Object>, tools?: Array<Object>, stream?: boolean, maxTokens: number, temperature: number, json?: boolean }) => { url: string, headers: Object, body: Object }} buildRequest -
+ *   `json` asks for a JSON object reply where the API supports it (the prompt asks for it anyway)
+ * @property {(data: Object) => { content: string, toolCalls?: Array<Object>, usage?: TokenUsage }} parseResponse
+ * @property {(data: Object, acc: { toolCalls: Array<Object>, usage?: TokenUsage }) => string} readStreamEvent - Returns the text delta;
+ *   token usage, when the stream reports it, is left in `acc.usage`
+ * @property {(status: number, data: Object) => string} parseError
+ * @property {(status: number, data: Object) => boolean} isModelError - The model does not exist (try the fallback)
+ * @property {(req: { baseUrl: string, apiKey: string }) => { url: string, headers: Object }} buildModelsRequest - GET of the model list
+ * @property {(data: Object) => string[]} parseModels - Model ids from that list
+ */
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ */
+
+export const DEFAULT_PROVIDER_ID = 'openai';
+
+/** @type {Object<string, Provider>} */
+const PROVIDERS = {
+  openai: createOpenAiCompatible({
+    id: 'openai',
+    label: 'OpenAI',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-5-nano', 'gpt-5-mini'],
+    keyRequired: true,
+    keyPattern: /^sk-/,
+    keyHint: 'starts with sk-',
+    keyUrl: 'https://platform.openai.com/api-keys',
+    envKey: 'OPENAI_API_KEY',
+    jsonMode: true,
+    streamUsage: true
+  }),
+  anthropic: anthropicProvider,
+  ollama: createOpenAiCompatible({
+    id: 'ollama',
+    label: 'Ollama (local)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+    models: ['llama3.1', 'llama3.2', 'mistral', 'qwen2.5'],
+    envKey: 'LLM_API_KEY',
+    jsonMode: true
+  }),
+  'openai-compatible': createOpenAiCompatible({
+    id: 'openai-compatible',
+    label: 'OpenAI-compatible (custom URL)',
+    defaultBaseUrl: '',
+    defaultModel: '',
+    envKey: 'LLM_API_KEY'
+  })
+};
+
+/**
+ * @param {string} [id]
+ * @returns {Provider} The provider, or OpenAI for unknown ids
+ */
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER_ID];
+}
+
+/** @returns {Array<{ id: string, label: string }>} */
+export function listProviders() {
+  return Object.values(PROVIDERS).map(p => ({ id: p.id, label: p.label }));
+}
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Model registry: what each known model accepts, so requests are built for the
+ * model instead of guessed from its errors. Newer OpenAI reasoning models (gpt-5, o-series) take
+ * `max_completion_tokens`, reject a custom temperature and spend part of that budget on hidden
+ * reasoning. Used by the provider adapters (browser and netlify/functions/chat.js), the context
+ * budget and the model suggestions in Settings.
+ */
+
+/**
+ * @typedef {Object} ModelInfo
+ * @property {string} id - Name (or family) the entry describes
+ * @property {boolean} known - False for the defaults used with unknown models
+ * @property {number} contextWindow - Tokens
+ * @property {'max_tokens'|'max_completion_tokens'} maxTokensParam
+ * @property {boolean} temperature - Accepts a temperature other than the default
+ * @property {boolean} streaming
+ * @property {boolean} tools - Function calling
+ * @property {string|null} reasoningEffort - Effort to ask of a reasoning model (null: not one)
+ * @property {{ input: number, output: number }|null} pricing - USD per million tokens
+ */
+
+/** Reply tokens added for reasoning models: their budget also pays for the hidden reasoning */
+export const REASONING_TOKEN_ALLOWANCE = 2000;
+
+const DEFAULTS = {
+  contextWindow: 8192,
+  maxTokensParam: 'max_tokens',
+  temperature: true,
+  streaming: true,
+  tools: true,
+  reasoningEffort: null,
+  pricing: null
+};
+
+const REASONING = { maxTokensParam: 'max_completion_tokens', temperature: false };
+
+/** First match wins, so longer names go before their prefixes. */
+const MODELS = [
+  { id: 'gpt-5-nano', match: /^gpt-5-nano/, contextWindow: 400000, ...REASONING, reasoningEffort: 'minimal', pricing: { input: 0.05, output: 0.4 } },
+  { id: 'gpt-5-mini', match: /^gpt-5-mini/, contextWindow: 400000, ...REASONING, reasoningEffort: 'minimal', pricing: { input: 0.25, output: 2 } },
+  { id: 'gpt-5', match: /^gpt-5/, contextWindow: 400000, ...REASONING, reasoningEffort: 'minimal', pricing: { input: 1.25, output: 10 } },
+  { id: 'o4-mini', match: /^o4-mini/, contextWindow: 200000, ...REASONING, reasoningEffort: 'low', pricing: { input: 1.1, output: 4.4 } },
+  { id: 'o3-mini', match: /^o3-mini/, contextWindow: 200000, ...REASONING, reasoningEffort: 'low', pricing: { input: 1.1, output: 4.4 } },
+  { id: 'o3', match: /^o3/, contextWindow: 200000, ...REASONING, reasoningEffort: 'low', pricing: { input: 2, output: 8 } },
+  { id: 'o1', match: /^o1/, contextWindow: 200000, ...REASONING, reasoningEffort: 'low', pricing: { input: 15, output: 60 } },
+  { id: 'gpt-4.1-nano', match: /^gpt-4\.1-nano/, contextWindow: 1047576, pricing: { input: 0.1, output: 0.4 } },
+  { id: 'gpt-4.1-mini', match: /^gpt-4\.1-mini/, contextWindow: 1047576, pricing: { input: 0.4, output: 1.6 } },
+  { id: 'gpt-4.1', match: /^gpt-4\.1/, contextWindow: 1047576, pricing: { input: 2, output: 8 } },
+  { id: 'gpt-4o-mini', match: /^gpt-4o-mini/, contextWindow: 128000, pricing: { input: 0.15, output: 0.6 } },
+  { id: 'gpt-4o', match: /^gpt-4o/, contextWindow: 128000, pricing: { input: 2.5, output: 10 } },
+  { id: 'gpt-4-turbo', match: /^gpt-4-turbo/, contextWindow: 128000, pricing: { input: 10, output: 30 } },
+  { id: 'gpt-4', match: /^gpt-4/, contextWindow: 8192, pricing: { input: 30, output: 60 } },
+  { id: 'gpt-3.5-turbo', match: /^gpt-3\.5-turbo/, contextWindow: 16385, pricing: { input: 0.5, output: 1.5 } },
+  { id: 'claude-opus-4', match: /^claude-(opus-4|4-opus)/, contextWindow: 200000, pricing: { input: 15, output: 75 } },
+  { id: 'claude-sonnet-4', match: /^claude-(sonnet-4|4-sonnet)/, contextWindow: 200000, pricing: { input: 3, output: 15 } },
+  { id: 'claude-3-7-sonnet', match: /^claude-3-7-sonnet/, contextWindow: 200000, pricing: { input: 3, output: 15 } },
+  { id: 'claude-3-5-sonnet', match: /^claude-3-5-sonnet/, contextWindow: 200000, pricing: { input: 3, output: 15 } },
+  { id: 'claude-3-5-haiku', match: /^claude-3-5-haiku/, contextWindow: 200000, pricing: { input: 0.8, output: 4 } },
+  { id: 'claude-3-haiku', match: /^claude-3-haiku/, contextWindow: 200000, pricing: { input: 0.25, output: 1.25 } },
+  { id: 'claude', match: /^claude-/, contextWindow: 200000 },
+  // Local models (Ollama): free to run, context as configured by default
+  { id: 'llama3', match: /^llama3\.[1-3]/, contextWindow: 32768, pricing: { input: 0, output: 0 } },
+  { id: 'qwen2.5', match: /^qwen2\.5/, contextWindow: 32768, pricing: { input: 0, output: 0 } },
+  { id: 'mistral', match: /^mistral/, contextWindow: 32768, pricing: { input: 0, output: 0 } }
+];
+
+/** Model ids from /v1/models that cannot chat (embeddings, audio, images, moderation...). */
+const NON_CHAT_MODEL = /embed|whisper|tts|dall-e|davinci|babbage|moderation|image|audio|realtime|transcribe|search|computer-use/;
+
+/**
+ * @param {string} [model]
+ * @returns {ModelInfo} Capabilities of the model, or safe defaults if it is not in the registry
+ */
+export function getModelInfo(model) {
+  const name = String(model || '').toLowerCase().replace(/^.*\//, '');
+  const entry = MODELS.find(m => m.match.test(name));
+  if (!entry) return { id: name, known: false, ...DEFAULTS };
+  const { match, ...info } = entry;
+  return { ...DEFAULTS, ...info, known: true };
+}
+
+/**
+ * Reply budget to request: reasoning models get an allowance for the reasoning they do first.
+ * @param {ModelInfo} info
+ * @param {number} maxTokens - Tokens wanted for the visible answer
+ * @returns {number}
+ */
+export function getReplyTokenLimit(info, maxTokens) {
+  return info.reasoningEffort ? maxTokens + REASONING_TOKEN_ALLOWANCE : maxTokens;
+}
+
+/**
+ * Keeps the chat models of a /v1/models list, known ones first.
+ * @param {string[]} ids
+ * @returns {string[]}
+ */
+export function filterChatModels(ids) {
+  const chat = [...new Set(ids)].filter(id => typeof id === 'string' && !NON_CHAT_MODEL.test(id.toLowerCase()));
+  return chat.sort((a, b) => Number(getModelInfo(b).known) - Number(getModelInfo(a).known) || a.localeCompare(b));
+}
+
+/**
+ * Short description for the model suggestions, e.g. "400k context · reasoning · $0.05/$0.4 per 1M".
+ * @param {string} model
+ * @returns {string} Empty for unknown models
+ */
+export function describeModel(model) {
+  const info = getModelInfo(model);
+  if (!info.known) return '';
+  const parts = [`${Math.round(info.contextWindow / 1000)}k context`];
+  if (info.reasoningEffort) parts.push('reasoning');
+  if (!info.tools) parts.push('no tools');
+  if (info.pricing && (info.pricing.input > 0 || info.pricing.output > 0)) {
+    parts.push(`$${info.pricing.input}/$${info.pricing.output} per 1M`);
+  }
+  return parts.join(' · ');
+}
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Adapter for the OpenAI Chat Completions API and every server that speaks
+ * the same protocol (Ollama's /v1, llama.cpp server, LM Studio, vLLM...).
+ * Messages and tools are already in OpenAI format, so requests pass through almost as is.
+ * The model registry decides the token parameter, temperature, reasoning effort, tools and streaming.
+ */
+
+import { getModelInfo, getReplyTokenLimit } from './models.js';
+
+/** @returns {import('./index.js').TokenUsage|undefined} */
+function readUsage(usage) {
+  if (!usage) return undefined;
+  return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Creates an OpenAI-compatible provider.
+ * @param {{ id: string, label: string, defaultBaseUrl: string, defaultModel: string, models?: string[],
+ *   keyRequired?: boolean, keyPattern?: RegExp, keyHint?: string, keyUrl?: string, envKey?: string,
+ *   jsonMode?: boolean, streamUsage?: boolean }} options - `jsonMode`: the server accepts response_format
+ *   json_object; `streamUsage`: it reports token usage at the end of a stream (stream_options)
+ * @returns {import('./index.js').Provider}
+ */
+export function createOpenAiCompatible({
+  id,
+  label,
+  defaultBaseUrl,
+  defaultModel,
+  models = [],
+  keyRequired = false,
+  keyPattern = null,
+  keyHint = '',
+  keyUrl = '',
+  envKey = '',
+  jsonMode = false,
+  streamUsage = false
+}) {
+  return {
+    id,
+    label,
+    defaultBaseUrl,
+    defaultModel,
+    models,
+    keyRequired,
+    keyHint,
+    keyUrl,
+    envKey,
+
+    validateKey(key) {
+      if (!key) return keyRequired ? `${label} API key is required. Please add your key in Settings (gear icon).` : null;
+      if (keyPattern && !keyPattern.test(key)) return `That does not look like an API key for ${label}${keyHint ? ` (${keyHint})` : ''}.`;
+      return null;
+    },
+
+    buildRequest({ baseUrl, apiKey, model, messages, tools, stream, maxTokens, temperature, json }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const info = getModelInfo(model);
+      const body = { model, messages, [info.maxTokensParam]: getReplyTokenLimit(info, maxTokens) };
+      if (info.temperature) body.temperature = temperature;
+      if (info.reasoningEffort) body.reasoning_effort = info.reasoningEffort;
+      if (tools && tools.length > 0 && info.tools) body.tools = tools;
+      if (json && jsonMode) body.response_format = { type: 'json_object' };
+      if (stream && info.streaming) {
+        body.stream = true;
+        if (streamUsage) body.stream_options = { include_usage: true };
+      }
+      return { url: `${baseUrl.replace(/\/+$/, '')}/chat/completions`, headers, body };
+    },
+
+    parseResponse(data) {
+      const message = data?.choices?.[0]?.message;
+      return { content: (message?.content || '').trim(), toolCalls: message?.tool_calls, usage: readUsage(data?.usage) };
+    },
+
+    readStreamEvent(data, acc) {
+      if (data.error) {
+        throw new Error(typeof data.error === 'string' ? data.error : (data.error.message || 'Stream error'));
+      }
+      // With include_usage the last chunk has the usage and no choices
+      if (data.usage) acc.usage = readUsage(data.usage);
+      const delta = data.choices?.[0]?.delta;
+      if (!delta) return '';
+      (delta.tool_calls || []).forEach(part => {
+        const call = acc.toolCalls[part.index] || (acc.toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      });
+      return delta.content || '';
+    },
+
+    parseError(status, data) {
+      const error = data?.error;
+      if (typeof error === 'string') return error;
+      return error?.message || error?.code || `${label} error ${status}`;
+    },
+
+    isModelError(status, data) {
+      const error = data?.error;
+      return status === 404 || error?.code === 'model_not_found';
+    },
+
+    buildModelsRequest({ baseUrl, apiKey }) {
+      const headers = {};
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      return { url: `${baseUrl.replace(/\/+$/, '')}/models`, headers };
+    },
+
+    parseModels(data) {
+      return Array.isArray(data?.data) ? data.data.map(m => m.id) : [];
+    }
+  };
+}
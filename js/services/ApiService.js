@@ -1,14 +1,127 @@
 /**
- * @fileoverview Servicio de llamadas al backend: chat (proxy OpenAI) y tier.
- * La API key de OpenAI NUNCA se envía desde el cliente; el backend la inyecta.
+ * @fileoverview Servicio de llamadas al backend: chat (proxy al proveedor de IA) y tier.
+ * En modo servidor (hosted) la API key NUNCA se envía desde el cliente; el backend la inyecta.
  * 
- * BYOK Mode: When user provides their own OpenAI API key, chatDirect() calls OpenAI directly
+ * BYOK Mode: When user provides their own API key, chatDirect() calls the selected provider
+ * (OpenAI, Anthropic, Ollama or any OpenAI-compatible server) directly through its adapter.
+ * Both paths go through fetchWithRetry() (timeout, retries with backoff, offline waiting).
  */
 
 import { buildSystemPrompt } from '../utils/promptBuilder.js';
+import { getProvider, getModelInfo, filterChatModels } from '../providers/index.js';
+import { fetchWithRetry, parseRetryAfter, TimeoutError } from '../utils/request.js';
+import { estimateMessagesTokens, estimateTokens } from '../utils/tokenBudget.js';
 
-const DEFAULT_MODEL = 'gpt-4o-mini';
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const MAX_TOOL_ROUNDS = 4;
+const MODELS_TIMEOUT_MS = 15000;
+const MAX_TOKENS = 500;
+const TEMPERATURE = 0.7;
+
+function isAbortError(e) {
+  return e && (e.name === 'AbortError' || e.code === 20);
+}
+
+/**
+ * Reads a provider's SSE stream (`data: {...}` lines; OpenAI ends with `data: [DONE]`)
+ * and reports each content delta as it arrives. The provider adapter turns each event
+ * into text and merges tool-call fragments.
+ * If the request is aborted, the partial content received so far is kept.
+ * @param {Response} res
+ * @param {(delta: string, content: string) => void} onDelta
+ * @param {import('../providers/index.js').Provider} provider
+ * @returns {Promise<{ content: string, toolCalls?: Array<Object>, usage?: Object, aborted?: boolean }>}
+ */
+async function readChatStream(res, onDelta, provider) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+  const acc = { toolCalls: [], usage: null };
+
+  const result = (extra = {}) => {
+    // Sparse when the provider numbers blocks across text and tool calls (Anthropic)
+    const toolCalls = acc.toolCalls.filter(Boolean);
+    const out = toolCalls.length > 0 ? { content, toolCalls, ...extra } : { content, ...extra };
+    if (acc.usage) out.usage = acc.usage;
+    return out;
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return result();
+
+        let data;
+        try {
+          data = JSON.parse(payload);
+        } catch {
+          continue;
+        }
+        const delta = provider.readStreamEvent(data, acc);
+        if (delta) {
+          content += delta;
+          onDelta(delta, content);
+        }
+      }
+    }
+  } catch (e) {
+    if (isAbortError(e)) return result({ aborted: true });
+    throw e;
+  }
+
+  return result();
+}
+
+function errorText(error, fallback) {
+  return typeof error === 'string' ? error : (error.message || error.code || fallback);
+}
+
+/**
+ * Token usage of a BYOK round; estimated from the text when the provider did not report it
+ * (servers without usage, or a stream cut with Stop).
+ * @param {Object} result - Parsed response or stream result
+ * @param {Array<Object>} conversation - What was sent
+ */
+function withUsage(result, conversation) {
+  if (result.usage) return result;
+  const toolArguments = (result.toolCalls || []).map(call => call.function?.arguments || '').join('');
+  return {
+    ...result,
+    usage: {
+      inputTokens: estimateMessagesTokens(conversation),
+      outputTokens: estimateTokens(result.content) + estimateTokens(toolArguments),
+      estimated: true
+    }
+  };
+}
+
+/** Adds up the usage of the rounds of one answer (tool calls make several). */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    estimated: Boolean(total.estimated || usage.estimated)
+  };
+}
+
+/** "Rate limit exceeded" with the wait the provider asked for, once the retries are used up. */
+function rateLimitText(res) {
+  const retryAfter = parseRetryAfter(res.headers);
+  return retryAfter
+    ? `Rate limit exceeded. Try again in ${Math.ceil(retryAfter / 1000)} s.`
+    : 'Rate limit exceeded. Please wait a moment and try again.';
+}
 
 export class ApiService {
   constructor(configService) {
@@ -19,11 +132,28 @@ export class ApiService {
     return this.configService.getApiBaseUrl().replace(/\/+$/, '');
   }
 
+  /**
+   * Options for fetchWithRetry(): the caller's Stop signal and status callback, and the
+   * timeout from Settings.
+   * @private
+   */
+  _requestOptions(options) {
+    return {
+      signal: options.signal,
+      timeoutMs: this.configService.getRequestTimeout() * 1000,
+      onStatus: options.onStatus
+    };
+  }
+
   /**
    * Envía la conversación al backend y devuelve la respuesta del asistente.
+   * Con `onDelta` se pide la respuesta en streaming (SSE reenviado por la función chat).
+   * Con `tools` (ToolService) el modelo puede pedir herramientas, que se ejecutan en el cliente.
+   * Las rondas siguientes de la misma pregunta llevan el token de turno del servidor (X-GM-AI-Turn)
+   * para no contar otro mensaje; `turn` lo pasa a una petición de seguimiento (reparar un bloque).
    * @param {Array<{ role: string, content: string }>} messages
-   * @param {{ model?: string, documentUrls?: string, vaultContext?: string }} options
-   * @returns {Promise<{ content: string, error?: string }>}
+   * @param {{ turn?: string, model?: string, documentUrls?: string, vaultContext?: string, documentContext?: string, srdContext?: string, sceneContext?: string, journalContext?: string, persona?: string, role?: string, playerPolicy?: Object, json?: boolean, maxTokens?: number, tools?: import('./ToolService.js').ToolService, onDelta?: Function, signal?: AbortSignal, onStatus?: (status: import('../utils/request.js').RequestStatus) => void }} options
+   * @returns {Promise<{ content: string, error?: string, aborted?: boolean, limitReached?: boolean, unreachable?: boolean, turn?: string }>}
    */
   async chat(messages, options = {}) {
     const base = this.getBaseUrl();
@@ -31,136 +161,290 @@ export class ApiService {
       return { content: '', error: 'Configure the backend URL in Settings (gear icon).' };
     }
 
+    let turn = options.turn || null;
+    const result = await this._runWithTools([...messages], options, async (conversation, tools, onDelta) => {
+      const round = await this._requestBackend(base, conversation, tools, onDelta, options, turn);
+      if (round.turn) turn = round.turn;
+      return round;
+    });
+    return turn ? { ...result, turn } : result;
+  }
+
+  /**
+   * Calls the provider selected in Settings directly from the client (BYOK mode).
+   * When `onDelta` is given the completion is streamed token by token.
+   * With `tools` (ToolService) the model can call client-side tools (e.g. roll_dice).
+   * @param {string} apiKey - User's API key for that provider (may be empty for local servers)
+   * @param {Array<{ role: string, content: string }>} messages - User/assistant message history
+   * @param {{ model?: string, documentUrls?: string, vaultContext?: string, documentContext?: string, srdContext?: string, sceneContext?: string, journalContext?: string, persona?: string, role?: string, playerPolicy?: Object, json?: boolean, maxTokens?: number, tools?: import('./ToolService.js').ToolService, onDelta?: Function, signal?: AbortSignal, onStatus?: (status: import('../utils/request.js').RequestStatus) => void }} options
+   * @returns {Promise<{ content: string, error?: string, aborted?: boolean, model?: string, usage?: { inputTokens: number, outputTokens: number, estimated?: boolean } }>}
+   *   `usage` adds up every round of the answer; `model` is the one that was asked
+   */
+  async chatDirect(apiKey, messages, options = {}) {
+    const provider = this.configService.getLlmProvider();
+    const keyError = provider.validateKey(apiKey);
+    if (keyError) {
+      return { content: '', error: keyError };
+    }
+    const baseUrl = this.configService.getEffectiveLlmBaseUrl();
+    if (!baseUrl) {
+      return { content: '', error: `Set the endpoint URL for ${provider.label} in Settings (gear icon).` };
+    }
+    const model = options.model || this.configService.getAiModel() || provider.defaultModel;
+    // Models without function calling get no tools (and no tool instructions in the prompt)
+    if (!getModelInfo(model).tools) options = { ...options, tools: undefined };
+
+    // Build system prompt using document URLs and vault context
+    const systemPrompt = buildSystemPrompt(
+      options.documentUrls || this.configService.getDocumentUrls(),
+      options.vaultContext || '',
+      {
+        documentContext: options.documentContext || '',
+        srdContext: options.srdContext || '',
+        sceneContext: options.sceneContext || '',
+        journalContext: options.journalContext || '',
+        persona: options.persona ?? this.configService.getPersona(),
+        toolsEnabled: Boolean(options.tools?.hasTools()),
+        json: Boolean(options.json),
+        role: options.role,
+        playerPolicy: options.playerPolicy
+      }
+    );
+
+    // Construct messages array with system prompt
+    const fullMessages = [
+      { role: 'system', content: systemPrompt },
+      ...messages
+    ];
+
+    const result = await this._runWithTools(fullMessages, options, (conversation, tools, onDelta) =>
+      this._requestDirect(provider, baseUrl, apiKey, model, conversation, tools, onDelta, options)
+    );
+    return { ...result, model };
+  }
+
+  /**
+   * Chat models offered by a provider (its /v1/models list), known models first.
+   * @param {{ providerId?: string, baseUrl?: string, apiKey?: string, signal?: AbortSignal }} [options] - Default to the saved settings
+   * @returns {Promise<{ models: string[], error?: string }>}
+   */
+  async listModels(options = {}) {
+    const provider = getProvider(options.providerId || this.configService.getLlmProvider().id);
+    const baseUrl = (options.baseUrl || this.configService.getLlmBaseUrl() || provider.defaultBaseUrl).replace(/\/+$/, '');
+    const apiKey = options.apiKey ?? this.configService.getApiKey(provider.id);
+    if (!baseUrl) return { models: [], error: `Set the endpoint URL for ${provider.label} to list its models.` };
+    const keyError = provider.validateKey(apiKey);
+    if (keyError) return { models: [], error: keyError };
+
+    try {
+      const request = provider.buildModelsRequest({ baseUrl, apiKey });
+      const res = await fetchWithRetry(request.url, { headers: request.headers }, {
+        signal: options.signal,
+        timeoutMs: MODELS_TIMEOUT_MS,
+        maxRetries: 1
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) return { models: [], error: provider.parseError(res.status, data) };
+      return { models: filterChatModels(provider.parseModels(data)) };
+    } catch (e) {
+      if (isAbortError(e)) return { models: [] };
+      console.warn('[GM AI] ApiService: error listing models', e);
+      return { models: [], error: e.message || 'Could not list the models.' };
+    }
+  }
+
+  /**
+   * Tool-calling loop: sends the conversation, runs any tool calls the model makes,
+   * appends their results and asks again, until the model answers with text.
+   * The last round is sent without tools so the model has to answer.
+   * @param {Array<Object>} conversation - Mutated with assistant tool calls and tool results
+   * @param {Object} options - chat()/chatDirect() options
+   * @param {(conversation: Array<Object>, tools: Array<Object>|null, onDelta?: Function) => Promise<Object>} send
+   * @returns {Promise<{ content: string, error?: string, aborted?: boolean }>}
+   * @private
+   */
+  async _runWithTools(conversation, options, send) {
+    const toolService = options.tools && options.tools.hasTools() ? options.tools : null;
+    let previous = '';
+    let usage;
+
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const tools = toolService && round < MAX_TOOL_ROUNDS ? toolService.getDefinitions() : null;
+      // Text written before a tool call stays visible while the next round streams
+      const prefix = previous ? previous + '\n\n' : '';
+      const onDelta = options.onDelta
+        ? (delta, content) => options.onDelta(delta, prefix + content)
+        : undefined;
+
+      const result = await send(conversation, tools, onDelta);
+      const content = (prefix + (result.content || '')).trim();
+      usage = addUsage(usage, result.usage);
+
+      if (result.error || result.aborted || !result.toolCalls || result.toolCalls.length === 0) {
+        const { toolCalls, usage: _, ...rest } = result;
+        return usage ? { ...rest, content, usage } : { ...rest, content };
+      }
+
+      conversation.push({ role: 'assistant', content: result.content || null, tool_calls: result.toolCalls });
+      for (const call of result.toolCalls) {
+        if (options.signal?.aborted) return { content, aborted: true, usage };
+        const output = await toolService.execute(call.function.name, call.function.arguments);
+        conversation.push({ role: 'tool', tool_call_id: call.id, content: output });
+      }
+      previous = content;
+    }
+
+    return { content: previous, usage };
+  }
+
+  /**
+   * One request to the Netlify chat function.
+   * @private
+   */
+  async _requestBackend(base, conversation, tools, onDelta, options, turn) {
     const url = `${base}/.netlify/functions/chat`;
     const body = {
-      messages,
-      model: options.model || this.configService.getAiModel() || DEFAULT_MODEL,
+      messages: conversation,
+      // The server picks its own model unless one is asked for explicitly
+      model: options.model,
       documentUrls: options.documentUrls || this.configService.getDocumentUrls(),
-      vaultContext: options.vaultContext || ''
+      vaultContext: options.vaultContext || '',
+      documentContext: options.documentContext || '',
+      srdContext: options.srdContext || '',
+      sceneContext: options.sceneContext || '',
+      journalContext: options.journalContext || '',
+      persona: options.persona ?? this.configService.getPersona(),
+      role: options.role,
+      playerPolicy: options.playerPolicy,
+      json: Boolean(options.json),
+      maxTokens: options.maxTokens,
+      stream: Boolean(onDelta)
     };
+    if (tools) {
+      body.tools = tools;
+    }
 
     const token = this.configService.getPatreonToken();
     const headers = {
       'Content-Type': 'application/json',
-      Accept: 'application/json'
+      Accept: 'application/json',
+      // The backend counts the free-tier quota per user
+      'X-User-Id': this.configService.getUserId()
     };
     if (token) {
       headers['X-Patreon-Token'] = token;
     }
+    if (turn) {
+      headers['X-GM-AI-Turn'] = turn;
+    }
 
     try {
-      const res = await fetch(url, {
+      const res = await fetchWithRetry(url, {
         method: 'POST',
         headers,
         body: JSON.stringify(body)
-      });
+      }, this._requestOptions(options));
+
+      const contentType = res.headers.get('Content-Type') || '';
+      // Issued when the server counted this question; sent back with its follow-up rounds
+      const newTurn = res.headers.get('X-GM-AI-Turn');
+      const withTurn = (result) => newTurn ? { ...result, turn: newTurn } : result;
+      if (res.ok && onDelta && contentType.includes('text/event-stream')) {
+        // The function passes the provider's stream through and says which one it is
+        return withTurn(await readChatStream(res, onDelta, getProvider(res.headers.get('X-LLM-Provider'))));
+      }
 
       const data = await res.json().catch(() => ({}));
 
       if (!res.ok) {
-        const msg = data.error || data.message || `Error ${res.status}`;
-        return { content: '', error: msg };
+        const msg = res.status === 429 ? rateLimitText(res) : (data.error || data.message || `Error ${res.status}`);
+        // Gateway errors: the function is down or timed out, not a problem with the request
+        return { content: '', error: errorText(msg, `Error ${res.status}`), unreachable: res.status === 404 || res.status >= 502 };
       }
 
       if (data.limitReached) {
-        return { content: '', error: 'Message limit reached.' };
+        return { content: '', error: 'Daily message limit reached.', limitReached: true };
       }
 
       if (data.error) {
-        return { content: '', error: typeof data.error === 'string' ? data.error : (data.error.message || data.error.code || 'Server error') };
+        return { content: '', error: errorText(data.error, 'Server error') };
       }
 
-      const content = (data.choices && data.choices[0] && data.choices[0].message)
-        ? data.choices[0].message.content
-        : (data.content || '');
-      return { content: (content || '').trim() };
+      const message = data.choices && data.choices[0] && data.choices[0].message;
+      return withTurn({
+        content: ((message ? message.content : data.content) || '').trim(),
+        toolCalls: message?.tool_calls
+      });
     } catch (e) {
+      if (isAbortError(e)) return { content: '', aborted: true };
+      if (e instanceof TimeoutError) return { content: '', error: e.message, unreachable: true };
       console.error('[GM AI] ApiService chat error', e);
-      return { content: '', error: e.message || 'Connection error.' };
+      return { content: '', error: e.message || 'Connection error.', unreachable: true };
     }
   }
 
   /**
-   * Calls OpenAI directly from the client using user's API key (BYOK mode)
-   * @param {string} apiKey - User's OpenAI API key
-   * @param {Array<{ role: string, content: string }>} messages - User/assistant message history
-   * @param {{ model?: string, documentUrls?: string, vaultContext?: string }} options
-   * @returns {Promise<{ content: string, error?: string }>}
+   * One request straight to the provider (BYOK).
+   * @param {import('../providers/index.js').Provider} provider
+   * @param {string} baseUrl
+   * @private
    */
-  async chatDirect(apiKey, messages, options = {}) {
-    if (!apiKey || !apiKey.startsWith('sk-')) {
-      return { 
-        content: '', 
-        error: 'OpenAI API key is required. Please add your key in Settings (gear icon).' 
-      };
-    }
-
+  async _requestDirect(provider, baseUrl, apiKey, model, conversation, tools, onDelta, options) {
+    // Models that cannot stream answer in one piece
+    const stream = Boolean(onDelta) && getModelInfo(model).streaming;
     try {
-      // Build system prompt using document URLs and vault context
-      const systemPrompt = buildSystemPrompt(
-        options.documentUrls || this.configService.getDocumentUrls(),
-        options.vaultContext || ''
-      );
-
-      // Construct messages array with system prompt
-      const fullMessages = [
-        { role: 'system', content: systemPrompt },
-        ...messages
-      ];
-
-      const body = {
-        model: options.model || this.configService.getAiModel() || DEFAULT_MODEL,
-        messages: fullMessages,
-        temperature: 0.7,
-        max_tokens: 500
-      };
+      const request = provider.buildRequest({
+        baseUrl,
+        apiKey,
+        model,
+        messages: conversation,
+        tools,
+        stream,
+        maxTokens: options.maxTokens || MAX_TOKENS,
+        temperature: TEMPERATURE,
+        json: Boolean(options.json)
+      });
 
-      const res = await fetch(OPENAI_API_URL, {
+      const res = await fetchWithRetry(request.url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify(body)
-      });
+        headers: request.headers,
+        body: JSON.stringify(request.body)
+      }, this._requestOptions(options));
+
+      if (res.ok && stream) {
+        return withUsage(await readChatStream(res, onDelta, provider), conversation);
+      }
 
       const data = await res.json().catch(() => ({}));
 
       if (!res.ok) {
-        let errorMsg = 'OpenAI API error';
+        let errorMsg;
         
         if (res.status === 401) {
-          errorMsg = 'Invalid API key. Please check your OpenAI API key in Settings.';
+          errorMsg = `Invalid API key. Please check your ${provider.label} API key in Settings.`;
         } else if (res.status === 429) {
-          errorMsg = 'Rate limit exceeded. Please wait a moment and try again.';
+          errorMsg = rateLimitText(res);
         } else if (res.status === 403) {
           errorMsg = 'Access denied. Check your API key permissions.';
-        } else if (data.error) {
-          errorMsg = data.error.message || data.error.code || errorMsg;
+        } else {
+          errorMsg = provider.parseError(res.status, data);
         }
         
         return { content: '', error: errorMsg };
       }
 
       if (data.error) {
-        return { 
-          content: '', 
-          error: typeof data.error === 'string' 
-            ? data.error 
-            : (data.error.message || data.error.code || 'OpenAI API error') 
-        };
+        return { content: '', error: provider.parseError(res.status, data) };
       }
 
-      const content = (data.choices && data.choices[0] && data.choices[0].message)
-        ? data.choices[0].message.content
-        : '';
-      
-      return { content: (content || '').trim() };
+      return withUsage(provider.parseResponse(data), conversation);
     } catch (e) {
+      if (isAbortError(e)) return { content: '', aborted: true };
+      if (e instanceof TimeoutError) return { content: '', error: e.message };
       console.error('[GM AI] ApiService chatDirect error', e);
       return { 
         content: '', 
-        error: e.message || 'Connection error. Check your internet connection.' 
+        error: e.message || `Connection error. Check your internet connection and the ${provider.label} endpoint.` 
       };
     }
   }
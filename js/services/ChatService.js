@@ -1,52 +1,350 @@
 /**
  * @fileoverview Servicio de estado del chat: historial de mensajes y lógica de conversación.
+ * Keeps several named threads; the message methods always act on the active thread.
+ * With a ConversationStore attached, every change is persisted. When the browser storage is full,
+ * the least recently used threads are left out of the saved copy (still open until reload) and
+ * the persist-error handler is told.
+ * History sent to the model is cut to a token budget; turns that no longer fit are
+ * condensed into a running summary stored on the thread (`summary: { content, upTo }`).
  */
 
-const MAX_MESSAGES_IN_CONTEXT = 30;
+import { estimateMessagesTokens } from '../utils/tokenBudget.js';
+
+const DEFAULT_THREAD_TITLE = 'New conversation';
+const AUTO_TITLE_MAX_LENGTH = 40;
+
+function createId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function createThread(title) {
+  const now = Date.now();
+  return {
+    id: createId(),
+    title: title || DEFAULT_THREAD_TITLE,
+    createdAt: now,
+    updatedAt: now,
+    messages: []
+  };
+}
 
 export class ChatService {
   constructor() {
-    this._messages = [];
+    this._store = null;
+    this._onPersistError = null;
+    /** Threads left out of the last save (0: everything saved), to report each change once */
+    this._unsavedThreads = 0;
+    this._threads = [createThread()];
+    this._activeId = this._threads[0].id;
+  }
+
+  /**
+   * Attaches a ConversationStore and restores its threads (and active thread).
+   * @param {import('./ConversationStore.js').ConversationStore} store
+   */
+  useStore(store) {
+    this._store = store;
+    const { activeId, threads } = store.load();
+    if (threads.length > 0) {
+      this._threads = threads;
+      this._activeId = threads.some(t => t.id === activeId) ? activeId : threads[0].id;
+    } else {
+      this._persist();
+    }
+  }
+
+  /**
+   * @param {(error: { unsaved: number, total: number }) => void} callback - Called when threads
+   *   could not be saved (`unsaved` of `total`; equal when nothing could be saved)
+   */
+  setOnPersistError(callback) {
+    this._onPersistError = callback;
+  }
+
+  _persist() {
+    if (!this._store) return;
+    // Storage full: retry without the least recently used threads, keeping the active one
+    const byUse = [...this._threads]
+      .filter(t => t.id !== this._activeId)
+      .sort((a, b) => a.updatedAt - b.updatedAt);
+    let kept = this._threads;
+    let saved = this._store.save({ activeId: this._activeId, threads: kept });
+    while (!saved && byUse.length > 0) {
+      const dropped = byUse.shift();
+      kept = kept.filter(t => t !== dropped);
+      saved = this._store.save({ activeId: this._activeId, threads: kept });
+    }
+    const unsaved = saved ? this._threads.length - kept.length : this._threads.length;
+    if (unsaved !== this._unsavedThreads) {
+      this._unsavedThreads = unsaved;
+      if (unsaved > 0) this._onPersistError?.({ unsaved, total: this._threads.length });
+    }
+  }
+
+  _activeThread() {
+    let thread = this._threads.find(t => t.id === this._activeId);
+    if (!thread) {
+      thread = createThread();
+      this._threads.unshift(thread);
+      this._activeId = thread.id;
+    }
+    return thread;
+  }
+
+  _push(message) {
+    const thread = this._activeThread();
+    thread.messages.push(message);
+    thread.updatedAt = Date.now();
+    if (message.role === 'user' && message.content && thread.title === DEFAULT_THREAD_TITLE) {
+      thread.title = message.content.length > AUTO_TITLE_MAX_LENGTH
+        ? message.content.slice(0, AUTO_TITLE_MAX_LENGTH - 1).trimEnd() + '…'
+        : message.content;
+    }
+  }
+
+  // --- Threads ---
+
+  /**
+   * Threads sorted by last activity (most recent first), without their messages.
+   * @returns {Array<{ id: string, title: string, createdAt: number, updatedAt: number, messageCount: number }>}
+   */
+  listThreads() {
+    return this._threads
+      .map(t => ({ id: t.id, title: t.title, createdAt: t.createdAt, updatedAt: t.updatedAt, messageCount: t.messages.length }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * A copy of a thread with its messages (for export).
+   * @param {string} id
+   * @returns {{ id: string, title: string, createdAt: number, updatedAt: number, messages: Array<Object>, summary?: Object }|null}
+   */
+  getThread(id) {
+    const thread = this._threads.find(t => t.id === id);
+    return thread ? structuredClone(thread) : null;
+  }
+
+  getActiveThreadId() {
+    return this._activeThread().id;
+  }
+
+  getActiveThreadTitle() {
+    return this._activeThread().title;
+  }
+
+  /**
+   * Creates a new empty thread and makes it active.
+   * @param {string} [title]
+   * @returns {string} New thread id
+   */
+  createThread(title) {
+    const thread = createThread((title || '').trim());
+    this._threads.unshift(thread);
+    this._activeId = thread.id;
+    this._persist();
+    return thread.id;
   }
 
+  /**
+   * @param {string} id
+   * @returns {boolean} True if the thread exists
+   */
+  switchThread(id) {
+    if (!this._threads.some(t => t.id === id)) return false;
+    this._activeId = id;
+    this._persist();
+    return true;
+  }
+
+  renameThread(id, title) {
+    const thread = this._threads.find(t => t.id === id);
+    const clean = (title || '').trim();
+    if (!thread || !clean) return;
+    thread.title = clean;
+    this._persist();
+  }
+
+  /**
+   * Deletes a thread. If it was the active one, the most recent remaining thread
+   * becomes active (or a fresh one is created).
+   * @param {string} id
+   */
+  deleteThread(id) {
+    this._threads = this._threads.filter(t => t.id !== id);
+    if (this._threads.length === 0) {
+      this._threads.push(createThread());
+    }
+    if (this._activeId === id) {
+      this._activeId = this.listThreads()[0].id;
+    }
+    this._persist();
+  }
+
+  // --- Messages (active thread) ---
+
   getMessages() {
-    return [...this._messages];
+    return [...this._activeThread().messages];
   }
 
   addUserMessage(content) {
-    this._messages.push({ role: 'user', content: (content || '').trim() });
+    this._push({ role: 'user', content: (content || '').trim() });
+    this._persist();
+  }
+
+  /**
+   * Drops the last user message when it went unanswered (e.g. a stat block request
+   * stopped before any reply), so later requests do not carry a dangling question.
+   * A thread title taken from that message goes back to the default.
+   */
+  discardLastUserMessage() {
+    const thread = this._activeThread();
+    const last = thread.messages[thread.messages.length - 1];
+    if (last?.role !== 'user') return;
+    thread.messages.pop();
+    if (!thread.messages.some(m => m.role === 'user' && m.content)) thread.title = DEFAULT_THREAD_TITLE;
+    thread.updatedAt = Date.now();
+    this._persist();
   }
 
-  addAssistantMessage(content) {
-    this._messages.push({ role: 'assistant', content: (content || '').trim() });
+  /**
+   * @param {string} content
+   * @param {Object} [usage] - Tokens and estimated cost of a BYOK answer (UsageService.record())
+   */
+  addAssistantMessage(content, usage) {
+    const message = { role: 'assistant', content: (content || '').trim() };
+    if (usage) message.usage = usage;
+    this._push(message);
+    this._persist();
+  }
+
+  /**
+   * Stores an encounter card. `content` is its text form, which is what the model sees
+   * in later turns; the encounter object and notes are kept to render the card again.
+   * @param {Object} encounter - From EncounterService.build()
+   * @param {string} content
+   * @param {string} [notes] - Flavor and tactics from the model
+   */
+  addEncounterMessage(encounter, content, notes = '') {
+    const text = notes ? `${content}\n\n${notes}` : content;
+    this._push({ role: 'assistant', content: text.trim(), encounter, notes: notes.trim() });
+    this._persist();
+  }
+
+  /**
+   * Stores a stat block card. `content` is its Markdown form (what the model sees later);
+   * the stat block object is kept to render the card again.
+   * @param {Object} statBlock - Valid stat block (utils/statBlock.js)
+   * @param {string} content
+   */
+  addStatBlockMessage(statBlock, content) {
+    this._push({ role: 'assistant', content: content.trim(), statBlock });
+    this._persist();
   }
 
   addErrorMessage(content) {
-    this._messages.push({ role: 'user', content: '' });
-    this._messages.push({ role: 'assistant', content: content || 'Unknown error.', isError: true });
+    this._push({ role: 'user', content: '' });
+    this._push({ role: 'assistant', content: content || 'Unknown error.', isError: true });
+    this._persist();
   }
 
   /**
-   * Mensajes en formato API OpenAI (sistema + usuario/asistente), con límite para contexto.
+   * Mensajes en formato API OpenAI (sistema + resumen + usuario/asistente) dentro de un presupuesto.
+   * The newest turns are kept whole; turns already summarized are replaced by the summary,
+   * and anything else that does not fit is left out (see getSummaryCandidates()).
+   * @param {string} [systemContent]
+   * @param {{ maxTokens?: number }} [options] - Budget for summary + history
+   * @returns {Array<{ role: string, content: string }>}
    */
-  getApiMessages(systemContent) {
+  getApiMessages(systemContent, { maxTokens = Infinity } = {}) {
+    const thread = this._activeThread();
     const list = [];
     if (systemContent) {
       list.push({ role: 'system', content: systemContent });
     }
-    const fromHistory = this._messages
-      .filter(m => m.role === 'user' || (m.role === 'assistant' && !m.isError))
-      .map(m => ({ role: m.role, content: m.content }))
-      .slice(-MAX_MESSAGES_IN_CONTEXT);
-    list.push(...fromHistory);
+    let budget = maxTokens;
+    if (thread.summary?.content) {
+      const summary = { role: 'system', content: `Summary of the earlier part of this conversation:\n${thread.summary.content}` };
+      list.push(summary);
+      budget -= estimateMessagesTokens([summary]);
+    }
+    const history = this._historyAfterSummary(thread);
+    let start = history.length;
+    // Always keep the latest message, even if it alone is over budget
+    while (start > 0) {
+      const cost = estimateMessagesTokens([history[start - 1]]);
+      if (start < history.length && cost > budget) break;
+      budget -= cost;
+      start--;
+    }
+    list.push(...history.slice(start).map(({ role, content }) => ({ role, content })));
     return list;
   }
 
+  /**
+   * Turns of the active thread that should be folded into the summary, once the history not yet
+   * summarized is over `maxTokens`. Everything older than the newest half of the budget is
+   * returned, so a summary is only needed every few turns rather than on each one.
+   * @param {number} maxTokens
+   * @returns {{ threadId: string, previous: string, messages: Array<{ role: string, content: string }>, upTo: number }|null}
+   */
+  getSummaryCandidates(maxTokens) {
+    const thread = this._activeThread();
+    const history = this._historyAfterSummary(thread);
+    if (estimateMessagesTokens(history) <= maxTokens) return null;
+
+    let keep = 0;
+    let used = 0;
+    while (keep < history.length - 1) {
+      used += estimateMessagesTokens([history[history.length - 1 - keep]]);
+      if (used > maxTokens / 2) break;
+      keep++;
+    }
+    keep = Math.max(1, keep);
+    const older = history.slice(0, history.length - keep);
+    if (older.length === 0) return null;
+    return {
+      threadId: thread.id,
+      previous: thread.summary?.content || '',
+      messages: older.map(({ role, content }) => ({ role, content })),
+      upTo: older[older.length - 1].index + 1
+    };
+  }
+
+  /**
+   * Stores the running summary of a thread (it may no longer be the active one).
+   * @param {string} threadId
+   * @param {string} content - Replaces the previous summary, which it should include
+   * @param {number} upTo - Index in the thread's messages of the first turn not covered
+   */
+  setSummary(threadId, content, upTo) {
+    const thread = this._threads.find(t => t.id === threadId);
+    const clean = (content || '').trim();
+    if (!thread || !clean || upTo <= (thread.summary?.upTo || 0)) return;
+    thread.summary = { content: clean, upTo };
+    this._persist();
+  }
+
+  /** User/assistant turns after the summary, with their index in `thread.messages`. */
+  _historyAfterSummary(thread) {
+    const from = thread.summary?.upTo || 0;
+    return thread.messages
+      .map((m, index) => ({ role: m.role, content: m.content, index, isError: m.isError }))
+      .slice(from)
+      .filter(m => m.content && (m.role === 'user' || (m.role === 'assistant' && !m.isError)));
+  }
+
   clear() {
-    this._messages = [];
+    const thread = this._activeThread();
+    thread.messages = [];
+    delete thread.summary;
+    thread.updatedAt = Date.now();
+    this._persist();
   }
 
   isEmpty() {
-    return this._messages.length === 0;
+    return this._activeThread().messages.length === 0;
   }
 }
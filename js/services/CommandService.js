@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Slash commands typed in the chat input ("/roll 2d20kh1+5", "/spell fireball").
+ * Commands are plain objects registered at startup (see js/commands/builtinCommands.js);
+ * anything can add more with register() without touching the send logic. A handler runs
+ * locally or builds its own prompt; it returns an error message (or false) to keep the input as typed.
+ */
+
+/**
+ * @typedef {Object} Command
+ * @property {string} name - Without the slash, lowercase
+ * @property {string[]} [aliases]
+ * @property {string} [usage] - Argument hint shown in /help and autocomplete, e.g. "<dice>"
+ * @property {boolean} [argsRequired] - Reject the command without arguments (shows the usage)
+ * @property {string} description
+ * @property {boolean} [gmOnly]
+ * @property {(args: string) => (string|boolean|void|Promise<string|boolean|void>)} run - Returns an error
+ *   message to show, or false if it already told the user what went wrong
+ */
+
+const MAX_SUGGESTIONS = 8;
+
+export class CommandService {
+  /**
+   * @param {import('./RoleService.js').RoleService} [roleService] - Hides GM-only commands from players
+   */
+  constructor(roleService = null) {
+    this.roleService = roleService;
+    /** @type {Map<string, Command>} name or alias → command */
+    this._commands = new Map();
+  }
+
+  /**
+   * Adds a command; a later command with the same name or alias replaces the earlier one.
+   * @param {Command} command
+   */
+  register(command) {
+    if (!command?.name || typeof command.run !== 'function') {
+      throw new Error('A command needs a name and a run() handler');
+    }
+    [command.name, ...(command.aliases || [])].forEach(n => this._commands.set(n.toLowerCase(), command));
+  }
+
+  _isAvailable(command) {
+    return !command.gmOnly || !this.roleService || this.roleService.isGM();
+  }
+
+  /**
+   * Commands the current user can run, sorted by name.
+   * @returns {Command[]}
+   */
+  list() {
+    return [...new Set(this._commands.values())]
+      .filter(c => this._isAvailable(c))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} text - Input text
+   * @returns {{ name: string, args: string, command: Command|null }|null} Null if not a command
+   */
+  parse(text) {
+    const match = String(text || '').trim().match(/^\/(\S*)\s*([\s\S]*)$/);
+    if (!match) return null;
+    const name = match[1].toLowerCase();
+    return { name, args: match[2].trim(), command: this._commands.get(name) || null };
+  }
+
+  /**
+   * Autocomplete: commands whose name (or an alias) starts with what follows the slash,
+   * while the user is still typing the command name.
+   * @param {string} text - Current input value
+   * @returns {Command[]}
+   */
+  suggest(text) {
+    const match = String(text || '').match(/^\/(\S*)$/);
+    if (!match) return [];
+    const prefix = match[1].toLowerCase();
+    return this.list()
+      .filter(c => [c.name, ...(c.aliases || [])].some(n => n.startsWith(prefix)))
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Runs the command in `text`.
+   * @param {string} text - e.g. "/monster ogre"
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async run(text) {
+    const parsed = this.parse(text);
+    if (!parsed) return { ok: false, error: 'Not a command.' };
+    const { name, args, command } = parsed;
+    if (!command || !this._isAvailable(command)) {
+      return { ok: false, error: `Unknown command /${name}. Type /help to see the commands.` };
+    }
+    if (command.argsRequired && !args) {
+      return { ok: false, error: `Usage: /${command.name} ${command.usage || ''}`.trim() };
+    }
+    try {
+      const result = await command.run(args);
+      if (typeof result === 'string') return { ok: false, error: result };
+      return { ok: result !== false };
+    } catch (e) {
+      console.warn(`[GM AI] Command /${command.name} failed:`, e);
+      return { ok: false, error: e.message || `/${command.name} failed.` };
+    }
+  }
+}
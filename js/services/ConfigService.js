@@ -1,24 +1,133 @@
 /**
  * @fileoverview Servicio de configuración del plugin GM IA.
- * Persiste en localStorage: URL base del API y token Patreon.
+ * Persiste en localStorage: modo (BYOK o servidor), URL base del API, token Patreon y proveedor de IA.
+ * Los ajustes de campaña (documentos, persona, modelo, contexto de Vault/diario/escena) van por
+ * capas: lo que cada usuario cambia en su navegador, luego lo que el GM publica en la sala
+ * (OBR room metadata, se actualiza en vivo) y luego los valores por defecto.
+ * La configuración completa (sin API keys ni token) se puede exportar e importar como JSON.
+ * Las API keys no se guardan en texto plano: quedan en memoria (solo la sesión) o cifradas con
+ * una frase de contraseña (ver SecretStore). Las keys en texto plano de versiones anteriores se
+ * usan desde memoria y se pide al usuario dónde guardarlas; solo se borran del localStorage cuando
+ * ha elegido un modo y se han guardado en él.
+ * En modo BYOK se puede fijar un tope de gasto diario o mensual (ver UsageService).
  */
 
+import { DEFAULT_PROVIDER_ID, getProvider, listProviders } from '../providers/index.js';
+import { MAX_PERSONA_CHARS } from '../utils/promptBuilder.js';
+import { setRoomMetadata } from '../utils/roomMetadata.js';
+import { SecretStore, MIN_PASSPHRASE_CHARS } from './SecretStore.js';
+
 const STORAGE_KEY_PREFIX = 'gm-ia-';
 const KEY_API_BASE = STORAGE_KEY_PREFIX + 'api-base-url';
 const KEY_PATREON_TOKEN = STORAGE_KEY_PREFIX + 'patreon-token';
 const KEY_DOCUMENT_URLS = STORAGE_KEY_PREFIX + 'document-urls';
 const KEY_AI_MODEL = STORAGE_KEY_PREFIX + 'ai-model';
 const KEY_USE_VAULT = STORAGE_KEY_PREFIX + 'use-vault';
+const KEY_USE_JOURNAL = STORAGE_KEY_PREFIX + 'use-journal';
 const KEY_OPENAI_API_KEY = STORAGE_KEY_PREFIX + 'openai-api-key';
+const KEY_USE_SCENE = STORAGE_KEY_PREFIX + 'use-scene';
+const KEY_ANNOUNCE_ROLLS = STORAGE_KEY_PREFIX + 'announce-rolls';
+const KEY_LLM_PROVIDER = STORAGE_KEY_PREFIX + 'llm-provider';
+const KEY_LLM_BASE_URL = STORAGE_KEY_PREFIX + 'llm-base-url';
+const KEY_USER_ID = STORAGE_KEY_PREFIX + 'user-id';
+const KEY_CHAT_MODE = STORAGE_KEY_PREFIX + 'chat-mode';
+const KEY_PERSONA = STORAGE_KEY_PREFIX + 'persona';
+const KEY_REQUEST_TIMEOUT = STORAGE_KEY_PREFIX + 'request-timeout';
+const KEY_BUDGET_CAP = STORAGE_KEY_PREFIX + 'budget-cap';
+const KEY_BUDGET_PERIOD = STORAGE_KEY_PREFIX + 'budget-period';
+
+/** Room settings published by the GM: the layered settings plus allowedModels and updatedAt */
+const ROOM_METADATA_CONFIG = 'com.gm-ia/roomConfig';
+
+/**
+ * Settings that can come from the room. A user's own value (localStorage key present)
+ * overrides the room's, and the room's overrides the default.
+ */
+const LAYERED_SETTINGS = {
+  documentUrls: { key: KEY_DOCUMENT_URLS, type: 'string' },
+  aiModel: { key: KEY_AI_MODEL, type: 'string' },
+  persona: { key: KEY_PERSONA, type: 'string' },
+  useVault: { key: KEY_USE_VAULT, type: 'boolean' },
+  useJournal: { key: KEY_USE_JOURNAL, type: 'boolean' },
+  useScene: { key: KEY_USE_SCENE, type: 'boolean' }
+};
+
+// Room settings have a 3 KB share of the room metadata (ROOM_METADATA_CAPS)
+const MAX_ROOM_TEXT_CHARS = 1200;
+const MAX_ALLOWED_MODELS = 20;
+
+const CONFIG_EXPORT_FORMAT = 'gm-ai-config';
+const CONFIG_EXPORT_VERSION = 1;
+
+/** Seconds to wait for an answer to start (slow local models may need more) */
+const DEFAULT_REQUEST_TIMEOUT = 60;
+const MIN_REQUEST_TIMEOUT = 10;
+const MAX_REQUEST_TIMEOUT = 600;
+
+export const BUDGET_PERIODS = ['day', 'month'];
+
+/** byok: the user's own provider and key, no limits. hosted: the Netlify backend (tiers, limits). */
+const CHAT_MODES = ['byok', 'hosted'];
+
+/**
+ * Keeps the known room settings with the right types.
+ * @param {*} raw - Value of the room metadata key
+ * @returns {Object}
+ */
+function normalizeRoomSettings(raw) {
+  const settings = {};
+  if (!raw || typeof raw !== 'object') return settings;
+  for (const [name, { type }] of Object.entries(LAYERED_SETTINGS)) {
+    if (typeof raw[name] !== type) continue;
+    settings[name] = type === 'string' ? raw[name].trim().slice(0, name === 'persona' ? MAX_PERSONA_CHARS : MAX_ROOM_TEXT_CHARS) : raw[name];
+  }
+  if (settings.aiModel === '') delete settings.aiModel;
+  if (Array.isArray(raw.allowedModels)) {
+    const models = raw.allowedModels.filter(m => typeof m === 'string').map(m => m.trim()).filter(Boolean);
+    if (models.length > 0) settings.allowedModels = [...new Set(models)].slice(0, MAX_ALLOWED_MODELS);
+  }
+  if (Number.isFinite(raw.updatedAt)) settings.updatedAt = raw.updatedAt;
+  return settings;
+}
+
+/** localStorage key of a provider's plaintext API key (older versions; only read to migrate) */
+function apiKeyStorageKey(providerId) {
+  return providerId === 'openai' ? KEY_OPENAI_API_KEY : `${STORAGE_KEY_PREFIX}api-key-${providerId}`;
+}
+
+/**
+ * Enough of a key to recognize it, e.g. "sk-…a1b2".
+ * @param {string} key
+ * @returns {string}
+ */
+function maskKey(key) {
+  if (!key) return '';
+  return key.length > 12 ? `${key.slice(0, 3)}…${key.slice(-4)}` : '••••';
+}
 
 export class ConfigService {
   constructor() {
+    this.OBR = null;
     this._apiBaseUrl = null;
     this._patreonToken = null;
-    this._documentUrls = null;
-    this._aiModel = null;
-    this._useVault = null;
-    this._openaiApiKey = null;
+    /** Own values of the layered settings (only the ones this user changed) */
+    this._overrides = {};
+    /** Settings published to the room by the GM */
+    this._room = {};
+    this._roomListeners = [];
+    /** Decrypted API keys by provider id, in memory only */
+    this._apiKeys = {};
+    this.secretStore = new SecretStore();
+    this._llmProvider = null;
+    this._llmBaseUrl = null;
+    this._announceRolls = null;
+    this._requestTimeout = DEFAULT_REQUEST_TIMEOUT;
+    this._budgetCap = 0;
+    this._budgetPeriod = 'month';
+    this._userId = null;
+    this._chatMode = null;
+    /** Providers whose plaintext key was found on load, until a storage mode is chosen and saved */
+    this._migratedKeys = [];
     this._load();
   }
 
@@ -28,15 +137,219 @@ export class ConfigService {
       const defaultBaseUrl = window.location.origin;
       this._apiBaseUrl = localStorage.getItem(KEY_API_BASE) || defaultBaseUrl;
       this._patreonToken = localStorage.getItem(KEY_PATREON_TOKEN) || '';
-      this._documentUrls = localStorage.getItem(KEY_DOCUMENT_URLS) || '';
-      this._aiModel = localStorage.getItem(KEY_AI_MODEL) || 'gpt-4o-mini';
-      this._useVault = localStorage.getItem(KEY_USE_VAULT) === 'true';
-      this._openaiApiKey = localStorage.getItem(KEY_OPENAI_API_KEY) || '';
+      this._llmProvider = getProvider(localStorage.getItem(KEY_LLM_PROVIDER) || DEFAULT_PROVIDER_ID).id;
+      this._llmBaseUrl = localStorage.getItem(KEY_LLM_BASE_URL) || '';
+      // Plaintext keys from older versions: used from memory, and left in storage until the
+      // user has chosen where to keep them (a reload before that must not lose them)
+      for (const { id } of listProviders()) {
+        const key = localStorage.getItem(apiKeyStorageKey(id));
+        if (key === null) continue;
+        if (key) this._apiKeys[id] = key;
+        this._migratedKeys.push(id);
+      }
+      for (const [name, { key, type }] of Object.entries(LAYERED_SETTINGS)) {
+        const raw = localStorage.getItem(key);
+        if (raw === null || (name === 'aiModel' && !raw)) continue;
+        this._overrides[name] = type === 'boolean' ? raw === 'true' : raw;
+      }
+      this._announceRolls = localStorage.getItem(KEY_ANNOUNCE_ROLLS) === 'true';
+      const timeout = parseInt(localStorage.getItem(KEY_REQUEST_TIMEOUT), 10);
+      if (Number.isFinite(timeout)) this._requestTimeout = timeout;
+      const cap = parseFloat(localStorage.getItem(KEY_BUDGET_CAP));
+      if (Number.isFinite(cap) && cap > 0) this._budgetCap = cap;
+      const period = localStorage.getItem(KEY_BUDGET_PERIOD);
+      if (BUDGET_PERIODS.includes(period)) this._budgetPeriod = period;
+      this._chatMode = localStorage.getItem(KEY_CHAT_MODE);
     } catch (e) {
       console.warn('[GM AI] ConfigService: error loading config', e);
     }
   }
 
+  // --- Room settings (layered) ---
+
+  /**
+   * Reads the room settings and follows the GM's changes.
+   * @param {Object} obr - OBR SDK instance
+   */
+  async init(obr) {
+    if (!obr) return;
+    this.OBR = obr;
+    try {
+      const metadata = await obr.room.getMetadata();
+      this._room = normalizeRoomSettings(metadata?.[ROOM_METADATA_CONFIG]);
+      obr.room.onMetadataChange((metadata) => {
+        const next = normalizeRoomSettings(metadata?.[ROOM_METADATA_CONFIG]);
+        if (JSON.stringify(next) !== JSON.stringify(this._room)) {
+          this._room = next;
+          this._emitRoomChange();
+        }
+      });
+    } catch (e) {
+      console.warn('[GM AI] ConfigService: error reading room settings', e);
+    }
+  }
+
+  /**
+   * Called when the GM publishes new room settings.
+   * @param {(settings: Object) => void} fn
+   */
+  onRoomSettingsChange(fn) {
+    this._roomListeners.push(fn);
+  }
+
+  _emitRoomChange() {
+    this._roomListeners.forEach(fn => {
+      try {
+        fn(this.getRoomSettings());
+      } catch (e) {
+        console.warn('[GM AI] ConfigService room listener failed', e);
+      }
+    });
+  }
+
+  /** @returns {Object} Settings published to the room (empty if none) */
+  getRoomSettings() {
+    return structuredClone(this._room);
+  }
+
+  /**
+   * Publishes settings to the room for everyone (call it for the GM only). Replaces the previous ones.
+   * @param {{ documentUrls?: string, aiModel?: string, persona?: string, useVault?: boolean, useJournal?: boolean, useScene?: boolean, allowedModels?: string[] }} settings
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async publishRoomSettings(settings) {
+    const room = normalizeRoomSettings({ ...settings, updatedAt: Date.now() });
+    if (!this.OBR) return { ok: false, error: 'Room settings need Owlbear Rodeo.' };
+    const saved = await setRoomMetadata(this.OBR, ROOM_METADATA_CONFIG, room);
+    if (saved.ok) this._room = room;
+    return saved;
+  }
+
+  /**
+   * The layered settings as they are now (own value, room value or default): what the GM publishes.
+   * @returns {Object}
+   */
+  getLayeredSettings() {
+    return Object.fromEntries(Object.keys(LAYERED_SETTINGS).map(name => [name, this._get(name)]));
+  }
+
+  /** @returns {boolean} Whether this user changed a setting that the room also sets */
+  hasRoomOverrides() {
+    return Object.keys(this._overrides).some(name => this._room[name] !== undefined);
+  }
+
+  /** Drops this user's own values of the layered settings, so the room's (or defaults) apply. */
+  clearOverrides() {
+    for (const name of Object.keys(this._overrides)) this._removeOverride(name);
+  }
+
+  _default(name) {
+    if (name === 'aiModel') return this.getLlmProvider().defaultModel;
+    return LAYERED_SETTINGS[name].type === 'boolean' ? false : '';
+  }
+
+  _inherited(name) {
+    return this._room[name] !== undefined ? this._room[name] : this._default(name);
+  }
+
+  _get(name) {
+    return this._overrides[name] !== undefined ? this._overrides[name] : this._inherited(name);
+  }
+
+  /** Stores a user value; a value equal to the room's (or default) is not an override. */
+  _set(name, value) {
+    const { key, type } = LAYERED_SETTINGS[name];
+    if (value === this._inherited(name)) {
+      this._removeOverride(name);
+      return;
+    }
+    this._overrides[name] = value;
+    try {
+      localStorage.setItem(key, type === 'boolean' ? String(value) : value);
+    } catch (e) {
+      console.warn(`[GM AI] ConfigService: error saving ${name}`, e);
+    }
+  }
+
+  _removeOverride(name) {
+    delete this._overrides[name];
+    try {
+      localStorage.removeItem(LAYERED_SETTINGS[name].key);
+    } catch (e) {
+      console.warn(`[GM AI] ConfigService: error saving ${name}`, e);
+    }
+  }
+
+  // --- Import / export ---
+
+  /**
+   * The whole configuration as JSON: this user's settings and the room's. API keys and the
+   * Patreon session are left out.
+   * @param {Object} [playerPolicy] - Player permissions (RoleService), included for the GM
+   * @returns {string}
+   */
+  exportConfig(playerPolicy) {
+    const data = {
+      format: CONFIG_EXPORT_FORMAT,
+      version: CONFIG_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      user: {
+        chatMode: this.getChatMode(),
+        apiBaseUrl: this.getApiBaseUrl(),
+        llmProvider: this.getLlmProvider().id,
+        llmBaseUrl: this.getLlmBaseUrl(),
+        announceRolls: this.getAnnounceRolls(),
+        requestTimeout: this.getRequestTimeout(),
+        budgetCap: this.getBudgetCap(),
+        budgetPeriod: this.getBudgetPeriod(),
+        ...this._overrides
+      },
+      room: this.getRoomSettings()
+    };
+    if (playerPolicy) data.playerPolicy = playerPolicy;
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Applies this user's part of an exported configuration. The room part and player
+   * permissions are returned for the GM to publish.
+   * @param {string} text - JSON from exportConfig()
+   * @returns {{ ok: boolean, error?: string, room?: Object, playerPolicy?: Object }}
+   */
+  importConfig(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { ok: false, error: `The file is not valid JSON (${e.message}).` };
+    }
+    if (data?.format !== CONFIG_EXPORT_FORMAT || typeof data.user !== 'object' || !data.user) {
+      return { ok: false, error: 'This is not a GM AI settings file.' };
+    }
+    if (data.version > CONFIG_EXPORT_VERSION) {
+      return { ok: false, error: 'This settings file comes from a newer version of GM AI.' };
+    }
+
+    const user = data.user;
+    if (typeof user.chatMode === 'string') this.setChatMode(user.chatMode);
+    if (typeof user.apiBaseUrl === 'string') this.setApiBaseUrl(user.apiBaseUrl);
+    if (typeof user.llmProvider === 'string') this.setLlmProvider(user.llmProvider);
+    if (typeof user.llmBaseUrl === 'string') this.setLlmBaseUrl(user.llmBaseUrl);
+    if (typeof user.announceRolls === 'boolean') this.setAnnounceRolls(user.announceRolls);
+    if (typeof user.requestTimeout === 'number') this.setRequestTimeout(user.requestTimeout);
+    if (typeof user.budgetCap === 'number') this.setBudgetCap(user.budgetCap);
+    if (typeof user.budgetPeriod === 'string') this.setBudgetPeriod(user.budgetPeriod);
+    // Settings the file does not set follow the room again
+    this.clearOverrides();
+    for (const [name, { type }] of Object.entries(LAYERED_SETTINGS)) {
+      if (typeof user[name] === type) this._set(name, user[name]);
+    }
+
+    const room = data.room && typeof data.room === 'object' && Object.keys(data.room).length > 0 ? data.room : undefined;
+    const playerPolicy = data.playerPolicy && typeof data.playerPolicy === 'object' ? data.playerPolicy : undefined;
+    return { ok: true, room, playerPolicy };
+  }
+
   getApiBaseUrl() {
     return this._apiBaseUrl || '';
   }
@@ -51,6 +364,24 @@ export class ConfigService {
     }
   }
 
+  /** @returns {'byok'|'hosted'} */
+  getChatMode() {
+    return CHAT_MODES.includes(this._chatMode) ? this._chatMode : 'byok';
+  }
+
+  isHostedMode() {
+    return this.getChatMode() === 'hosted';
+  }
+
+  setChatMode(mode) {
+    this._chatMode = CHAT_MODES.includes(mode) ? mode : 'byok';
+    try {
+      localStorage.setItem(KEY_CHAT_MODE, this._chatMode);
+    } catch (e) {
+      console.warn('[GM AI] ConfigService: error saving chat mode', e);
+    }
+  }
+
   getPatreonToken() {
     return this._patreonToken || '';
   }
@@ -65,68 +396,330 @@ export class ConfigService {
     }
   }
 
+  /**
+   * Random id that identifies this browser to the backend (free-tier quota).
+   * Created on first use and kept in localStorage.
+   * @returns {string}
+   */
+  getUserId() {
+    if (!this._userId) {
+      try {
+        this._userId = localStorage.getItem(KEY_USER_ID) || '';
+        if (!this._userId) {
+          this._userId = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+            ? crypto.randomUUID()
+            : Date.now().toString(36) + Math.random().toString(36).slice(2);
+          localStorage.setItem(KEY_USER_ID, this._userId);
+        }
+      } catch (e) {
+        console.warn('[GM AI] ConfigService: error saving user id', e);
+      }
+    }
+    return this._userId || '';
+  }
+
   hasValidApiBase() {
     const base = this.getApiBaseUrl();
     return base.length > 0 && (base.startsWith('http://') || base.startsWith('https://'));
   }
 
   getDocumentUrls() {
-    return this._documentUrls || '';
+    return this._get('documentUrls');
   }
 
   setDocumentUrls(urls) {
-    this._documentUrls = (urls || '').trim();
+    this._set('documentUrls', (urls || '').trim());
+  }
+
+  /** @returns {string} Instructions from the GM on how the assistant should speak (tone, setting) */
+  getPersona() {
+    return this._get('persona');
+  }
+
+  setPersona(persona) {
+    this._set('persona', (persona || '').trim().slice(0, MAX_PERSONA_CHARS));
+  }
+
+  /** @returns {string[]} Models the GM allows in this room (empty: any) */
+  getAllowedModels() {
+    return [...(this._room.allowedModels || [])];
+  }
+
+  /** @returns {string} Own model, the room's or the provider's default; limited to the room's allowed models */
+  getAiModel() {
+    const model = this._get('aiModel') || this.getLlmProvider().defaultModel;
+    const allowed = this.getAllowedModels();
+    return allowed.length === 0 || allowed.includes(model) ? model : allowed[0];
+  }
+
+  setAiModel(model) {
+    const value = (model || '').trim();
+    if (value) this._set('aiModel', value);
+    else this._removeOverride('aiModel');
+  }
+
+  getUseVault() {
+    return this._get('useVault') === true;
+  }
+
+  setUseVault(enabled) {
+    this._set('useVault', Boolean(enabled));
+  }
+
+  getUseJournal() {
+    return this._get('useJournal') === true;
+  }
+
+  setUseJournal(enabled) {
+    this._set('useJournal', Boolean(enabled));
+  }
+
+  getUseScene() {
+    return this._get('useScene') === true;
+  }
+
+  setUseScene(enabled) {
+    this._set('useScene', Boolean(enabled));
+  }
+
+  getAnnounceRolls() {
+    return this._announceRolls === true;
+  }
+
+  setAnnounceRolls(enabled) {
+    this._announceRolls = Boolean(enabled);
     try {
-      if (this._documentUrls) localStorage.setItem(KEY_DOCUMENT_URLS, this._documentUrls);
-      else localStorage.removeItem(KEY_DOCUMENT_URLS);
+      localStorage.setItem(KEY_ANNOUNCE_ROLLS, this._announceRolls ? 'true' : 'false');
     } catch (e) {
-      console.warn('[GM AI] ConfigService: error saving document urls', e);
+      console.warn('[GM AI] ConfigService: error saving announce rolls setting', e);
     }
   }
 
-  getAiModel() {
-    return this._aiModel || 'gpt-4o-mini';
+  /** @returns {number} Seconds to wait for an answer to start before giving up */
+  getRequestTimeout() {
+    return Math.min(MAX_REQUEST_TIMEOUT, Math.max(MIN_REQUEST_TIMEOUT, this._requestTimeout));
   }
 
-  setAiModel(model) {
-    this._aiModel = (model || '').trim();
+  setRequestTimeout(seconds) {
+    const value = parseInt(seconds, 10);
+    this._requestTimeout = Number.isFinite(value) ? value : DEFAULT_REQUEST_TIMEOUT;
     try {
-      if (this._aiModel) localStorage.setItem(KEY_AI_MODEL, this._aiModel);
-      else localStorage.removeItem(KEY_AI_MODEL);
+      localStorage.setItem(KEY_REQUEST_TIMEOUT, String(this.getRequestTimeout()));
     } catch (e) {
-      console.warn('[GM AI] ConfigService: error saving ai model', e);
+      console.warn('[GM AI] ConfigService: error saving request timeout', e);
     }
   }
 
-  getUseVault() {
-    return this._useVault === true;
+  /** @returns {number} BYOK spending cap in USD for the budget period (0: no cap) */
+  getBudgetCap() {
+    return this._budgetCap;
   }
 
-  setUseVault(enabled) {
-    this._useVault = Boolean(enabled);
+  setBudgetCap(usd) {
+    const value = parseFloat(usd);
+    this._budgetCap = Number.isFinite(value) && value > 0 ? value : 0;
+    try {
+      localStorage.setItem(KEY_BUDGET_CAP, String(this._budgetCap));
+    } catch (e) {
+      console.warn('[GM AI] ConfigService: error saving budget cap', e);
+    }
+  }
+
+  /** @returns {'day'|'month'} */
+  getBudgetPeriod() {
+    return this._budgetPeriod;
+  }
+
+  setBudgetPeriod(period) {
+    this._budgetPeriod = BUDGET_PERIODS.includes(period) ? period : 'month';
     try {
-      localStorage.setItem(KEY_USE_VAULT, this._useVault ? 'true' : 'false');
+      localStorage.setItem(KEY_BUDGET_PERIOD, this._budgetPeriod);
     } catch (e) {
-      console.warn('[GM AI] ConfigService: error saving use vault setting', e);
+      console.warn('[GM AI] ConfigService: error saving budget period', e);
     }
   }
 
-  getOpenAiApiKey() {
-    return this._openaiApiKey || '';
+  /** @returns {import('../providers/index.js').Provider} Provider used in BYOK mode */
+  getLlmProvider() {
+    return getProvider(this._llmProvider);
+  }
+
+  setLlmProvider(id) {
+    this._llmProvider = getProvider(id).id;
+    try {
+      localStorage.setItem(KEY_LLM_PROVIDER, this._llmProvider);
+    } catch (e) {
+      console.warn('[GM AI] ConfigService: error saving LLM provider', e);
+    }
+  }
+
+  /** Custom endpoint for the provider; empty means its default */
+  getLlmBaseUrl() {
+    return this._llmBaseUrl || '';
+  }
+
+  /** @returns {string} Custom endpoint or the provider's default (may be empty for custom servers) */
+  getEffectiveLlmBaseUrl() {
+    return (this.getLlmBaseUrl() || this.getLlmProvider().defaultBaseUrl).replace(/\/+$/, '');
+  }
+
+  setLlmBaseUrl(url) {
+    this._llmBaseUrl = (url || '').trim().replace(/\/+$/, '');
+    try {
+      if (this._llmBaseUrl) localStorage.setItem(KEY_LLM_BASE_URL, this._llmBaseUrl);
+      else localStorage.removeItem(KEY_LLM_BASE_URL);
+    } catch (e) {
+      console.warn('[GM AI] ConfigService: error saving LLM base url', e);
+    }
+  }
+
+  /**
+   * API key of a provider (each provider keeps its own).
+   * @param {string} [providerId] - Defaults to the selected provider
+   */
+  getApiKey(providerId = this._llmProvider) {
+    return this._apiKeys[getProvider(providerId).id] || '';
+  }
+
+  /**
+   * The saved key for display, e.g. "sk-…a1b2" (empty if there is none).
+   * @param {string} [providerId] - Defaults to the selected provider
+   */
+  getMaskedApiKey(providerId = this._llmProvider) {
+    return maskKey(this.getApiKey(providerId));
+  }
+
+  /**
+   * Stores a provider's key in memory and, in encrypted mode, re-encrypts the saved keys.
+   * @param {string} key
+   * @param {string} [providerId] - Defaults to the selected provider
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async setApiKey(key, providerId = this._llmProvider) {
+    if (this.isKeyLocked()) return { ok: false, error: 'Unlock your saved API keys first.' };
+    const id = getProvider(providerId).id;
+    const value = (key || '').trim();
+    if (value) this._apiKeys[id] = value;
+    else delete this._apiKeys[id];
+    return this._persistKeys();
+  }
+
+  /**
+   * Forgets a provider's key, in memory and in this browser. While the saved keys are locked
+   * they cannot be told apart, so all of them are deleted.
+   * @param {string} [providerId] - Defaults to the selected provider
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async forgetApiKey(providerId = this._llmProvider) {
+    const id = getProvider(providerId).id;
+    this._removePlaintextKey(id);
+    this._migratedKeys = this._migratedKeys.filter(migrated => migrated !== id);
+    if (this.isKeyLocked()) {
+      this.secretStore.clear();
+      return { ok: true };
+    }
+    delete this._apiKeys[id];
+    return this._persistKeys();
+  }
+
+  // --- API key storage ---
+
+  /** @returns {'session'|'encrypted'} */
+  getKeyStorageMode() {
+    return this.secretStore.getMode();
+  }
+
+  /** @returns {boolean} Encrypted keys are saved but have not been unlocked this session */
+  isKeyLocked() {
+    return this.secretStore.isLocked();
+  }
+
+  /**
+   * @returns {boolean} Keys saved as plain text by an older version are still in this browser:
+   *   the user has not chosen (and saved) where to keep them yet
+   */
+  hasMigratedKeys() {
+    return this._migratedKeys.length > 0;
+  }
+
+  /**
+   * Decrypts the saved keys for this session.
+   * @param {string} passphrase
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async unlockKeys(passphrase) {
+    const result = await this.secretStore.unlock(passphrase || '');
+    if (!result.ok) return result;
+    // Keys from the vault win over plaintext leftovers of the same provider
+    Object.assign(this._apiKeys, result.keys);
+    return { ok: true };
+  }
+
+  /**
+   * Chooses where keys are kept and moves the current ones there. Plaintext keys are removed.
+   * - session: the encrypted keys are deleted; the keys stay in memory until the extension reloads.
+   * - encrypted: a locked vault is unlocked with the passphrase; otherwise a new passphrase
+   *   (re-)encrypts the keys. Leave it empty to keep an unlocked vault's passphrase.
+   * @param {'session'|'encrypted'} mode
+   * @param {string} [passphrase]
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async setKeyStorageMode(mode, passphrase = '') {
+    if (mode === 'encrypted') {
+      if (this.isKeyLocked()) {
+        if (!passphrase) return { ok: false, error: 'Enter your passphrase to unlock your saved API keys.' };
+        const unlocked = await this.unlockKeys(passphrase);
+        if (!unlocked.ok) return unlocked;
+      } else if (passphrase) {
+        if (passphrase.length < MIN_PASSPHRASE_CHARS) {
+          return { ok: false, error: `The passphrase needs at least ${MIN_PASSPHRASE_CHARS} characters.` };
+        }
+        await this.secretStore.setPassphrase(passphrase);
+      } else if (!this.secretStore.isUnlocked()) {
+        return { ok: false, error: `Choose a passphrase (at least ${MIN_PASSPHRASE_CHARS} characters) to encrypt your API keys.` };
+      }
+      this.secretStore.setMode('encrypted');
+    } else {
+      this.secretStore.clear();
+      this.secretStore.setMode('session');
+    }
+    const saved = await this._persistKeys();
+    if (saved.ok) {
+      this._migratedKeys.forEach(id => this._removePlaintextKey(id));
+      this._migratedKeys = [];
+    }
+    return saved;
+  }
+
+  /** @returns {boolean} The encrypted keys are open for this session (a passphrase was entered) */
+  hasKeyPassphrase() {
+    return this.secretStore.isUnlocked();
+  }
+
+  /** Writes the in-memory keys to the encrypted store (nothing to write in session mode). */
+  async _persistKeys() {
+    if (this.getKeyStorageMode() !== 'encrypted') return { ok: true };
+    if (!this.secretStore.isUnlocked()) {
+      if (Object.keys(this._apiKeys).length === 0) return { ok: true };
+      return { ok: false, error: `Choose a passphrase (at least ${MIN_PASSPHRASE_CHARS} characters) to encrypt your API keys.` };
+    }
+    return this.secretStore.save({ ...this._apiKeys });
   }
 
-  setOpenAiApiKey(key) {
-    this._openaiApiKey = (key || '').trim();
+  _removePlaintextKey(providerId) {
     try {
-      if (this._openaiApiKey) localStorage.setItem(KEY_OPENAI_API_KEY, this._openaiApiKey);
-      else localStorage.removeItem(KEY_OPENAI_API_KEY);
+      localStorage.removeItem(apiKeyStorageKey(providerId));
     } catch (e) {
-      console.warn('[GM AI] ConfigService: error saving OpenAI API key', e);
+      console.warn('[GM AI] ConfigService: error deleting plaintext API key', e);
     }
   }
 
-  hasOpenAiApiKey() {
-    const key = this.getOpenAiApiKey();
-    return key.length > 0 && key.startsWith('sk-');
+  /**
+   * Whether BYOK mode is usable: the selected provider has an endpoint and a valid key
+   * (or needs none, like a local Ollama server).
+   */
+  hasApiKey() {
+    if (!this.getEffectiveLlmBaseUrl()) return false;
+    return this.getLlmProvider().validateKey(this.getApiKey()) === null;
   }
 }
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Builds each request inside the model's context window.
+ * The prompt budget (tokenBudget.js) is shared by priority: recent history first, then the
+ * SRD entries, the scene, GM Vault excerpts, the campaign journal and document excerpts. Each gets a guaranteed
+ * share and leftover space goes to the first that still needs it; sections are trimmed to fit.
+ * When the history outgrows its share, the older turns are condensed into a running summary
+ * (ChatService), by the model when a request is free to make, otherwise by extracting each turn.
+ */
+
+import { allocateBudget, estimateMessagesTokens, estimateTokens, fitText, getPromptBudget } from '../utils/tokenBudget.js';
+
+/** Tokens reserved for the answer (the chat function asks for up to 1024). */
+const REPLY_TOKENS = 1024;
+/** Share of the budget guaranteed to the conversation; above it older turns are summarized. */
+const HISTORY_SHARE = 0.5;
+/** Context sections in priority order, with their guaranteed share of the budget. */
+const SECTIONS = [
+  ['srdContext', 0.15],
+  ['sceneContext', 0.1],
+  ['vaultContext', 0.1],
+  ['journalContext', 0.05],
+  ['documentContext', 0.1]
+];
+const SUMMARY_MAX_TOKENS = 400;
+const EXTRACT_QUESTION_CHARS = 120;
+const EXTRACT_ANSWER_CHARS = 160;
+
+function firstSentence(text, maxChars) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  const sentence = clean.match(/^.+?[.!?](\s|$)/)?.[0].trim() || clean;
+  return sentence.length > maxChars ? sentence.slice(0, maxChars - 1).trimEnd() + '…' : sentence;
+}
+
+/** Keeps the last lines of a summary that fit in SUMMARY_MAX_TOKENS. */
+function keepLatestLines(text) {
+  const lines = text.split('\n').filter(l => l.trim());
+  while (lines.length > 1 && estimateTokens(lines.join('\n')) > SUMMARY_MAX_TOKENS) lines.shift();
+  return fitText(lines.join('\n'), SUMMARY_MAX_TOKENS).trim();
+}
+
+export class ContextService {
+  /**
+   * @param {import('./ConfigService.js').ConfigService} configService
+   * @param {import('./ChatService.js').ChatService} chatService
+   */
+  constructor(configService, chatService) {
+    this.configService = configService;
+    this.chatService = chatService;
+    this._summarizing = false;
+  }
+
+  /**
+   * Prompt budget for the current model. In hosted mode the server picks the model,
+   * so the conservative default window is used.
+   * @returns {number}
+   */
+  getBudget() {
+    const model = this.configService.isHostedMode() ? null : this.configService.getAiModel();
+    return getPromptBudget(model, REPLY_TOKENS);
+  }
+
+  /**
+   * History of the active thread and the context sections, trimmed to the budget.
+   * @param {{ vaultContext?: string, journalContext?: string, documentContext?: string, srdContext?: string, sceneContext?: string }} sections
+   * @returns {{ messages: Array<{ role: string, content: string }>, vaultContext: string, journalContext: string, documentContext: string, srdContext: string, sceneContext: string }}
+   */
+  build(sections = {}) {
+    const budget = this.getBudget();
+    const history = this.chatService.getApiMessages(undefined);
+    const granted = allocateBudget(budget, [
+      { name: 'history', tokens: estimateMessagesTokens(history), min: Math.floor(budget * HISTORY_SHARE) },
+      ...SECTIONS.map(([name, share]) => ({
+        name,
+        tokens: estimateTokens(sections[name]),
+        min: Math.floor(budget * share)
+      }))
+    ]);
+
+    const result = { messages: this.chatService.getApiMessages(undefined, { maxTokens: granted.history }) };
+    for (const [name] of SECTIONS) {
+      result[name] = fitText(sections[name] || '', granted[name]);
+    }
+    return result;
+  }
+
+  /**
+   * Folds older turns of the active thread into its summary once the history is over its share.
+   * Runs after an answer, so the next request already has the summary.
+   * @param {((messages: Array<{ role: string, content: string }>) => Promise<{ content: string, error?: string }>)|null} request -
+   *   Sends a summarization prompt to the model; null to summarize without a model call
+   * @returns {Promise<boolean>} True if the summary was updated
+   */
+  async summarizeIfNeeded(request) {
+    if (this._summarizing) return false;
+    const budget = this.getBudget();
+    const candidates = this.chatService.getSummaryCandidates(Math.floor(budget * HISTORY_SHARE));
+    if (!candidates) return false;
+
+    this._summarizing = true;
+    try {
+      let summary = '';
+      if (request) {
+        const result = await request([{ role: 'user', content: this._summaryPrompt(candidates, budget) }]);
+        if (result.error) console.warn('[GM AI] Summary request failed, extracting instead:', result.error);
+        else summary = fitText(result.content, SUMMARY_MAX_TOKENS).trim();
+      }
+      if (!summary) summary = this._extract(candidates);
+      this.chatService.setSummary(candidates.threadId, summary, candidates.upTo);
+      return true;
+    } finally {
+      this._summarizing = false;
+    }
+  }
+
+  _summaryPrompt({ previous, messages }, budget) {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+      .join('\n\n');
+    return `Update the running summary of this D&D conversation. Keep names, decisions, rulings, numbers (levels, HP, DCs) and open questions; leave out small talk. Reply with the summary only, as short bullet points of at most 150 words in total, in the language of the conversation.
+
+Previous summary:
+${previous || '(none)'}
+
+New turns:
+${fitText(transcript, Math.floor(budget * HISTORY_SHARE))}`;
+  }
+
+  /** One line per question and the first sentence of its answer, appended to the old summary. */
+  _extract({ previous, messages }) {
+    const lines = previous ? [previous] : [];
+    for (let i = 0; i < messages.length; i++) {
+      const m = messages[i];
+      if (m.role !== 'user') continue;
+      const answer = messages[i + 1]?.role === 'assistant' ? messages[i + 1].content : '';
+      const question = firstSentence(m.content, EXTRACT_QUESTION_CHARS);
+      lines.push(answer ? `- ${question} → ${firstSentence(answer, EXTRACT_ANSWER_CHARS)}` : `- ${question}`);
+    }
+    return keepLatestLines(lines.join('\n'));
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Persists chat threads per Owlbear room in localStorage.
+ * Key: gm-ia-threads-<roomId> → { activeId, threads: [{ id, title, createdAt, updatedAt, messages }] }
+ */
+
+const KEY_PREFIX = 'gm-ia-threads-';
+const DEFAULT_ROOM = 'local';
+
+export class ConversationStore {
+  /**
+   * @param {string} [roomId] - OBR room id (OBR.room.id); threads are kept separately per room
+   */
+  constructor(roomId) {
+    this._key = KEY_PREFIX + (roomId || DEFAULT_ROOM);
+  }
+
+  /**
+   * @returns {{ activeId: string|null, threads: Array<Object> }}
+   */
+  load() {
+    try {
+      const raw = localStorage.getItem(this._key);
+      if (!raw) return { activeId: null, threads: [] };
+      const data = JSON.parse(raw);
+      return {
+        activeId: data.activeId || null,
+        threads: Array.isArray(data.threads) ? data.threads : []
+      };
+    } catch (e) {
+      console.warn('[GM AI] ConversationStore: error loading threads', e);
+      return { activeId: null, threads: [] };
+    }
+  }
+
+  /**
+   * @param {{ activeId: string|null, threads: Array<Object> }} state
+   * @returns {boolean} False if the browser refused to store it (e.g. quota exceeded)
+   */
+  save(state) {
+    try {
+      localStorage.setItem(this._key, JSON.stringify(state));
+      return true;
+    } catch (e) {
+      console.warn('[GM AI] ConversationStore: error saving threads', e);
+      return false;
+    }
+  }
+}
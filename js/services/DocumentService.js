@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Ingests the user's reference documents (Settings → Document URLs):
+ * fetches each URL (PDF, HTML, Markdown or plain text), extracts and chunks its text,
+ * indexes it, and returns the passages most relevant to a question for the prompt.
+ * Fetching and text extraction live in utils/documentLoader.js.
+ * A document that failed is not fetched again on every question: it waits an exponential
+ * backoff first (Settings changes retry it at once).
+ */
+
+import { TextIndex, chunkText } from '../utils/textIndex.js';
+import { fetchDocument, extractDocumentText } from '../utils/documentLoader.js';
+
+const MAX_PASSAGES = 5;
+const MAX_CONTEXT_CHARS = 6000;
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+/**
+ * Resolves when the promise settles or the signal fires, whichever comes first.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ */
+function settledOrAborted(promise, signal) {
+  if (!signal) return promise.then(() => {}, () => {});
+  return new Promise(resolve => {
+    if (signal.aborted) return resolve();
+    signal.addEventListener('abort', () => resolve(), { once: true });
+    promise.then(resolve, resolve);
+  });
+}
+
+/**
+ * @param {string} documentUrls - One URL per line (same format as ConfigService)
+ * @returns {string[]}
+ */
+export function parseDocumentUrls(documentUrls) {
+  return String(documentUrls || '')
+    .split(/\r?\n/)
+    .map(u => u.trim())
+    .filter(u => /^https?:\/\//i.test(u));
+}
+
+export class DocumentService {
+  /**
+   * @param {import('./ConfigService.js').ConfigService} configService - Used for the backend URL (CORS fallback)
+   */
+  constructor(configService) {
+    this.configService = configService;
+    this._index = new TextIndex();
+    /** @type {Map<string, { status: 'loading'|'ready'|'error', title?: string, chunks?: number, error?: string, failures?: number, retryAt?: number, promise?: Promise }>} */
+    this._docs = new Map();
+  }
+
+  /**
+   * Makes the index match the configured URLs: new URLs are fetched and indexed,
+   * removed URLs are dropped. Already indexed documents are not fetched again, and failed
+   * ones only once their backoff is over.
+   * @param {string} documentUrls - One URL per line
+   * @param {{ signal?: AbortSignal, retryFailed?: boolean }} [options] - `signal` stops the
+   *   wait (downloads go on in the background, with their own timeout); `retryFailed` skips the backoff
+   * @returns {Promise<void>}
+   */
+  async sync(documentUrls, { signal, retryFailed = false } = {}) {
+    const urls = parseDocumentUrls(documentUrls);
+    const wanted = new Set(urls);
+
+    [...this._docs.keys()].forEach(url => {
+      if (!wanted.has(url)) {
+        this._docs.delete(url);
+        this._index.remove(meta => meta.source === url);
+      }
+    });
+
+    const pending = urls.map(url => {
+      const doc = this._docs.get(url);
+      if (doc?.status === 'ready') return null;
+      if (doc?.status === 'loading') return doc.promise;
+      if (doc?.status === 'error' && !retryFailed && Date.now() < doc.retryAt) return null;
+      return this._ingest(url);
+    });
+
+    await settledOrAborted(Promise.all(pending.filter(Boolean)), signal);
+  }
+
+  /**
+   * Forgets a document (or all of them) so the next sync fetches it again.
+   * @param {string} [url]
+   */
+  invalidate(url) {
+    if (url) {
+      this._docs.delete(url);
+      this._index.remove(meta => meta.source === url);
+    } else {
+      this._docs.clear();
+      this._index.clear();
+    }
+  }
+
+  /**
+   * Per-document ingestion status, for the Settings panel.
+   * @returns {{ ready: number, failed: Array<{ url: string, error: string }>, loading: number }}
+   */
+  getStatus() {
+    const status = { ready: 0, failed: [], loading: 0 };
+    this._docs.forEach((doc, url) => {
+      if (doc.status === 'ready') status.ready++;
+      else if (doc.status === 'loading') status.loading++;
+      else status.failed.push({ url, error: doc.error || 'Unknown error' });
+    });
+    return status;
+  }
+
+  /**
+   * Builds the prompt section with the passages that best match the question.
+   * @param {string} question
+   * @returns {string} Empty string when nothing relevant was found
+   */
+  getRelevantContext(question) {
+    const results = this._index.search(question, MAX_PASSAGES);
+    if (results.length === 0) return '';
+
+    let used = 0;
+    const passages = [];
+    for (const r of results) {
+      if (used + r.text.length > MAX_CONTEXT_CHARS && passages.length > 0) break;
+      passages.push(`[Source: ${r.meta.title}, part ${r.meta.chunk + 1}/${r.meta.chunks}]\n${r.text}`);
+      used += r.text.length;
+    }
+
+    return `\n\n--- EXCERPTS FROM THE USER'S DOCUMENTS ---
+The following passages were extracted from the user's reference documents as the most relevant to the current question. Quote or paraphrase them and name the source.
+
+${passages.join('\n\n')}
+---`;
+  }
+
+  async _ingest(url) {
+    const failures = this._docs.get(url)?.failures || 0;
+    const entry = { status: 'loading' };
+    entry.promise = (async () => {
+      try {
+        const { buffer, contentType } = await fetchDocument(url, this.configService.getApiBaseUrl());
+        const { text, title } = await extractDocumentText(buffer, url, contentType);
+        const chunks = chunkText(text, { size: CHUNK_SIZE, overlap: CHUNK_OVERLAP });
+        if (chunks.length === 0) throw new Error('No text could be extracted');
+        // The URL may have been removed from Settings while it was loading
+        if (this._docs.get(url) !== entry) return;
+
+        chunks.forEach((chunk, i) => this._index.add(chunk, { source: url, title, chunk: i, chunks: chunks.length }));
+        Object.assign(entry, { status: 'ready', title, chunks: chunks.length });
+        console.log(`[GM AI] Document indexed: ${title} (${chunks.length} chunks)`);
+      } catch (e) {
+        console.warn('[GM AI] DocumentService: could not ingest', url, e);
+        const retryIn = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** failures);
+        Object.assign(entry, {
+          status: 'error',
+          error: e.message || 'Could not load document',
+          failures: failures + 1,
+          retryAt: Date.now() + retryIn
+        });
+      } finally {
+        delete entry.promise;
+      }
+    })();
+    this._docs.set(url, entry);
+    return entry.promise;
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Encounter builder: turns a party (levels) and a difficulty into a balanced
+ * group of SRD 5.2 monsters. Budgets, XP and difficulty are computed in code
+ * (utils/encounterMath.js); the model is only asked for flavor and tactics afterwards.
+ * Built encounters can be dropped into the current Owlbear scene as hidden tokens.
+ */
+
+import { buildImage } from 'https://esm.sh/@owlbear-rodeo/sdk@3.1.0';
+import {
+  DIFFICULTIES,
+  parsePartyLevels,
+  getXpBudget,
+  rateEncounter,
+  pickMonsters,
+  crToNumber,
+  crToXp,
+  averageHp
+} from '../utils/encounterMath.js';
+
+const METADATA_KEY_MONSTER = 'com.gm-ia/monster';
+const TOKEN_IMAGE_SIZE = 300;
+const TOKENS_PER_ROW = 4;
+const MAX_CREATURES = 8;
+
+/** Ratings from rateEncounter(), easiest first */
+const RATING_ORDER = ['trivial', 'low', 'moderate', 'high', 'beyond high'];
+
+const SIZE_SCALE = { tiny: 0.5, small: 1, medium: 1, large: 2, huge: 3, gargantuan: 4 };
+
+function tokenScale(size) {
+  // "Medium or Small" → first size listed
+  const first = String(size || '').toLowerCase().split(/\s+/)[0];
+  return SIZE_SCALE[first] || 1;
+}
+
+function titleCase(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Splits "2 goblin, ogre, 3x wolf" into name/count pairs.
+ * @param {string} text
+ * @returns {Array<{ name: string, count: number }>}
+ */
+function parseMonsterList(text) {
+  return String(text || '')
+    .split(/,|;|\n|\s+and\s+|\s+y\s+/i)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const m = part.match(/^(\d+)\s*(?:x|×)?\s+(.+)$/i) || part.match(/^(\d+)\s*(?:x|×)(.+)$/i);
+      return m ? { name: m[2].trim(), count: parseInt(m[1], 10) } : { name: part, count: 1 };
+    });
+}
+
+/**
+ * @typedef {Object} Encounter
+ * @property {number[]} levels - Party levels
+ * @property {string} difficulty - Requested difficulty (low | moderate | high)
+ * @property {{ low: number, moderate: number, high: number }} budget - Party XP budget
+ * @property {Array<{ name: string, count: number, cr: string, xp: number, ac: number, hp: number|null, size: string }>} groups
+ * @property {number} totalXp
+ * @property {string} rating - Difficulty the total XP actually lands in
+ * @property {string[]} warnings
+ */
+
+export class EncounterService {
+  /**
+   * @param {import('./SrdService.js').SrdService} srdService - Source of monster stat blocks
+   */
+  constructor(srdService) {
+    this.srdService = srdService;
+    this.OBR = null;
+  }
+
+  /**
+   * @param {Object} obr - OBR SDK instance (needed only to add tokens to the scene)
+   */
+  init(obr) {
+    this.OBR = obr || null;
+  }
+
+  /**
+   * Builds an encounter. With `monsters`, those are used as given and only rated;
+   * otherwise monsters are picked to fit the difficulty budget.
+   * @param {{ party: string, difficulty?: string, monsters?: string }} request
+   *   `party` as "4x5" or "5 5 6 4"; `monsters` as "2 goblin, ogre"
+   * @returns {{ encounter?: Encounter, error?: string }}
+   */
+  build({ party, difficulty = 'moderate', monsters = '' }) {
+    const levels = parsePartyLevels(party);
+    if (levels.length === 0) {
+      return { error: 'Enter the party levels, e.g. "4x5" (four level-5 characters) or "3 4 4 5".' };
+    }
+    const diff = DIFFICULTIES.includes(difficulty) ? difficulty : 'moderate';
+    const budget = getXpBudget(levels);
+    const warnings = [];
+
+    let chosen;
+    const picked = !String(monsters).trim();
+    if (!picked) {
+      chosen = [];
+      parseMonsterList(monsters).forEach(({ name, count }) => {
+        const [monster] = this.srdService.lookup(name, 'monster');
+        if (monster) chosen.push({ monster, count });
+        else warnings.push(`"${name}" is not in the bundled SRD monsters; ignored.`);
+      });
+      if (chosen.length === 0) {
+        return { error: 'None of those monsters are in the bundled SRD list.' };
+      }
+    } else {
+      // SRD 5.2: creatures with a CR above the party's level are riskier than their XP suggests
+      const maxLevel = Math.max(...levels);
+      const candidates = this.srdService.list('monster').filter(m => crToNumber(m.cr) <= maxLevel);
+      chosen = pickMonsters(budget[diff], candidates, {
+        maxCreatures: Math.min(MAX_CREATURES, Math.max(2, levels.length * 2))
+      });
+      if (chosen.length === 0) {
+        return { error: 'No combination of the bundled SRD monsters fits that budget.' };
+      }
+    }
+
+    const groups = chosen.map(({ monster, count }) => ({
+      name: monster.name,
+      count,
+      cr: monster.cr,
+      xp: monster.xp ?? crToXp(monster.cr),
+      ac: monster.ac,
+      hp: averageHp(monster.hp),
+      size: monster.size
+    }));
+    const totalXp = groups.reduce((acc, g) => acc + g.xp * g.count, 0);
+    const rating = rateEncounter(totalXp, budget);
+
+    if (groups.some(g => crToNumber(g.cr) > Math.max(...levels))) {
+      warnings.push('Some creatures have a CR above the highest party level; their attacks can be deadly.');
+    }
+    if (rating === 'beyond high') {
+      warnings.push(`Total XP exceeds the High budget (${budget.high} XP).`);
+    }
+    if (picked && RATING_ORDER.indexOf(rating) < RATING_ORDER.indexOf(diff)) {
+      // The bundled monsters are a small subset and the picker uses at most two types
+      warnings.push(`The bundled SRD monsters only reach ${titleCase(rating)} (${totalXp} of ${budget[diff]} XP) for a ${titleCase(diff)} encounter: the encounter is easier than asked.`);
+    }
+
+    return { encounter: { levels, difficulty: diff, budget, groups, totalXp, rating, warnings } };
+  }
+
+  /**
+   * Plain Markdown summary (stored in the conversation so follow-up questions see it).
+   * @param {Encounter} encounter
+   * @returns {string}
+   */
+  toMarkdown(encounter) {
+    const { levels, difficulty, budget, groups, totalXp, rating } = encounter;
+    const lines = [
+      `**Encounter** — ${levels.length} characters (levels ${levels.join(', ')}), ${difficulty} difficulty`,
+      `Budget: Low ${budget.low} · Moderate ${budget.moderate} · High ${budget.high} XP`,
+      ...groups.map(g => `- ${g.count}× ${g.name} (CR ${g.cr}, ${g.xp} XP each, AC ${g.ac}, HP ${g.hp ?? '?'})`),
+      `Total: ${totalXp} XP → ${titleCase(rating)}`
+    ];
+    return lines.join('\n');
+  }
+
+  /**
+   * User message asking the model for flavor and tactics only.
+   * @param {Encounter} encounter
+   * @param {string} [notes] - Theme, location, etc. from the user
+   * @returns {string}
+   */
+  getFlavorPrompt(encounter, notes) {
+    return `Here is an encounter whose numbers were computed from the SRD 5.2 tables. They are final: do not change the monsters, counts, XP or difficulty, and do not repeat them.
+
+${this.toMarkdown(encounter)}
+${notes ? `\nGM notes: ${notes}\n` : ''}
+Write one short paragraph setting the scene and 2-3 bullet points of tactics these monsters would use (based on their stat blocks).`;
+  }
+
+  /**
+   * SRD stat blocks of the encounter's monsters, for the model's tactics.
+   * @param {Encounter} encounter
+   * @returns {string}
+   */
+  getSrdContext(encounter) {
+    const entries = encounter.groups
+      .map(g => this.srdService.lookup(g.name, 'monster')[0])
+      .filter(Boolean);
+    return this.srdService.formatPromptContext(entries);
+  }
+
+  /**
+   * Adds one token per creature near the center of the GM's view, hidden from players.
+   * HP/AC go in the token metadata so scene context (and stat extensions) can read them.
+   * @param {Encounter} encounter
+   * @returns {Promise<{ added: number, error?: string }>}
+   */
+  async addToScene(encounter) {
+    const obr = this.OBR;
+    if (!obr?.scene) return { added: 0, error: 'Owlbear Rodeo is not available.' };
+    try {
+      if (!(await obr.scene.isReady())) return { added: 0, error: 'Open a scene first.' };
+
+      const [dpi, width, height] = await Promise.all([
+        obr.scene.grid.getDpi(),
+        obr.viewport.getWidth(),
+        obr.viewport.getHeight()
+      ]);
+      const center = await obr.viewport.inverseTransformPoint({ x: width / 2, y: height / 2 });
+      const imageUrl = new URL('monster-token.svg', window.location.href).href;
+
+      const creatures = encounter.groups.flatMap(g =>
+        Array.from({ length: g.count }, (_, i) => ({ ...g, label: g.count > 1 ? `${g.name} ${i + 1}` : g.name }))
+      );
+
+      const items = await Promise.all(creatures.map(async (c, i) => {
+        const scale = tokenScale(c.size);
+        const row = Math.floor(i / TOKENS_PER_ROW);
+        const col = i % TOKENS_PER_ROW;
+        const position = await obr.scene.grid.snapPosition({
+          x: center.x + (col - (TOKENS_PER_ROW - 1) / 2) * dpi * 1.5,
+          y: center.y + row * dpi * 1.5
+        });
+        return buildImage(
+          { width: TOKEN_IMAGE_SIZE, height: TOKEN_IMAGE_SIZE, url: imageUrl, mime: 'image/svg+xml' },
+          { dpi: TOKEN_IMAGE_SIZE, offset: { x: TOKEN_IMAGE_SIZE / 2, y: TOKEN_IMAGE_SIZE / 2 } }
+        )
+          .name(c.label)
+          .plainText(c.label)
+          .layer('CHARACTER')
+          .position(position)
+          .scale({ x: scale, y: scale })
+          .visible(false)
+          .metadata({
+            [METADATA_KEY_MONSTER]: { name: c.name, cr: c.cr, ac: c.ac, hp: c.hp, maxHp: c.hp }
+          })
+          .build();
+      }));
+
+      await obr.scene.items.addItems(items);
+      return { added: items.length };
+    } catch (e) {
+      console.warn('[GM AI] EncounterService: could not add tokens', e);
+      return { added: 0, error: e.message || 'Could not add tokens to the scene.' };
+    }
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Exports a conversation as Markdown, JSON or plain text, and builds the
+ * Markdown bodies of GM Vault pages (whole thread or one answer).
+ * Error bubbles and the empty placeholders stored with them are left out; encounter and
+ * stat block messages export their text form (JSON keeps the structured objects too).
+ */
+
+import { markdownToPlainText } from '../utils/markdown.js';
+
+const EXPORT_VERSION = 1;
+const MAX_PAGE_TITLE_LENGTH = 60;
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mime: 'text/markdown' },
+  json: { extension: 'json', mime: 'application/json' },
+  text: { extension: 'txt', mime: 'text/plain' }
+};
+
+function speaker(role) {
+  return role === 'user' ? 'You' : 'GM AI';
+}
+
+function exportedMessages(thread) {
+  return thread.messages.filter(m => m.content && !m.isError && (m.role === 'user' || m.role === 'assistant'));
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'conversation';
+}
+
+export class ExportService {
+  /**
+   * @param {Object} thread - From ChatService.getThread()
+   * @returns {string}
+   */
+  toMarkdown(thread) {
+    const lines = [`# ${thread.title}`, '', `*Exported from GM AI · ${formatDate(thread.createdAt)} – ${formatDate(thread.updatedAt)}*`];
+    if (thread.summary?.content) {
+      lines.push('', '## Summary of earlier turns', '', thread.summary.content);
+    }
+    for (const m of exportedMessages(thread)) {
+      lines.push('', `### ${speaker(m.role)}`, '', m.content);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {Object} thread
+   * @returns {string}
+   */
+  toText(thread) {
+    const lines = [thread.title, `Exported from GM AI · ${formatDate(thread.createdAt)} – ${formatDate(thread.updatedAt)}`];
+    for (const m of exportedMessages(thread)) {
+      lines.push('', `${speaker(m.role)}:`, markdownToPlainText(m.content));
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Everything stored for the thread, including encounter and stat block objects.
+   * @param {Object} thread
+   * @returns {string}
+   */
+  toJson(thread) {
+    return JSON.stringify({
+      format: 'gm-ai-thread',
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      thread: { ...thread, messages: exportedMessages(thread) }
+    }, null, 2);
+  }
+
+  /**
+   * @param {Object} thread
+   * @param {'markdown'|'json'|'text'} format
+   * @returns {{ filename: string, mime: string, content: string }}
+   */
+  build(thread, format) {
+    const { extension, mime } = EXPORT_FORMATS[format] || EXPORT_FORMATS.markdown;
+    const content = format === 'json' ? this.toJson(thread) : format === 'text' ? this.toText(thread) : this.toMarkdown(thread);
+    const date = new Date(thread.updatedAt).toISOString().slice(0, 10);
+    return { filename: `gm-ai-${slugify(thread.title)}-${date}.${extension}`, mime, content };
+  }
+
+  /**
+   * Downloads a thread as a file.
+   * @param {Object} thread
+   * @param {'markdown'|'json'|'text'} format
+   */
+  download(thread, format) {
+    this.downloadFile(this.build(thread, format));
+  }
+
+  /**
+   * Saves text as a file in the browser's downloads.
+   * @param {{ filename: string, mime: string, content: string }} file
+   */
+  downloadFile({ filename, mime, content }) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * GM Vault page for a whole thread: the conversation without the export header.
+   * @param {Object} thread
+   * @returns {{ title: string, content: string }}
+   */
+  threadToPage(thread) {
+    const body = exportedMessages(thread).map(m => `**${speaker(m.role)}:** ${m.content}`).join('\n\n');
+    return { title: thread.title, content: body };
+  }
+
+  /**
+   * GM Vault page for one answer, titled after its first line.
+   * @param {string} content - Markdown of the message
+   * @returns {{ title: string, content: string }}
+   */
+  messageToPage(content) {
+    const firstLine = markdownToPlainText(content).split('\n').find(l => l.trim()) || 'GM AI note';
+    const title = firstLine.length > MAX_PAGE_TITLE_LENGTH
+      ? firstLine.slice(0, MAX_PAGE_TITLE_LENGTH - 1).trimEnd() + '…'
+      : firstLine.trim();
+    return { title, content };
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Campaign journal: session recaps written by the model from the conversation and
+ * the rulings the GM shared with the party (key events, NPCs met, loot, open threads).
+ * Recaps are kept in room metadata, like the shared feed, so the journal follows the room and
+ * every GM client sees the same one. Room metadata is readable by every client in the room,
+ * players included: the recap prompt asks to leave secrets out, and the GM is told so.
+ * Only the GM writes it, and it is only sent as prompt context for the GM.
+ * The journal has its own share of the room metadata (ROOM_METADATA_CAPS): to make room, older
+ * recaps are condensed first and only then removed, and removed recaps are handed back to the GM.
+ */
+
+import { fitsInRoom, setRoomMetadata } from '../utils/roomMetadata.js';
+
+const ROOM_METADATA_JOURNAL = 'com.gm-ia/journal';
+
+const MAX_ENTRY_CHARS = 1500;
+const CONDENSED_ENTRY_CHARS = 300;
+/** Newest recaps never condensed */
+const FULL_RECENT_ENTRIES = 2;
+const MAX_SHARED_RULINGS = 10;
+const MAX_RULING_CHARS = 400;
+
+function createId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function clip(text, maxChars) {
+  const clean = String(text || '').trim();
+  return clean.length > maxChars ? clean.slice(0, maxChars - 1).trimEnd() + '…' : clean;
+}
+
+/**
+ * Short form of a recap: the first bullet of each section (open threads kept whole), one line each.
+ * @param {string} content - Markdown of the recap
+ * @returns {string}
+ */
+function condense(content) {
+  const lines = [];
+  let section = null;
+  let taken = 0;
+  for (const line of content.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const heading = line.match(/^\*\*(.+?)\*\*/);
+    if (heading) {
+      section = heading[1];
+      taken = 0;
+      continue;
+    }
+    const keepAll = /open threads/i.test(section || '');
+    if (!keepAll && taken >= 1) continue;
+    lines.push(`${section && taken === 0 ? `**${section}**: ` : ''}${line.replace(/^[-*•]\s*/, '')}`);
+    taken++;
+  }
+  return clip(lines.join('\n'), CONDENSED_ENTRY_CHARS);
+}
+
+function normalizeEntries(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(e => e && e.id && typeof e.content === 'string' && Number.isFinite(e.session))
+    .sort((a, b) => a.session - b.session);
+}
+
+export class JournalService {
+  /**
+   * @param {import('./RoleService.js').RoleService} roleService - Only the GM may write the journal
+   */
+  constructor(roleService) {
+    this.roleService = roleService;
+    this.OBR = null;
+    /** @type {Array<{ id: string, session: number, content: string, createdAt: number, condensed?: boolean }>} oldest first */
+    this._entries = [];
+  }
+
+  /**
+   * Loads the journal and follows changes made from other clients.
+   * @param {Object} obr - OBR SDK instance
+   */
+  async init(obr) {
+    if (!obr) return;
+    this.OBR = obr;
+    try {
+      const metadata = await obr.room.getMetadata();
+      this._entries = normalizeEntries(metadata?.[ROOM_METADATA_JOURNAL]);
+      obr.room.onMetadataChange((metadata) => {
+        if (metadata?.[ROOM_METADATA_JOURNAL] !== undefined) {
+          this._entries = normalizeEntries(metadata[ROOM_METADATA_JOURNAL]);
+        }
+      });
+    } catch (e) {
+      console.warn('[GM AI] JournalService: error loading journal', e);
+    }
+  }
+
+  /**
+   * Journal entries, oldest first.
+   * @returns {Array<{ id: string, session: number, content: string, createdAt: number, condensed?: boolean }>}
+   */
+  getEntries() {
+    return this._entries.map(e => ({ ...e }));
+  }
+
+  /**
+   * Instructions for a session recap.
+   * @param {Array<{ content: string, sharedBy: string }>} sharedRulings - Answers the GM shared with the party this session
+   * @returns {string}
+   */
+  getRecapPrompt(sharedRulings = []) {
+    const rulings = sharedRulings.slice(-MAX_SHARED_RULINGS).map(m => `- ${clip(m.content, MAX_RULING_CHARS).replace(/\n+/g, ' ')}`);
+    return `Write the recap of this game session for the campaign journal, from the conversation so far${rulings.length > 0 ? ' and the rulings shared with the party below' : ''}. This is a journal entry, so the short-answer limit does not apply, but stay under 200 words.
+Use these Markdown sections and leave out the ones with nothing to say:
+**Key events** — bullet points, in order
+**NPCs met** — one bullet per NPC: name, who they are
+**Loot** — treasure and items gained
+**Open threads** — unresolved hooks, quests and questions
+Use only what was said; never invent events. The journal is stored in the room, where the players can read it: leave out secrets the party has not discovered.${rulings.length > 0 ? `\n\nRulings shared with the party:\n${rulings.join('\n')}` : ''}`;
+  }
+
+  /**
+   * Adds a recap as the next session. When the journal outgrows its share of the room metadata,
+   * the oldest recaps are condensed (all but the newest FULL_RECENT_ENTRIES), then removed.
+   * @param {string} content - Markdown of the recap
+   * @returns {Promise<{ ok: boolean, session?: number, condensed?: number, dropped?: Array<{ session: number, content: string, createdAt: number }>, error?: string }>}
+   *   `dropped`: the removed recaps as they were, for the GM to keep elsewhere
+   */
+  async addEntry(content) {
+    if (!this.roleService.isGM()) return { ok: false, error: 'Only the GM can write the campaign journal.' };
+    const text = clip(content, MAX_ENTRY_CHARS);
+    if (!text) return { ok: false, error: 'The recap is empty.' };
+
+    let metadata = {};
+    try {
+      if (this.OBR) metadata = await this.OBR.room.getMetadata();
+    } catch (e) {
+      console.warn('[GM AI] JournalService: error reading room metadata', e);
+      return { ok: false, error: e.message || 'Could not read the room.' };
+    }
+
+    const last = this._entries[this._entries.length - 1];
+    const entry = { id: createId(), session: last ? last.session + 1 : 1, content: text, createdAt: Date.now() };
+    const entries = [...this._entries, entry];
+    const fits = () => fitsInRoom(metadata, ROOM_METADATA_JOURNAL, entries);
+
+    let condensed = 0;
+    for (let i = 0; i < entries.length - FULL_RECENT_ENTRIES && !fits(); i++) {
+      if (entries[i].condensed) continue;
+      entries[i] = { ...entries[i], content: condense(entries[i].content), condensed: true };
+      condensed++;
+    }
+    const dropped = [];
+    while (entries.length > 1 && !fits()) {
+      const { session, createdAt } = entries.shift();
+      const original = this._entries.find(e => e.session === session);
+      dropped.push({ session, createdAt, content: original.content });
+    }
+    if (!fits()) {
+      return { ok: false, error: 'The room storage is full (Owlbear Rodeo keeps 16 KB per room, shared with other extensions).' };
+    }
+
+    const saved = await this._save(entries);
+    return saved.ok ? { ok: true, session: entry.session, condensed, dropped } : saved;
+  }
+
+  /**
+   * @param {number} session - Session number of the entry
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async removeEntry(session) {
+    if (!this.roleService.isGM()) return { ok: false, error: 'Only the GM can edit the campaign journal.' };
+    if (!this._entries.some(e => e.session === session)) return { ok: false, error: `There is no recap for session ${session}.` };
+    return this._save(this._entries.filter(e => e.session !== session));
+  }
+
+  async _save(entries) {
+    if (!this.OBR) {
+      this._entries = entries;
+      return { ok: true };
+    }
+    const saved = await setRoomMetadata(this.OBR, ROOM_METADATA_JOURNAL, entries);
+    if (saved.ok) this._entries = entries;
+    return saved;
+  }
+
+  /**
+   * The journal as Markdown, newest session first (/journal).
+   * @returns {string}
+   */
+  toMarkdown() {
+    return [...this._entries].reverse()
+      .map(e => `### Session ${e.session} · ${new Date(e.createdAt).toLocaleDateString()}${e.condensed ? ' (condensed)' : ''}\n\n${e.content}`)
+      .join('\n\n');
+  }
+
+  /**
+   * Prompt section with the recaps, newest first so trimming drops the oldest. GM only.
+   * @returns {string}
+   */
+  getPromptContext() {
+    if (!this.roleService.isGM() || this._entries.length === 0) return '';
+    return `\n\n--- CAMPAIGN JOURNAL ---
+Recaps of earlier sessions of this campaign, written for the GM. Use them for continuity (names, events, open threads) and treat them as canon for this campaign.
+
+${this.toMarkdown()}
+---\n`;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Player role (GM or PLAYER) and the GM-set limits for players.
+ * The role comes from OBR.player.getRole() and is kept up to date; the limits live in
+ * room metadata so every player's GM AI reads the same policy and only the GM can change it.
+ */
+
+import { DEFAULT_PLAYER_POLICY } from '../utils/promptBuilder.js';
+import { setRoomMetadata } from '../utils/roomMetadata.js';
+
+const ROOM_METADATA_PLAYER_POLICY = 'com.gm-ia/playerPolicy';
+
+function normalizePolicy(raw) {
+  const policy = { ...DEFAULT_PLAYER_POLICY };
+  if (raw && typeof raw === 'object') {
+    Object.keys(policy).forEach(key => {
+      if (typeof raw[key] === 'boolean') policy[key] = raw[key];
+    });
+  }
+  return policy;
+}
+
+export class RoleService {
+  constructor() {
+    this.OBR = null;
+    // Without OBR (local testing) the user is the GM
+    this._role = 'GM';
+    this._policy = { ...DEFAULT_PLAYER_POLICY };
+    this._listeners = [];
+  }
+
+  /**
+   * Reads the role and the player policy, and follows changes to both.
+   * @param {Object} obr - OBR SDK instance
+   */
+  async init(obr) {
+    if (!obr) return;
+    this.OBR = obr;
+    try {
+      this._role = await obr.player.getRole();
+      const metadata = await obr.room.getMetadata();
+      this._policy = normalizePolicy(metadata?.[ROOM_METADATA_PLAYER_POLICY]);
+
+      obr.player.onChange((player) => {
+        if (player?.role && player.role !== this._role) {
+          this._role = player.role;
+          this._emit();
+        }
+      });
+      obr.room.onMetadataChange((metadata) => {
+        const next = normalizePolicy(metadata?.[ROOM_METADATA_PLAYER_POLICY]);
+        if (JSON.stringify(next) !== JSON.stringify(this._policy)) {
+          this._policy = next;
+          this._emit();
+        }
+      });
+    } catch (e) {
+      console.warn('[GM AI] RoleService: error reading role', e);
+    }
+  }
+
+  /**
+   * Called when the role or the player policy changes.
+   * @param {(role: string, policy: Object) => void} fn
+   */
+  onChange(fn) {
+    this._listeners.push(fn);
+  }
+
+  _emit() {
+    this._listeners.forEach(fn => {
+      try {
+        fn(this._role, this.getPolicy());
+      } catch (e) {
+        console.warn('[GM AI] RoleService listener failed', e);
+      }
+    });
+  }
+
+  /** @returns {'GM'|'PLAYER'} */
+  getRole() {
+    return this._role === 'PLAYER' ? 'PLAYER' : 'GM';
+  }
+
+  isGM() {
+    return this.getRole() === 'GM';
+  }
+
+  /** @returns {{ allowChat: boolean, allowVault: boolean, allowScene: boolean, allowDocuments: boolean, allowDice: boolean }} */
+  getPolicy() {
+    return { ...this._policy };
+  }
+
+  /**
+   * Whether the current user may use a feature. Always true for the GM.
+   * @param {keyof typeof DEFAULT_PLAYER_POLICY} feature
+   * @returns {boolean}
+   */
+  can(feature) {
+    return this.isGM() || this._policy[feature] === true;
+  }
+
+  /**
+   * Saves the player policy to room metadata (GM only).
+   * @param {Object} policy - Partial policy; missing keys keep their value
+   * @returns {Promise<boolean>} True if saved
+   */
+  async setPolicy(policy) {
+    if (!this.isGM()) return false;
+    this._policy = normalizePolicy({ ...this._policy, ...policy });
+    if (!this.OBR) return true;
+    const { ok, error } = await setRoomMetadata(this.OBR, ROOM_METADATA_PLAYER_POLICY, this._policy);
+    if (!ok) console.warn('[GM AI] RoleService: error saving player policy:', error);
+    return ok;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Real dice rolls for the assistant: exposes the `roll_dice` tool and,
+ * if enabled in Settings, announces the rolls to the room (OBR broadcast + notification).
+ */
+
+import { rollDice } from '../utils/dice.js';
+
+const BROADCAST_CHANNEL_ROLL = 'com.gm-ia/roll';
+
+function formatAnnouncement(roll, playerName) {
+  const reason = roll.reason ? ` (${roll.reason})` : '';
+  return `🎲 ${playerName} · GM AI rolled ${roll.text}${reason}`;
+}
+
+export class RollService {
+  /**
+   * @param {import('./ConfigService.js').ConfigService} configService
+   */
+  constructor(configService) {
+    this.configService = configService;
+    this.OBR = null;
+    this._playerName = 'GM';
+    this._onRoll = null;
+  }
+
+  /**
+   * Listens for rolls announced by other players' GM AI.
+   * @param {Object} obr - OBR SDK instance
+   */
+  async init(obr) {
+    if (!obr) return;
+    this.OBR = obr;
+    try {
+      this._playerName = await obr.player.getName();
+      obr.broadcast.onMessage(BROADCAST_CHANNEL_ROLL, (event) => {
+        const { text } = event.data || {};
+        if (text) this._notify(text);
+      });
+    } catch (e) {
+      console.warn('[GM AI] RollService: error initializing', e);
+    }
+  }
+
+  /**
+   * Called with every roll made through the tool (e.g. to show it in the chat).
+   * @param {(roll: Object) => void} fn
+   */
+  setOnRoll(fn) {
+    this._onRoll = fn;
+  }
+
+  /**
+   * Rolls an expression, reports it and announces it if enabled.
+   * @param {string} expression
+   * @param {string} [reason]
+   * @returns {{ expression: string, total: number, text: string, reason?: string }}
+   * @throws {import('../utils/dice.js').DiceError}
+   */
+  roll(expression, reason) {
+    const roll = { ...rollDice(expression), reason: (reason || '').trim() || undefined };
+    if (this._onRoll) this._onRoll(roll);
+    if (this.configService.getAnnounceRolls()) this._announce(roll);
+    return roll;
+  }
+
+  _announce(roll) {
+    if (!this.OBR) return;
+    const text = formatAnnouncement(roll, this._playerName);
+    // Not awaited: the roll result does not wait for the broadcast
+    this.OBR.broadcast.sendMessage(BROADCAST_CHANNEL_ROLL, { text })
+      .catch(e => console.warn('[GM AI] RollService: broadcast failed', e));
+    this._notify(text);
+  }
+
+  _notify(text) {
+    this.OBR?.notification?.show(text, 'INFO')
+      ?.catch(e => console.warn('[GM AI] RollService: notification failed', e));
+  }
+
+  /**
+   * Definition for ToolService.register().
+   * @returns {{ name: string, description: string, parameters: Object, handler: Function }}
+   */
+  getTool() {
+    return {
+      name: 'roll_dice',
+      description: 'Roll real dice. Use it whenever a ruling, check, attack, damage or random table needs a roll; never invent results. Supports NdM, keep/drop (2d20kh1, 4d6dl1), "d20 adv"/"d20 dis" and +/- modifiers.',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'Dice expression, e.g. "1d20+5", "2d20kh1+3", "8d6".' },
+          reason: { type: 'string', description: 'What the roll is for, e.g. "Ogre attack" or "Perception check DC 15".' }
+        },
+        required: ['expression']
+      },
+      handler: ({ expression, reason }) => {
+        const roll = this.roll(expression, reason);
+        return {
+          expression: roll.expression,
+          total: roll.total,
+          breakdown: roll.text,
+          rolls: roll.terms.filter(t => t.rolls).map(t => ({ dice: t.source, rolls: t.rolls, kept: t.kept.map(i => t.rolls[i]) }))
+        };
+      }
+    };
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Reads the current Owlbear scene (OBR.scene.items) and summarizes its tokens
+ * for the prompt: names, layer, grid position, visibility, owner, and HP/AC/conditions
+ * when a stats or condition-marker extension stores them in item metadata.
+ */
+
+const TOKEN_LAYERS = new Set(['CHARACTER', 'MOUNT']);
+const MAX_TOKENS = 40;
+
+// Metadata field names used by common stat extensions (e.g. Stat Bubbles for D&D)
+const HP_KEYS = ['health', 'hp', 'currentHp', 'currentHP', 'current hp'];
+const MAX_HP_KEYS = ['max health', 'maxHealth', 'maxHp', 'maxHP', 'hpMax', 'max hp'];
+const TEMP_HP_KEYS = ['temporary health', 'tempHp', 'tempHP', 'temp hp'];
+const AC_KEYS = ['armor class', 'armorClass', 'ac', 'AC'];
+
+function pick(obj, keys) {
+  for (const key of keys) {
+    const value = obj[key];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+/**
+ * Collects HP, AC and conditions from every extension namespace in the item metadata.
+ * @param {Object} metadata
+ * @returns {{ hp?: number|string, maxHp?: number|string, tempHp?: number|string, ac?: number|string, conditions: string[], statsHidden: boolean }}
+ */
+function readStats(metadata) {
+  const stats = { conditions: [], statsHidden: false };
+  Object.values(metadata || {}).forEach(value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+    stats.hp ??= pick(value, HP_KEYS);
+    stats.maxHp ??= pick(value, MAX_HP_KEYS);
+    stats.tempHp ??= pick(value, TEMP_HP_KEYS);
+    stats.ac ??= pick(value, AC_KEYS);
+    if (Array.isArray(value.conditions)) {
+      stats.conditions.push(...value.conditions.filter(c => typeof c === 'string'));
+    }
+    if (value.hide === true) stats.statsHidden = true;
+  });
+  return stats;
+}
+
+function tokenName(item) {
+  return (item.text?.plainText || item.name || 'Unnamed token').trim();
+}
+
+/** Condition markers are attachments whose metadata namespace mentions "condition". */
+function isConditionMarker(item) {
+  return Boolean(item.attachedTo) &&
+    Object.keys(item.metadata || {}).some(key => key.toLowerCase().includes('condition'));
+}
+
+export class SceneContextService {
+  constructor() {
+    this.OBR = null;
+  }
+
+  /**
+   * @param {Object} obr - OBR SDK instance
+   */
+  init(obr) {
+    this.OBR = obr || null;
+  }
+
+  /**
+   * Tokens currently on the map, with their stats.
+   * @returns {Promise<Array<{ id: string, name: string, layer: string, visible: boolean, x: number, y: number, owner?: string, hp?: number|string, maxHp?: number|string, tempHp?: number|string, ac?: number|string, conditions: string[], statsHidden: boolean }>>}
+   *   Empty when there is no OBR or no scene open. Positions are in grid squares.
+   */
+  async getTokens() {
+    if (!this.OBR?.scene) return [];
+    try {
+      if (!(await this.OBR.scene.isReady())) return [];
+
+      const [items, dpi, players] = await Promise.all([
+        this.OBR.scene.items.getItems(),
+        this.OBR.scene.grid.getDpi().catch(() => 150),
+        this.OBR.party.getPlayers().catch(() => [])
+      ]);
+      const playerNames = new Map(players.filter(p => p.role !== 'GM').map(p => [p.id, p.name]));
+
+      const conditionsByToken = new Map();
+      items.filter(isConditionMarker).forEach(marker => {
+        const list = conditionsByToken.get(marker.attachedTo) || [];
+        list.push(marker.name);
+        conditionsByToken.set(marker.attachedTo, list);
+      });
+
+      return items
+        .filter(item => TOKEN_LAYERS.has(item.layer) && !item.attachedTo)
+        .map(item => {
+          const stats = readStats(item.metadata);
+          const conditions = [...new Set([...stats.conditions, ...(conditionsByToken.get(item.id) || [])])];
+          return {
+            ...stats,
+            id: item.id,
+            name: tokenName(item),
+            layer: item.layer,
+            visible: item.visible !== false,
+            x: Math.round((item.position?.x || 0) / dpi),
+            y: Math.round((item.position?.y || 0) / dpi),
+            owner: playerNames.get(item.createdUserId),
+            conditions
+          };
+        });
+    } catch (e) {
+      console.warn('[GM AI] SceneContextService: could not read scene items', e);
+      return [];
+    }
+  }
+
+  /**
+   * Builds the prompt section describing the tokens on the map.
+   * @param {{ forPlayers?: boolean }} [options] - Player-safe: hidden tokens are left out and
+   *   only player tokens keep their HP/AC (condition markers are visible on the map anyway)
+   * @returns {Promise<string>} Empty string when there is no scene or no tokens
+   */
+  async getSceneContext({ forPlayers = false } = {}) {
+    let tokens = await this.getTokens();
+    if (forPlayers) {
+      tokens = tokens
+        .filter(t => t.visible)
+        .map(t => (t.owner && !t.statsHidden ? t : { ...t, hp: undefined, maxHp: undefined, tempHp: undefined, ac: undefined }));
+    }
+    if (tokens.length === 0) return '';
+
+    let scaleNote = '';
+    try {
+      const scale = await this.OBR.scene.grid.getScale();
+      if (scale?.parsed) scaleNote = `, 1 square = ${scale.parsed.multiplier} ${scale.parsed.unit}`;
+    } catch (_) {}
+
+    const lines = tokens.slice(0, MAX_TOKENS).map(t => {
+      const parts = [`${t.name}${t.owner ? ` (player token, ${t.owner})` : ''} at (${t.x}, ${t.y})`];
+      if (t.hp !== undefined) {
+        const temp = t.tempHp ? ` +${t.tempHp} temp` : '';
+        parts.push(`HP ${t.hp}${t.maxHp !== undefined ? `/${t.maxHp}` : ''}${temp}`);
+      }
+      if (t.ac !== undefined) parts.push(`AC ${t.ac}`);
+      if (t.conditions.length > 0) parts.push(t.conditions.join(', '));
+      if (t.layer === 'MOUNT') parts.push('mount');
+      if (!t.visible) parts.push('hidden from players');
+      else if (t.statsHidden) parts.push('stats hidden from players');
+      return `- ${parts.join(' · ')}`;
+    });
+    const more = tokens.length > MAX_TOKENS ? `\n(${tokens.length - MAX_TOKENS} more tokens not listed)` : '';
+
+    return `\n\n--- CURRENT SCENE (Owlbear Rodeo) ---
+Tokens on the map right now (positions in grid squares${scaleNote}). Use them when the question is about the current encounter${forPlayers ? '' : '; do not reveal hidden tokens unless asked by the GM'}.
+${lines.join('\n')}${more}
+---`;
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Where the BYOK API keys are kept. Never as plain text in localStorage:
+ * - session: in memory only; they are gone when Owlbear reloads the extension.
+ * - encrypted: one AES-GCM blob in localStorage, with a key derived from a passphrase
+ *   (PBKDF2-SHA256). The passphrase is not stored; it unlocks the blob once per session and
+ *   the derived key stays in memory, non-extractable.
+ * ConfigService holds the decrypted keys in memory and calls save() whenever they change.
+ */
+
+const KEY_STORAGE_MODE = 'gm-ia-key-storage';
+const KEY_ENCRYPTED_KEYS = 'gm-ia-api-keys-encrypted';
+
+export const KEY_STORAGE_MODES = ['session', 'encrypted'];
+export const MIN_PASSPHRASE_CHARS = 8;
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const BLOB_VERSION = 1;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export class SecretStore {
+  constructor() {
+    /** @type {CryptoKey|null} */
+    this._cryptoKey = null;
+    /** @type {Uint8Array|null} */
+    this._salt = null;
+  }
+
+  /** @returns {'session'|'encrypted'} */
+  getMode() {
+    try {
+      return localStorage.getItem(KEY_STORAGE_MODE) === 'encrypted' ? 'encrypted' : 'session';
+    } catch {
+      return 'session';
+    }
+  }
+
+  setMode(mode) {
+    try {
+      localStorage.setItem(KEY_STORAGE_MODE, mode === 'encrypted' ? 'encrypted' : 'session');
+    } catch (e) {
+      console.warn('[GM AI] SecretStore: error saving key storage mode', e);
+    }
+  }
+
+  /** @returns {boolean} Whether encrypted keys are saved in this browser */
+  hasEncryptedKeys() {
+    try {
+      return localStorage.getItem(KEY_ENCRYPTED_KEYS) !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  isUnlocked() {
+    return this._cryptoKey !== null;
+  }
+
+  /** @returns {boolean} Encrypted keys exist but the passphrase has not been entered this session */
+  isLocked() {
+    return this.getMode() === 'encrypted' && this.hasEncryptedKeys() && !this.isUnlocked();
+  }
+
+  /**
+   * Starts using a new passphrase (fresh salt). Nothing is written until save().
+   * @param {string} passphrase
+   */
+  async setPassphrase(passphrase) {
+    this._salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    this._cryptoKey = await deriveKey(passphrase, this._salt);
+  }
+
+  /**
+   * Decrypts the saved keys.
+   * @param {string} passphrase
+   * @returns {Promise<{ ok: boolean, keys?: Object<string, string>, error?: string }>}
+   */
+  async unlock(passphrase) {
+    let blob;
+    try {
+      blob = JSON.parse(localStorage.getItem(KEY_ENCRYPTED_KEYS) || 'null');
+    } catch {
+      blob = null;
+    }
+    if (!blob || blob.v !== BLOB_VERSION) return { ok: false, error: 'No encrypted keys are saved in this browser.' };
+
+    try {
+      const salt = fromBase64(blob.salt);
+      const cryptoKey = await deriveKey(passphrase, salt);
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(blob.iv) }, cryptoKey, fromBase64(blob.data));
+      const keys = JSON.parse(new TextDecoder().decode(plain));
+      this._cryptoKey = cryptoKey;
+      this._salt = salt;
+      return { ok: true, keys: keys && typeof keys === 'object' ? keys : {} };
+    } catch {
+      // AES-GCM rejects a wrong key: the passphrase does not match
+      return { ok: false, error: 'Wrong passphrase.' };
+    }
+  }
+
+  /**
+   * Encrypts and saves the keys (requires setPassphrase() or unlock() first).
+   * @param {Object<string, string>} keys - Provider id → API key
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async save(keys) {
+    if (!this._cryptoKey) return { ok: false, error: 'Unlock your saved keys first.' };
+    try {
+      const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+      const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this._cryptoKey, new TextEncoder().encode(JSON.stringify(keys)));
+      localStorage.setItem(KEY_ENCRYPTED_KEYS, JSON.stringify({
+        v: BLOB_VERSION,
+        salt: toBase64(this._salt),
+        iv: toBase64(iv),
+        data: toBase64(data)
+      }));
+      return { ok: true };
+    } catch (e) {
+      console.warn('[GM AI] SecretStore: error saving encrypted keys', e);
+      return { ok: false, error: 'Could not save the encrypted keys.' };
+    }
+  }
+
+  /** Deletes the encrypted keys and forgets the passphrase. */
+  clear() {
+    this._cryptoKey = null;
+    this._salt = null;
+    try {
+      localStorage.removeItem(KEY_ENCRYPTED_KEYS);
+    } catch (e) {
+      console.warn('[GM AI] SecretStore: error deleting encrypted keys', e);
+    }
+  }
+}
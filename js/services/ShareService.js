@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Shares assistant answers with the party. The GM sends a message over
+ * OBR.broadcast (live delivery to everyone with the extension open) and it is also kept
+ * in room metadata, so players who open GM AI later still see the recent feed.
+ * Only the GM can share; players get a read-only feed.
+ * The stored feed keeps the newest messages that fit its room metadata budget (utils/roomMetadata.js).
+ */
+
+import { fitListInRoom } from '../utils/roomMetadata.js';
+
+const BROADCAST_CHANNEL_SHARED = 'com.gm-ia/shared-message';
+const ROOM_METADATA_SHARED_FEED = 'com.gm-ia/sharedFeed';
+
+const MAX_FEED_MESSAGES = 10;
+// One message must fit the feed's 4 KB budget on its own, even with multi-byte characters
+const MAX_SHARED_LENGTH = 1200;
+
+function createId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+export class ShareService {
+  /**
+   * @param {import('./RoleService.js').RoleService} roleService - Only the GM may share
+   */
+  constructor(roleService) {
+    this.roleService = roleService;
+    this.OBR = null;
+    this._playerName = 'GM';
+    /** @type {Array<{ id: string, content: string, sharedBy: string, sharedAt: number }>} oldest first */
+    this._feed = [];
+    this._onMessage = null;
+  }
+
+  /**
+   * Loads the stored feed and listens for new shares.
+   * @param {Object} obr - OBR SDK instance
+   */
+  async init(obr) {
+    if (!obr) return;
+    this.OBR = obr;
+    try {
+      this._playerName = await obr.player.getName();
+
+      const metadata = await obr.room.getMetadata();
+      this._merge(metadata?.[ROOM_METADATA_SHARED_FEED]);
+
+      obr.broadcast.onMessage(BROADCAST_CHANNEL_SHARED, (event) => {
+        const added = this._merge([event.data]);
+        added.forEach(message => this._onMessage?.(message));
+      });
+    } catch (e) {
+      console.warn('[GM AI] ShareService: error initializing', e);
+    }
+  }
+
+  /**
+   * Called for each message shared by someone else while GM AI is open.
+   * @param {(message: { id: string, content: string, sharedBy: string, sharedAt: number }) => void} fn
+   */
+  setOnMessage(fn) {
+    this._onMessage = fn;
+  }
+
+  /**
+   * Shared messages, oldest first.
+   * @returns {Array<{ id: string, content: string, sharedBy: string, sharedAt: number }>}
+   */
+  getFeed() {
+    return [...this._feed];
+  }
+
+  /**
+   * Sends an answer to every player and stores it in the room feed.
+   * @param {string} content - Markdown of the answer
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async share(content) {
+    if (!this.roleService.isGM()) return { ok: false, error: 'Only the GM can share messages.' };
+    const text = String(content || '').trim();
+    if (!text) return { ok: false, error: 'Nothing to share.' };
+
+    const message = {
+      id: createId(),
+      content: text.length > MAX_SHARED_LENGTH ? text.slice(0, MAX_SHARED_LENGTH - 1) + '…' : text,
+      sharedBy: this._playerName,
+      sharedAt: Date.now()
+    };
+
+    if (!this.OBR) {
+      this._merge([message]);
+      return { ok: true };
+    }
+    try {
+      // Sized before broadcasting, so nothing goes out that the room cannot keep
+      const metadata = await this.OBR.room.getMetadata();
+      const feed = fitListInRoom(metadata, ROOM_METADATA_SHARED_FEED, [...this._feed, message].slice(-MAX_FEED_MESSAGES));
+      if (!feed.some(m => m.id === message.id)) {
+        return { ok: false, error: 'The room storage is full (Owlbear Rodeo keeps 16 KB per room, shared with other extensions), so the message was not shared.' };
+      }
+      await this.OBR.broadcast.sendMessage(BROADCAST_CHANNEL_SHARED, message);
+      await this.OBR.room.setMetadata({ [ROOM_METADATA_SHARED_FEED]: feed });
+      this._feed = feed;
+      return { ok: true };
+    } catch (e) {
+      console.warn('[GM AI] ShareService: share failed', e);
+      return { ok: false, error: e.message || 'Could not share the message.' };
+    }
+  }
+
+  /**
+   * Adds unseen messages to the feed (deduplicated by id, capped).
+   * @returns {Array<Object>} The messages that were new
+   */
+  _merge(messages) {
+    if (!Array.isArray(messages)) return [];
+    const known = new Set(this._feed.map(m => m.id));
+    const added = messages.filter(m => m && m.id && typeof m.content === 'string' && !known.has(m.id));
+    if (added.length === 0) return [];
+    this._feed = [...this._feed, ...added]
+      .sort((a, b) => a.sharedAt - b.sharedAt)
+      .slice(-MAX_FEED_MESSAGES);
+    return added;
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Deterministic lookups over the bundled SRD 5.2 dataset (js/data/srd).
+ * Matching entries are formatted verbatim: for the prompt, or to show them directly
+ * in the chat without calling the model. Only some kinds are bundled whole (COMPLETE_KINDS),
+ * so a miss is reported as "not bundled", never as "not in the SRD".
+ */
+
+import { SRD_ENTRIES, COMPLETE_KINDS } from '../data/srd/index.js';
+
+const MAX_PROMPT_ENTRIES = 3;
+const MIN_MENTION_LENGTH = 4;
+
+const KIND_LABELS = {
+  spell: 'Spell',
+  monster: 'Monster',
+  condition: 'Condition',
+  equipment: 'Equipment',
+  rule: 'Rule'
+};
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9/]+/g, ' ')
+    .trim();
+}
+
+function abilityModifier(score) {
+  const mod = Math.floor((score - 10) / 2);
+  return mod >= 0 ? `+${mod}` : String(mod);
+}
+
+function formatNamedBlocks(title, blocks) {
+  if (!blocks || blocks.length === 0) return '';
+  return `\n\n**${title}**\n` + blocks.map(([name, text]) => `***${name}.*** ${text}`).join('\n');
+}
+
+function formatSpell(e) {
+  const header = e.level === 0
+    ? `${e.school} Cantrip (${e.classes.join(', ')})`
+    : `Level ${e.level} ${e.school} (${e.classes.join(', ')})`;
+  let text = `**${e.name}**\n*${header}*\n` +
+    `**Casting Time:** ${e.castingTime}\n` +
+    `**Range:** ${e.range}\n` +
+    `**Components:** ${e.components}\n` +
+    `**Duration:** ${e.duration}\n\n` +
+    e.description;
+  if (e.upcast) {
+    text += `\n\n**${e.level === 0 ? 'Cantrip Upgrade' : 'Using a Higher-Level Spell Slot'}.** ${e.upcast}`;
+  }
+  return text;
+}
+
+function formatMonster(e) {
+  const abilities = ['str', 'dex', 'con', 'int', 'wis', 'cha']
+    .map(a => `${a.toUpperCase()} ${e.abilities[a]} (${abilityModifier(e.abilities[a])})`)
+    .join(' | ');
+  const lines = [
+    `**${e.name}**`,
+    `*${e.size} ${e.type}, ${e.alignment}*`,
+    `**AC** ${e.ac} · **HP** ${e.hp} · **Speed** ${e.speed}`,
+    abilities
+  ];
+  if (e.saves) lines.push(`**Saving Throws** ${e.saves}`);
+  if (e.skills) lines.push(`**Skills** ${e.skills}`);
+  if (e.vulnerabilities) lines.push(`**Vulnerabilities** ${e.vulnerabilities}`);
+  if (e.resistances) lines.push(`**Resistances** ${e.resistances}`);
+  if (e.immunities) lines.push(`**Immunities** ${e.immunities}`);
+  lines.push(`**Senses** ${e.senses}`);
+  lines.push(`**Languages** ${e.languages}`);
+  lines.push(`**CR** ${e.cr} (XP ${e.xp})`);
+  return lines.join('\n') +
+    formatNamedBlocks('Traits', e.traits) +
+    formatNamedBlocks('Actions', e.actions) +
+    formatNamedBlocks('Bonus Actions', e.bonusActions) +
+    formatNamedBlocks('Reactions', e.reactions) +
+    formatNamedBlocks('Legendary Actions', e.legendaryActions);
+}
+
+function formatCondition(e) {
+  return `**${e.name}** *(Condition)*\n` + e.effects.map(([name, text]) => `***${name}.*** ${text}`).join('\n');
+}
+
+function formatEquipment(e) {
+  const lines = [`**${e.name}**`, `*${e.category}*`];
+  if (e.armorClass) lines.push(`**Armor Class:** ${e.armorClass}`);
+  if (e.strength) lines.push(`**Strength:** ${e.strength}`);
+  if (e.stealth) lines.push(`**Stealth:** ${e.stealth}`);
+  if (e.damage) lines.push(`**Damage:** ${e.damage}`);
+  if (e.properties) lines.push(`**Properties:** ${e.properties}`);
+  if (e.mastery) lines.push(`**Mastery:** ${e.mastery}`);
+  lines.push(`**Weight:** ${e.weight} · **Cost:** ${e.cost}`);
+  if (e.description) lines.push('', e.description);
+  return lines.join('\n');
+}
+
+function formatRule(e) {
+  return `**${e.name}** *(Rules Glossary)*\n${e.text}`;
+}
+
+const FORMATTERS = {
+  spell: formatSpell,
+  monster: formatMonster,
+  condition: formatCondition,
+  equipment: formatEquipment,
+  rule: formatRule
+};
+
+export class SrdService {
+  /**
+   * @param {Array<Object>} [entries] - Defaults to the bundled dataset
+   */
+  constructor(entries = SRD_ENTRIES) {
+    this._entries = entries.map(entry => ({
+      entry,
+      keys: [entry.name, ...(entry.aliases || [])].map(normalize).filter(Boolean)
+    }));
+  }
+
+  /**
+   * Exact lookup by name or alias (case and accent insensitive). Falls back to a
+   * unique prefix match, so "?fireb" still finds Fireball.
+   * @param {string} query
+   * @param {string} [kind] - Restrict to spell | monster | condition | equipment | rule
+   * @returns {Array<Object>} Matching entries (several when a name is shared, e.g. Shield)
+   */
+  lookup(query, kind) {
+    const q = normalize(query);
+    if (!q) return [];
+    const pool = kind ? this._entries.filter(e => e.entry.kind === kind) : this._entries;
+
+    const exact = pool.filter(e => e.keys.includes(q));
+    if (exact.length > 0) return exact.map(e => e.entry);
+
+    const prefix = pool.filter(e => e.keys.some(k => k.startsWith(q)));
+    return prefix.length === 1 ? [prefix[0].entry] : [];
+  }
+
+  /**
+   * Whether the whole SRD 5.2 list of a kind is bundled (a miss then means it is not in the SRD).
+   * @param {string} [kind] - Any kind when omitted
+   * @returns {boolean}
+   */
+  isComplete(kind) {
+    return Boolean(kind) && COMPLETE_KINDS.includes(kind);
+  }
+
+  /**
+   * What the bundled dataset holds, e.g. "13 of the SRD spells (a subset)".
+   * @param {string} [kind] - Every kind when omitted
+   * @returns {string}
+   */
+  describeCoverage(kind) {
+    const kinds = kind ? [kind] : Object.keys(KIND_LABELS);
+    return kinds.map(k => {
+      const count = this.list(k).length;
+      const label = k === 'equipment' ? 'equipment entries' : `${KIND_LABELS[k].toLowerCase()}s`;
+      return this.isComplete(k) ? `all ${count} ${label}` : `${count} ${label} (a subset)`;
+    }).join(', ');
+  }
+
+  /**
+   * Names containing the query, for "did you mean" suggestions.
+   * @param {string} query
+   * @param {string} [kind]
+   * @param {number} [limit=5]
+   * @returns {string[]}
+   */
+  suggest(query, kind, limit = 5) {
+    const q = normalize(query);
+    if (!q) return [];
+    return this._entries
+      .filter(e => (!kind || e.entry.kind === kind) && e.keys.some(k => k.includes(q)))
+      .slice(0, limit)
+      .map(e => e.entry.name);
+  }
+
+  /**
+   * Entries whose name or alias appears (as whole words) in a free-text question.
+   * @param {string} text
+   * @param {number} [limit]
+   * @returns {Array<Object>}
+   */
+  findMentions(text, limit = MAX_PROMPT_ENTRIES) {
+    const haystack = ` ${normalize(text)} `;
+    const found = [];
+    for (const { entry, keys } of this._entries) {
+      const mentioned = keys.some(k => k.length >= MIN_MENTION_LENGTH &&
+        (haystack.includes(` ${k} `) || haystack.includes(` ${k}s `)));
+      if (mentioned) found.push(entry);
+      if (found.length >= limit) break;
+    }
+    return found;
+  }
+
+  /**
+   * Formats an entry as Markdown, using the SRD wording verbatim.
+   * @param {Object} entry
+   * @returns {string}
+   */
+  formatEntry(entry) {
+    const format = FORMATTERS[entry.kind];
+    return format ? format(entry) : `**${entry.name}**`;
+  }
+
+  /**
+   * @param {Object} entry
+   * @returns {string} Human-readable kind ("Spell", "Monster"...)
+   */
+  kindLabel(entry) {
+    return KIND_LABELS[entry.kind] || '';
+  }
+
+  /**
+   * All entries of one kind, in dataset order.
+   * @param {string} kind - spell | monster | condition | equipment | rule
+   * @returns {Array<Object>}
+   */
+  list(kind) {
+    return this._entries.filter(e => e.entry.kind === kind).map(e => e.entry);
+  }
+
+  /**
+   * Prompt section with the SRD entries mentioned in the question.
+   * @param {string} question
+   * @param {{ excludeKinds?: string[] }} [options] - e.g. ['monster'] for players
+   * @returns {string} Empty string when nothing matches
+   */
+  getPromptContext(question, { excludeKinds = [] } = {}) {
+    const entries = this.findMentions(question, MAX_PROMPT_ENTRIES + excludeKinds.length * MAX_PROMPT_ENTRIES)
+      .filter(e => !excludeKinds.includes(e.kind))
+      .slice(0, MAX_PROMPT_ENTRIES);
+    return this.formatPromptContext(entries);
+  }
+
+  /**
+   * Prompt section quoting the given entries verbatim.
+   * @param {Array<Object>} entries
+   * @returns {string} Empty string when there are no entries
+   */
+  formatPromptContext(entries) {
+    if (entries.length === 0) return '';
+    return `\n\n--- SRD 5.2 ENTRIES (verbatim) ---
+These entries are quoted exactly from the SRD 5.2. Use their numbers and wording as written; never contradict them.
+
+${entries.map(e => this.formatEntry(e)).join('\n\n')}
+---`;
+  }
+}
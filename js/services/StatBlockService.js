@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Stat block mode: asks the model for a creature or NPC as JSON following
+ * STAT_BLOCK_SCHEMA, validates the reply and, if it is invalid, builds one repair request
+ * with the problems found. SRD monsters mentioned in the request are quoted so the model
+ * converts them instead of inventing numbers.
+ */
+
+import { STAT_BLOCK_SCHEMA, parseStatBlock, statBlockToMarkdown } from '../utils/statBlock.js';
+
+const MAX_REPORTED_ERRORS = 8;
+
+export class StatBlockService {
+  /**
+   * @param {import('./SrdService.js').SrdService} srdService
+   */
+  constructor(srdService) {
+    this.srdService = srdService;
+  }
+
+  /**
+   * User message asking for a stat block.
+   * @param {string} request - e.g. "a veteran orc war chief" or "the innkeeper, CR 1"
+   * @returns {string}
+   */
+  getPrompt(request) {
+    return `Create a D&D 5e (2024 rules) stat block for: ${request}
+
+Reply with one JSON object only, no prose and no code fence. It must follow this JSON Schema:
+${JSON.stringify(STAT_BLOCK_SCHEMA)}
+
+Guidelines:
+- If the creature is in the SRD entries given to you, copy its numbers and wording exactly.
+- Otherwise balance it for its CR with the SRD 5.2 guidelines: AC, HP, attack bonus and damage must match the CR.
+- "saves" and "skills" hold the total bonus, e.g. {"dex": 5}, {"Perception": 4}. Leave them out if the creature has none.
+- Actions text follows the SRD style, e.g. "Melee Attack Roll: +5, reach 5 ft. Hit: 7 (1d8 + 3) Slashing damage."
+- Leave out optional fields that do not apply instead of sending empty values.`;
+  }
+
+  /**
+   * Follow-up message after an invalid reply.
+   * @param {string[]} errors - From parse()
+   * @returns {string}
+   */
+  getRepairPrompt(errors) {
+    const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e}`).join('\n');
+    return `That reply is not a valid stat block:
+${listed}
+
+Send the corrected JSON object only.`;
+  }
+
+  /**
+   * SRD entries of the monsters named in the request.
+   * @param {string} request
+   * @returns {string}
+   */
+  getSrdContext(request) {
+    const entries = this.srdService.findMentions(request).filter(e => e.kind === 'monster');
+    return this.srdService.formatPromptContext(entries);
+  }
+
+  /**
+   * @param {string} content - Model reply
+   * @returns {{ statBlock: Object|null, errors: string[] }}
+   */
+  parse(content) {
+    return parseStatBlock(content);
+  }
+
+  /**
+   * @param {Object} statBlock - Valid stat block
+   * @returns {string} Markdown form, stored as the message content
+   */
+  toMarkdown(statBlock) {
+    return statBlockToMarkdown(statBlock);
+  }
+}
@@ -1,10 +1,10 @@
 /**
  * @fileoverview Servicio de tier freemium (Patreon).
- * Consulta al backend el plan del usuario; el uso diario se rastrea en cliente.
+ * Consulta al backend el plan del usuario y su uso diario (contado en el servidor);
+ * el contador local de UsageTracker solo se usa si el backend no responde.
  * 
- * ⚠️ BYOK MODE: This service is currently NOT USED.
- * Users now bring their own OpenAI API key, so there's no tier/limit system.
- * Code is kept here for potential future re-activation.
+ * Only used in hosted mode (ConfigService.getChatMode()): in BYOK mode users bring their own
+ * API key, so there are no tiers or limits.
  */
 
 import { getUsedToday } from './UsageTracker.js';
@@ -21,8 +21,9 @@ export class TierService {
 
   /**
    * Obtiene el tier actual del usuario (free | premium) y límites.
-   * usedToday viene del UsageTracker local.
-   * @returns {Promise<{ tier: string, dailyLimit: number, usedToday: number }>}
+   * usedToday viene del backend; sin respuesta, del UsageTracker local.
+   * @returns {Promise<{ tier: string, dailyLimit: number, usedToday: number, patreon?: { loggedIn: boolean, name?: string }, offline?: boolean }>}
+   *   `offline` when the backend could not be reached (defaults and the local count are returned)
    */
   async getTier() {
     const base = this.configService.getApiBaseUrl();
@@ -33,34 +34,82 @@ export class TierService {
     }
 
     if (this._cached && Date.now() < this._cacheExpiry) {
-      return { ...this._cached, usedToday };
+      return { ...this._cached };
     }
 
     const token = this.configService.getPatreonToken();
-    let url = `${base}/.netlify/functions/tier`;
+    const headers = { Accept: 'application/json', 'X-User-Id': this.configService.getUserId() };
     if (token) {
-      url += `?token=${encodeURIComponent(token)}`;
+      headers['X-Patreon-Token'] = token;
     }
 
     try {
-      const res = await fetch(url, {
+      const res = await fetch(`${base}/.netlify/functions/tier`, {
         method: 'GET',
-        headers: { Accept: 'application/json' }
+        headers
       });
       if (!res.ok) {
-        return { ...DEFAULT_TIER, usedToday };
+        return { ...DEFAULT_TIER, usedToday, offline: true };
       }
       const data = await res.json();
       this._cached = {
         tier: data.tier || 'free',
-        dailyLimit: data.dailyLimit ?? DEFAULT_TIER.dailyLimit
+        dailyLimit: data.dailyLimit ?? DEFAULT_TIER.dailyLimit,
+        usedToday: data.usedToday ?? usedToday,
+        patreon: data.patreon || { loggedIn: false }
       };
       this._cacheExpiry = Date.now() + CACHE_TTL_MS;
-      return { ...this._cached, usedToday };
+      return { ...this._cached };
     } catch (e) {
       console.warn('[GM IA] TierService: error fetching tier', e);
-      return { ...DEFAULT_TIER, usedToday };
+      return { ...DEFAULT_TIER, usedToday, offline: true };
+    }
+  }
+
+  /**
+   * Logs in with Patreon in a popup (patreon-login → Patreon → patreon-callback).
+   * The callback page posts the signed session back; it is stored and sent as X-Patreon-Token.
+   * @returns {Promise<{ ok: boolean, premium?: boolean, name?: string, error?: string }>}
+   */
+  connectPatreon() {
+    const base = this.configService.getApiBaseUrl().replace(/\/+$/, '');
+    if (!base) {
+      return Promise.resolve({ ok: false, error: 'Configure the backend URL first.' });
     }
+    const popup = window.open(`${base}/.netlify/functions/patreon-login`, 'gm-ia-patreon', 'width=520,height=720');
+    if (!popup) {
+      return Promise.resolve({ ok: false, error: 'The login window was blocked. Allow popups and try again.' });
+    }
+    const origin = new URL(base).origin;
+
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        window.removeEventListener('message', onMessage);
+        clearInterval(closedTimer);
+        resolve(result);
+      };
+      const onMessage = (event) => {
+        if (event.origin !== origin || event.data?.type !== 'gm-ia-patreon') return;
+        if (event.data.error || !event.data.token) {
+          finish({ ok: false, error: event.data.error || 'Patreon login failed.' });
+          return;
+        }
+        this.configService.setPatreonToken(event.data.token);
+        this.invalidateCache();
+        finish({ ok: true, premium: event.data.premium === true, name: event.data.name || '' });
+      };
+      // Closed without finishing the login
+      const closedTimer = setInterval(() => {
+        if (popup.closed) finish({ ok: false, error: 'Patreon login was cancelled.' });
+      }, 1000);
+      window.addEventListener('message', onMessage);
+    });
+  }
+
+  /** Forgets the Patreon session (back to the free tier). */
+  disconnectPatreon() {
+    this.configService.setPatreonToken('');
+    this.invalidateCache();
   }
 
   invalidateCache() {
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Registry of client-side tools the model can call (OpenAI tool calling).
+ * Each tool has a JSON-schema definition and a handler that runs in the browser;
+ * ApiService sends the definitions and feeds the handler results back to the model.
+ */
+
+export class ToolService {
+  constructor() {
+    /** @type {Map<string, { description: string, parameters: Object, handler: Function }>} */
+    this._tools = new Map();
+  }
+
+  /**
+   * @param {{ name: string, description: string, parameters: Object, handler: (args: Object) => Promise<Object>|Object }} tool
+   */
+  register(tool) {
+    this._tools.set(tool.name, {
+      description: tool.description,
+      parameters: tool.parameters,
+      handler: tool.handler
+    });
+  }
+
+  unregister(name) {
+    this._tools.delete(name);
+  }
+
+  hasTools() {
+    return this._tools.size > 0;
+  }
+
+  /**
+   * Definitions in OpenAI `tools` format.
+   * @returns {Array<{ type: 'function', function: { name: string, description: string, parameters: Object } }>}
+   */
+  getDefinitions() {
+    return [...this._tools.entries()].map(([name, tool]) => ({
+      type: 'function',
+      function: { name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+
+  /**
+   * Runs a tool call requested by the model. Errors are returned to the model
+   * (as `{ error }`) instead of being thrown, so it can correct itself.
+   * @param {string} name
+   * @param {string} argsJson - Arguments as sent by the model (JSON string)
+   * @returns {Promise<string>} JSON result for the `tool` message
+   */
+  async execute(name, argsJson) {
+    const tool = this._tools.get(name);
+    if (!tool) {
+      return JSON.stringify({ error: `Unknown tool: ${name}` });
+    }
+    let args;
+    try {
+      args = argsJson ? JSON.parse(argsJson) : {};
+    } catch {
+      return JSON.stringify({ error: 'Arguments are not valid JSON' });
+    }
+    try {
+      const result = await tool.handler(args);
+      return JSON.stringify(result ?? {});
+    } catch (e) {
+      console.warn(`[GM AI] Tool ${name} failed`, e);
+      return JSON.stringify({ error: e.message || 'Tool failed' });
+    }
+  }
+}
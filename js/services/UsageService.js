@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Token usage and spending of BYOK answers: per message, per session (in memory)
+ * and per day/month (UsageTracker, localStorage). Costs are estimated from the list prices in the
+ * model registry; models without a known price are counted but cost nothing here.
+ * An optional budget cap (ConfigService) warns near the limit and blocks sends before it is passed.
+ */
+
+import { getModelInfo } from '../providers/index.js';
+import { addTokenUsage, getTokenUsage, emptyTokenUsage } from './UsageTracker.js';
+
+/** Share of the cap from which the user is warned */
+const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * @typedef {Object} MessageUsage
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number|null} cost - Estimated USD, null when the model has no known price
+ * @property {boolean} [estimated] - Tokens counted from the text (the provider did not report them)
+ */
+
+/**
+ * @typedef {Object} BudgetStatus
+ * @property {'off'|'ok'|'warning'|'blocked'} state
+ * @property {number} spent - USD in the current period
+ * @property {number} cap - USD (0: no cap)
+ * @property {'day'|'month'} period
+ * @property {string} [message] - For 'warning' and 'blocked'
+ */
+
+/**
+ * Estimated cost of some tokens of a model.
+ * @param {string} model
+ * @param {{ inputTokens: number, outputTokens: number }} usage
+ * @returns {number|null} USD, or null when the price is unknown
+ */
+export function estimateCost(model, usage) {
+  const pricing = getModelInfo(model).pricing;
+  if (!pricing) return null;
+  return (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6;
+}
+
+/**
+ * "$0.0042", with more decimals for small amounts.
+ * @param {number} usd
+ */
+export function formatCost(usd) {
+  if (usd === 0) return '$0';
+  return `$${usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+export class UsageService {
+  constructor(configService) {
+    this.configService = configService;
+    this._session = emptyTokenUsage();
+    /** Cost of the last answer: what the next one will probably cost */
+    this._lastCost = 0;
+  }
+
+  /**
+   * Records one BYOK answer.
+   * @param {string} model
+   * @param {{ inputTokens: number, outputTokens: number, estimated?: boolean }} usage
+   * @returns {MessageUsage}
+   */
+  record(model, usage) {
+    const cost = estimateCost(model, usage);
+    const entry = { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, cost };
+    if (usage.estimated) entry.estimated = true;
+
+    this._session.requests += 1;
+    this._session.inputTokens += entry.inputTokens;
+    this._session.outputTokens += entry.outputTokens;
+    if (cost === null) this._session.unpriced += 1;
+    else this._session.cost += cost;
+    if (cost !== null) this._lastCost = cost;
+
+    addTokenUsage(entry);
+    return entry;
+  }
+
+  /** @returns {{ session: Object, today: Object, month: Object }} Totals as kept by UsageTracker */
+  getTotals() {
+    return {
+      session: { ...this._session },
+      today: getTokenUsage('day'),
+      month: getTokenUsage('month')
+    };
+  }
+
+  /**
+   * Where spending stands against the cap. Sends are blocked once the cap is reached or when
+   * an answer like the last one would go past it.
+   * @returns {BudgetStatus}
+   */
+  checkBudget() {
+    const cap = this.configService.getBudgetCap();
+    const period = this.configService.getBudgetPeriod();
+    const spent = getTokenUsage(period).cost;
+    if (!cap) return { state: 'off', spent, cap, period };
+
+    const label = period === 'day' ? 'daily' : 'monthly';
+    const status = `${formatCost(spent)} of your ${formatCost(cap)} ${label} budget`;
+    if (spent >= cap || spent + this._lastCost > cap) {
+      return {
+        state: 'blocked',
+        spent,
+        cap,
+        period,
+        message: `Budget reached: ${status} is spent. Raise the cap in Usage (chart icon) to keep asking.`
+      };
+    }
+    if (spent >= cap * BUDGET_WARNING_RATIO) {
+      return { state: 'warning', spent, cap, period, message: `You have used ${status}.` };
+    }
+    return { state: 'ok', spent, cap, period };
+  }
+}
@@ -1,16 +1,89 @@
 /**
  * @fileoverview Rastrea el uso diario de mensajes en el cliente (freemium).
  * Clave en localStorage: gm-ia-used-YYYY-MM-DD
- * 
- * ⚠️ BYOK MODE: This service is currently NOT USED.
- * Users now bring their own OpenAI API key, so there's no usage tracking.
- * Code is kept here for potential future re-activation.
+ *
+ * The server counts the real quota (netlify/lib/quota.js); this count is only used by
+ * TierService when the server cannot be reached. Not used in BYOK mode.
+ *
+ * BYOK token usage is kept the same way, one key per day: gm-ia-tokens-YYYY-MM-DD holds
+ * { requests, inputTokens, outputTokens, cost, unpriced }. Days older than the previous
+ * month are dropped.
  */
 
 const KEY_PREFIX = 'gm-ia-used-';
+const TOKENS_KEY_PREFIX = 'gm-ia-tokens-';
+const TOKEN_DAYS_KEPT = 62;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
 
 function todayKey() {
-  return KEY_PREFIX + new Date().toISOString().slice(0, 10);
+  return KEY_PREFIX + today();
+}
+
+/** @returns {{ requests: number, inputTokens: number, outputTokens: number, cost: number, unpriced: number }} */
+export function emptyTokenUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function readTokenUsage(key) {
+  try {
+    const raw = JSON.parse(localStorage.getItem(key) || 'null');
+    return raw && typeof raw === 'object' ? { ...emptyTokenUsage(), ...raw } : emptyTokenUsage();
+  } catch {
+    return emptyTokenUsage();
+  }
+}
+
+/**
+ * Adds one request to today's token usage.
+ * @param {{ inputTokens: number, outputTokens: number, cost: number|null }} usage - cost null: no known price
+ */
+export function addTokenUsage(usage) {
+  try {
+    const key = TOKENS_KEY_PREFIX + today();
+    const day = readTokenUsage(key);
+    day.requests += 1;
+    day.inputTokens += usage.inputTokens;
+    day.outputTokens += usage.outputTokens;
+    if (usage.cost === null) day.unpriced += 1;
+    else day.cost += usage.cost;
+    localStorage.setItem(key, JSON.stringify(day));
+    pruneTokenUsage();
+  } catch (e) {
+    console.warn('[GM AI] UsageTracker: error saving token usage', e);
+  }
+}
+
+/**
+ * Token usage of today, or of this month so far.
+ * @param {'day'|'month'} period
+ */
+export function getTokenUsage(period) {
+  const prefix = TOKENS_KEY_PREFIX + (period === 'month' ? today().slice(0, 7) : today());
+  const total = emptyTokenUsage();
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key?.startsWith(prefix)) continue;
+      const day = readTokenUsage(key);
+      Object.keys(total).forEach(name => { total[name] += Number(day[name]) || 0; });
+    }
+  } catch {
+    // localStorage unavailable: nothing recorded
+  }
+  return total;
+}
+
+function pruneTokenUsage() {
+  const oldest = new Date(Date.now() - TOKEN_DAYS_KEPT * 86400000).toISOString().slice(0, 10);
+  const stale = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(TOKENS_KEY_PREFIX) && key.slice(TOKENS_KEY_PREFIX.length) < oldest) stale.push(key);
+  }
+  stale.forEach(key => localStorage.removeItem(key));
 }
 
 export function getUsedToday() {
@@ -1,9 +1,21 @@
 /**
  * @fileoverview Service for integrating with GM Vault
  * Reads GM Vault data from OBR room metadata (persistent, always available)
- * and optionally via broadcast when GM Vault is open
+ * and optionally via broadcast when GM Vault is open.
+ * Page bodies come inline from richer vault broadcasts or are fetched from page.url,
+ * cached, and searched so the best excerpts can be sent as context.
+ * Players only ever get the pages the GM made visible to players (pagesConfig /
+ * visiblePages), and only if the GM allows vault context for players.
+ *
+ * Saving pages (GM only): a createPage request is broadcast to GM Vault in this client, which
+ * answers on createPageResult. These two channels are a request GM AI makes; the page only
+ * counts as saved when GM Vault confirms it. Without an answer (GM Vault closed, or a version
+ * that does not handle createPage) nothing is stored and the caller is told so.
  */
 
+import { TextIndex, chunkText } from '../utils/textIndex.js';
+import { fetchDocument, extractDocumentText, htmlToText } from '../utils/documentLoader.js';
+
 // Room metadata keys used by GM Vault
 /** Compact summary written by GM Vault for GM AI (cross-domain bridge) */
 const ROOM_METADATA_VAULT_SUMMARY_GM_IA = 'com.dmscreen/vaultSummaryForGMIA';
@@ -14,11 +26,44 @@ const ROOM_METADATA_PAGES_CONFIG = 'com.dmscreen/pagesConfig';
 const BROADCAST_CHANNEL_REQUEST_FULL_VAULT = 'com.dmscreen/requestFullVault';
 const BROADCAST_CHANNEL_RESPONSE_FULL_VAULT = 'com.dmscreen/responseFullVault';
 const BROADCAST_CHANNEL_VISIBLE_PAGES = 'com.dmscreen/visiblePages';
+const BROADCAST_CHANNEL_CREATE_PAGE = 'com.dmscreen/createPage';
+const BROADCAST_CHANNEL_CREATE_PAGE_RESULT = 'com.dmscreen/createPageResult';
+const SAVED_PAGES_CATEGORY = 'GM AI';
+const CREATE_PAGE_TIMEOUT_MS = 2500;
+// OBR limits broadcasts to 16 KB
+const MAX_SAVED_PAGE_CHARS = 12000;
 
 const POLL_INTERVAL_MS = 20000; // Refresh vault from room metadata every 20s
 
+const PAGE_CONTENT_TTL_MS = 10 * 60 * 1000; // Re-fetch page bodies after 10 min
+const MAX_FETCHED_PAGES = 60;
+const FETCH_CONCURRENCY = 4;
+const MAX_EXCERPTS = 4;
+const MAX_EXCERPT_CHARS = 5000;
+
+/**
+ * Page body sent inline by GM Vault (richer broadcasts), as plain text.
+ * @param {Object} page - Raw page from the vault config
+ * @returns {string|null}
+ */
+function extractInlineContent(page) {
+  const raw = page.content ?? page.text ?? page.markdown ?? page.html ?? '';
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+  return /<[a-z][^>]*>/i.test(raw) ? htmlToText(raw) : raw;
+}
+
+function pageKey(page) {
+  return page.id || page.url || page.title;
+}
+
 export class VaultIntegrationService {
-  constructor() {
+  /**
+   * @param {import('./ConfigService.js').ConfigService} [configService] - Backend URL for pages blocked by CORS
+   * @param {import('./RoleService.js').RoleService} [roleService] - Restricts players to player-visible pages
+   */
+  constructor(configService = null, roleService = null) {
+    this.configService = configService;
+    this.roleService = roleService;
     this.OBR = null;
     this._cachedVaultData = null;
     this._isListening = false;
@@ -26,6 +71,17 @@ export class VaultIntegrationService {
     this._playerName = 'GM AI';
     this._pollIntervalId = null;
     this._onVaultUpdated = null;
+    /** @type {Map<string, { text: string, fetchedAt: number, error?: string }>} page key → fetched body */
+    this._contentCache = new Map();
+    /**
+     * @type {Map<string, string>} page key → body last sent inline by GM Vault. Room metadata
+     * carries no bodies, so pages reloaded from it (polling) get theirs back from here.
+     */
+    this._inlineContent = new Map();
+    this._index = null;
+    this._indexedData = null;
+    /** @type {Map<string, (result: { ok: boolean, error?: string }) => void>} requestId → pending createPage */
+    this._pendingSaves = new Map();
   }
 
   /**
@@ -36,6 +92,19 @@ export class VaultIntegrationService {
     this._onVaultUpdated = fn;
   }
 
+  /** True when running for a player (restricted to player-visible pages). */
+  _isPlayer() {
+    return Boolean(this.roleService) && !this.roleService.isGM();
+  }
+
+  /**
+   * Whether the current user may send vault content to the model at all.
+   * @returns {boolean}
+   */
+  isAllowed() {
+    return !this.roleService || this.roleService.can('allowVault');
+  }
+
   /**
    * Initializes the service with OBR reference
    * @param {Object} obr - OBR SDK instance
@@ -102,29 +171,34 @@ export class VaultIntegrationService {
       const metadata = await this.OBR.room.getMetadata();
       if (!silent) console.log('[GM AI] Room metadata keys:', Object.keys(metadata || {}));
 
-      // 1. Prefer vault summary for GM AI (bridge key written by GM Vault when saving)
+      // Players: only what the GM made visible to players, never the GM-only summary or full config
+      if (this._isPlayer()) {
+        if (metadata && metadata[ROOM_METADATA_PAGES_CONFIG]) {
+          log('Found visible pages config in room metadata (player)');
+          this._processVaultConfig(metadata[ROOM_METADATA_PAGES_CONFIG], silent);
+          return true;
+        }
+        this._cachedVaultData = null;
+        return false;
+      }
+
       if (metadata && metadata[ROOM_METADATA_VAULT_SUMMARY_GM_IA]) {
+        // 1. Prefer vault summary for GM AI (bridge key written by GM Vault when saving)
         log('Found vault summary (GM Vault bridge)');
         this._processVaultConfig(metadata[ROOM_METADATA_VAULT_SUMMARY_GM_IA], silent);
-        return true;
-      }
-
-      // 2. Fallback: fullConfig if present
-      if (metadata && metadata[ROOM_METADATA_FULL_CONFIG]) {
+      } else if (metadata && metadata[ROOM_METADATA_FULL_CONFIG]) {
+        // 2. Fallback: fullConfig if present
         log('Found full vault config in room metadata');
         this._processVaultConfig(metadata[ROOM_METADATA_FULL_CONFIG], silent);
-        return true;
-      }
-
-      // 3. Fallback: pagesConfig (visible-to-players only)
-      if (metadata && metadata[ROOM_METADATA_PAGES_CONFIG]) {
+      } else if (metadata && metadata[ROOM_METADATA_PAGES_CONFIG]) {
+        // 3. Fallback: pagesConfig (visible-to-players only)
         log('Found visible pages config in room metadata');
         this._processVaultConfig(metadata[ROOM_METADATA_PAGES_CONFIG], silent);
-        return true;
+      } else {
+        if (!silent) console.log('[GM AI] No vault data in room metadata. Open GM Vault and save to publish summary for GM AI.');
+        return false;
       }
-
-      if (!silent) console.log('[GM AI] No vault data in room metadata. Open GM Vault and save to publish summary for GM AI.');
-      return false;
+      return true;
     } catch (e) {
       if (!silent) console.warn('[GM AI] Error reading room metadata:', e);
       return false;
@@ -141,7 +215,7 @@ export class VaultIntegrationService {
     // Listen for full vault broadcasts
     this.OBR.broadcast.onMessage(BROADCAST_CHANNEL_RESPONSE_FULL_VAULT, (event) => {
       const { config } = event.data;
-      if (config) {
+      if (config && !this._isPlayer()) {
         console.log('[GM AI] Received live vault update from GM');
         this._processVaultConfig(config);
       }
@@ -156,9 +230,79 @@ export class VaultIntegrationService {
       }
     });
 
+    // GM Vault confirms (or rejects) pages saved from GM AI
+    this.OBR.broadcast.onMessage(BROADCAST_CHANNEL_CREATE_PAGE_RESULT, (event) => {
+      const { requestId, ok, error } = event.data || {};
+      const resolve = this._pendingSaves.get(requestId);
+      if (resolve) resolve({ ok: ok !== false, error });
+    });
+
     this._isListening = true;
   }
 
+  /**
+   * Saves a page into GM Vault (GM only), if GM Vault is open in this client and confirms it.
+   * @param {{ title: string, content: string, category?: string }} page - Content in Markdown
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  async savePage({ title, content, category = SAVED_PAGES_CATEGORY }) {
+    if (!this.OBR) return { ok: false, error: 'Owlbear Rodeo is not available.' };
+    if (this._isPlayer()) return { ok: false, error: 'Only the GM can save pages to GM Vault.' };
+    const body = (content || '').trim();
+    if (!body) return { ok: false, error: 'Nothing to save.' };
+    if (body.length > MAX_SAVED_PAGE_CHARS) {
+      return { ok: false, error: `Too long for one GM Vault page (${body.length} characters, max ${MAX_SAVED_PAGE_CHARS}). Export it as Markdown instead.` };
+    }
+
+    const page = {
+      id: `gm-ai-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      title: (title || '').trim() || 'GM AI note',
+      category,
+      content: body,
+      format: 'markdown',
+      source: 'gm-ai',
+      createdAt: Date.now()
+    };
+
+    const delivered = await this._sendCreatePage(page);
+    if (delivered.ok) {
+      await this.requestVaultFromGM();
+      return { ok: true };
+    }
+    if (delivered.error) return { ok: false, error: `GM Vault could not save the page: ${delivered.error}` };
+    return {
+      ok: false,
+      error: `GM Vault did not answer, so "${page.title}" was not saved to the vault. Saving needs GM Vault open in this browser, in a version that accepts pages from GM AI. Copy the answer or export the conversation as Markdown instead.`
+    };
+  }
+
+  /**
+   * Asks GM Vault (open in this client) to create the page.
+   * @returns {Promise<{ ok: boolean, error?: string }>} ok false without error if nobody answered
+   * @private
+   */
+  async _sendCreatePage(page) {
+    const requestId = page.id;
+    const answered = new Promise(resolve => {
+      this._pendingSaves.set(requestId, resolve);
+      setTimeout(() => resolve({ ok: false }), CREATE_PAGE_TIMEOUT_MS);
+    });
+    try {
+      await this.OBR.broadcast.sendMessage(BROADCAST_CHANNEL_CREATE_PAGE, {
+        requestId,
+        requesterId: this._playerId,
+        requesterName: this._playerName,
+        page
+      }, { destination: 'LOCAL' });
+      return await answered;
+    } catch (e) {
+      console.warn('[GM AI] createPage broadcast failed:', e);
+      return { ok: false };
+    } finally {
+      this._pendingSaves.delete(requestId);
+    }
+  }
+
   /**
    * Refreshes vault data: reads room metadata + optionally requests from GM via broadcast
    * @returns {Promise<boolean>} True if data was found
@@ -169,17 +313,16 @@ export class VaultIntegrationService {
     // 1. Always read from room metadata (reliable, always available)
     const found = await this._loadFromRoomMetadata();
 
-    // 2. Also try broadcast in case GM Vault is open (may get richer data)
-    try {
-      this.OBR.broadcast.sendMessage(BROADCAST_CHANNEL_REQUEST_FULL_VAULT, {
-        requesterId: this._playerId,
-        requesterName: this._playerName,
-        timestamp: Date.now()
-      });
-      console.log('[GM AI] Broadcast request sent (will use if GM Vault is open)');
-    } catch (e) {
-      // Broadcast failed, no big deal - we already have room metadata
-    }
+    // 2. Also try broadcast in case GM Vault is open (may get richer data). GM only:
+    // the full vault includes pages hidden from players
+    if (this._isPlayer()) return found;
+    // A failed broadcast is no big deal: we already have room metadata
+    this.OBR.broadcast.sendMessage(BROADCAST_CHANNEL_REQUEST_FULL_VAULT, {
+      requesterId: this._playerId,
+      requesterName: this._playerName,
+      timestamp: Date.now()
+    }).catch(e => console.warn('[GM AI] Vault request broadcast failed', e));
+    console.log('[GM AI] Broadcast request sent (will use if GM Vault is open)');
 
     return found;
   }
@@ -219,13 +362,17 @@ export class VaultIntegrationService {
         // Extract pages from this category
         if (category.pages && Array.isArray(category.pages)) {
           category.pages.forEach(page => {
-            vaultData.pages.push({
+            const entry = {
               id: page.id,
               title: page.title || 'Untitled',
               category: categoryName,
               url: page.url || null,
-              icon: page.icon || null
-            });
+              icon: page.icon || null,
+              content: extractInlineContent(page)
+            };
+            if (entry.content) this._inlineContent.set(pageKey(entry), entry.content);
+            else entry.content = this._inlineContent.get(pageKey(entry)) || null;
+            vaultData.pages.push(entry);
           });
         }
 
@@ -252,7 +399,7 @@ export class VaultIntegrationService {
    * @returns {boolean}
    */
   isVaultAvailable() {
-    return this._cachedVaultData !== null && this._cachedVaultData.pages.length > 0;
+    return this.isAllowed() && this._cachedVaultData !== null && this._cachedVaultData.pages.length > 0;
   }
 
   /**
@@ -260,7 +407,7 @@ export class VaultIntegrationService {
    * @returns {Object|null}
    */
   getVaultData() {
-    return this._cachedVaultData;
+    return this.isAllowed() ? this._cachedVaultData : null;
   }
 
   /**
@@ -275,7 +422,9 @@ export class VaultIntegrationService {
     }
 
     let summary = '\n\n## GM Vault Content\n\n';
-    summary += `The user has a GM Vault with ${vaultData.pages.length} pages organized in ${vaultData.categories.length} categories.\n\n`;
+    summary += this._isPlayer()
+      ? `The GM has shared ${vaultData.pages.length} GM Vault pages with the players, in ${vaultData.categories.length} categories.\n\n`
+      : `The user has a GM Vault with ${vaultData.pages.length} pages organized in ${vaultData.categories.length} categories.\n\n`;
 
     // Group pages by category
     const pagesByCategory = {};
@@ -299,11 +448,150 @@ export class VaultIntegrationService {
     return summary;
   }
 
+  /**
+   * Fetches the bodies of pages that have a URL and no inline content.
+   * Results (and failures) are cached for PAGE_CONTENT_TTL_MS; cancelled fetches are not.
+   * @param {AbortSignal} [signal]
+   * @private
+   */
+  async _loadPageContents(signal) {
+    const vaultData = this.getVaultData();
+    if (!vaultData) return;
+
+    const now = Date.now();
+    const toFetch = vaultData.pages
+      .filter(page => !page.content && page.url && /^https?:\/\//i.test(page.url))
+      .filter(page => {
+        const cached = this._contentCache.get(pageKey(page));
+        return !cached || now - cached.fetchedAt > PAGE_CONTENT_TTL_MS;
+      })
+      .slice(0, MAX_FETCHED_PAGES);
+
+    if (toFetch.length === 0) return;
+
+    const apiBaseUrl = this.configService ? this.configService.getApiBaseUrl() : '';
+    const queue = [...toFetch];
+    const worker = async () => {
+      while (queue.length > 0 && !signal?.aborted) {
+        const page = queue.shift();
+        try {
+          const { buffer, contentType } = await fetchDocument(page.url, apiBaseUrl, { signal });
+          const { text } = await extractDocumentText(buffer, page.url, contentType);
+          this._contentCache.set(pageKey(page), { text, fetchedAt: Date.now() });
+        } catch (e) {
+          if (signal?.aborted) return;
+          this._contentCache.set(pageKey(page), { text: '', fetchedAt: Date.now(), error: e.message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(FETCH_CONCURRENCY, toFetch.length) }, worker));
+    // New bodies arrived: rebuild the index on next search
+    this._indexedData = null;
+    console.log(`[GM AI] Fetched ${toFetch.length} vault page bodies`);
+  }
+
+  /**
+   * Text of a page: inline content first, then the fetched body.
+   * @param {Object} page
+   * @returns {string}
+   */
+  getPageContent(page) {
+    return page.content || this._contentCache.get(pageKey(page))?.text || '';
+  }
+
+  /** @private */
+  _ensureIndex() {
+    const vaultData = this.getVaultData();
+    if (!vaultData) return null;
+    if (this._index && this._indexedData === vaultData) return this._index;
+
+    const index = new TextIndex();
+    vaultData.pages.forEach(page => {
+      const body = this.getPageContent(page);
+      const meta = { title: page.title, category: page.category };
+      // The title is repeated in every chunk so questions naming the page match it
+      if (!body) {
+        index.add(`${page.title}\n${page.category}`, meta);
+        return;
+      }
+      chunkText(body, { size: 1000, overlap: 150 }).forEach(chunk => {
+        index.add(`${page.title}\n${chunk}`, { ...meta, excerpt: chunk });
+      });
+    });
+    this._index = index;
+    this._indexedData = vaultData;
+    return index;
+  }
+
+  /**
+   * Vault summary plus the page excerpts that best match the question.
+   * Fetches (and caches) page bodies the first time.
+   * @param {string} question
+   * @param {{ signal?: AbortSignal }} [options] - Cancels the page fetches
+   * @returns {Promise<string>}
+   */
+  async getVaultContext(question, { signal } = {}) {
+    const summary = this.getVaultSummary();
+    if (!summary) return '';
+
+    try {
+      await this._loadPageContents(signal);
+    } catch (e) {
+      console.warn('[GM AI] Error loading vault page contents:', e);
+    }
+
+    const index = this._ensureIndex();
+    const results = (index ? index.search(question, MAX_EXCERPTS * 2) : []).filter(r => r.meta.excerpt);
+    if (results.length === 0) return summary;
+
+    let used = 0;
+    const excerpts = [];
+    for (const r of results.slice(0, MAX_EXCERPTS)) {
+      if (used + r.meta.excerpt.length > MAX_EXCERPT_CHARS && excerpts.length > 0) break;
+      excerpts.push(`[Page: ${r.meta.title} (${r.meta.category})]\n${r.meta.excerpt}`);
+      used += r.meta.excerpt.length;
+    }
+
+    return summary + `\n--- GM VAULT EXCERPTS ---
+Passages from the GM's own vault pages that match the question. They are the GM's campaign notes: treat them as canon for this campaign and name the page you took them from.
+
+${excerpts.join('\n\n')}
+---\n`;
+  }
+
+  /**
+   * Pages that best match a query, one result per page (the /vault command).
+   * @param {string} query
+   * @param {number} [limit]
+   * @returns {Promise<Array<{ title: string, category: string, excerpt: string }>>}
+   */
+  async searchPages(query, limit = MAX_EXCERPTS) {
+    if (!this.isVaultAvailable()) return [];
+    try {
+      await this._loadPageContents();
+    } catch (e) {
+      console.warn('[GM AI] Error loading vault page contents:', e);
+    }
+
+    const index = this._ensureIndex();
+    const pages = new Map();
+    for (const r of index ? index.search(query, limit * 3) : []) {
+      if (pages.size >= limit) break;
+      if (!pages.has(r.meta.title)) {
+        pages.set(r.meta.title, { title: r.meta.title, category: r.meta.category, excerpt: r.meta.excerpt || '' });
+      }
+    }
+    return [...pages.values()];
+  }
+
   /**
    * Invalidates the cache and refreshes data
    */
   async invalidateCache() {
     this._cachedVaultData = null;
+    this._contentCache.clear();
+    this._index = null;
+    this._indexedData = null;
     if (this.OBR) {
       await this.requestVaultFromGM();
     }
@@ -1,5 +1,20 @@
 export { ConfigService } from './ConfigService.js';
-// export { TierService } from './TierService.js'; // BYOK: Commented out (not needed)
+export { TierService } from './TierService.js';
 export { ChatService } from './ChatService.js';
+export { ContextService } from './ContextService.js';
+export { ConversationStore } from './ConversationStore.js';
 export { ApiService } from './ApiService.js';
-// export { getUsedToday, incrementUsedToday } from './UsageTracker.js'; // BYOK: Commented out (not needed)
+export { DocumentService } from './DocumentService.js';
+export { SrdService } from './SrdService.js';
+export { SceneContextService } from './SceneContextService.js';
+export { EncounterService } from './EncounterService.js';
+export { StatBlockService } from './StatBlockService.js';
+export { ExportService } from './ExportService.js';
+export { CommandService } from './CommandService.js';
+export { JournalService } from './JournalService.js';
+export { RoleService } from './RoleService.js';
+export { ShareService } from './ShareService.js';
+export { ToolService } from './ToolService.js';
+export { RollService } from './RollService.js';
+export { UsageService } from './UsageService.js';
+export { getUsedToday, incrementUsedToday } from './UsageTracker.js';
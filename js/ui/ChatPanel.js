@@ -1,8 +1,48 @@
 /**
- * @fileoverview Panel de chat: renderiza mensajes, input y límites freemium.
+ * @fileoverview Panel de chat: renderiza mensajes, input y límites freemium (modo servidor).
  */
 
 import { markdownToHtml } from '../utils/markdown.js';
+import { ABILITIES, abilityModifier, formatSpeed, signed, statBlockDetails, statBlockSections, statBlockToMarkdown } from '../utils/statBlock.js';
+import { formatCost } from '../services/UsageService.js';
+
+const COPIED_LABEL_MS = 1500;
+
+/** Writes text to the clipboard; falls back to a hidden textarea where the API is blocked. */
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    const ok = document.execCommand('copy');
+    area.remove();
+    return ok;
+  }
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/** "1,234 in · 321 out · $0.0004"; "~" marks counts estimated from the text. */
+function formatUsage(usage) {
+  const mark = usage.estimated ? '~' : '';
+  const parts = [
+    `${mark}${usage.inputTokens.toLocaleString()} in`,
+    `${mark}${usage.outputTokens.toLocaleString()} out`
+  ];
+  parts.push(usage.cost === null || usage.cost === undefined ? 'price unknown' : `${mark}${formatCost(usage.cost)}`);
+  return parts.join(' · ');
+}
 
 export class ChatPanel {
   constructor(container) {
@@ -11,10 +51,30 @@ export class ChatPanel {
     this.welcomeEl = container?.querySelector('#welcome');
     this.inputEl = container?.querySelector('#chat-input');
     this.sendBtn = container?.querySelector('#btn-send');
+    this.stopBtn = container?.querySelector('#btn-stop');
     this.limitsEl = container?.querySelector('#chat-limits');
     this.tierBadge = document.getElementById('tier-badge');
     this.noticeEl = container?.querySelector('#chat-notice');
+    this.threadListEl = container?.querySelector('#thread-list');
+    this.threadTitleEl = container?.querySelector('#thread-title');
     this._noticeTimeout = null;
+    this._onEncounterToScene = null;
+    this._onShare = null;
+    this._onSaveToVault = null;
+    this.feedListEl = container?.querySelector('#feed-list');
+    this.feedBadgeEl = container?.querySelector('#feed-badge');
+    this.suggestionsEl = container?.querySelector('#command-suggestions');
+    this._suggestions = [];
+    this._suggestionIndex = 0;
+    this._onCommandPick = null;
+    // mousedown instead of click so the input keeps the focus
+    this.suggestionsEl?.addEventListener('mousedown', (e) => {
+      const item = e.target?.closest('[data-index]');
+      if (!item) return;
+      e.preventDefault();
+      const command = this._suggestions[Number(item.getAttribute('data-index'))];
+      if (command && this._onCommandPick) this._onCommandPick(command);
+    });
   }
 
   /** Muestra un aviso temporal (no se añade al chat). Se oculta solo a los 5 s o al escribir. */
@@ -59,8 +119,348 @@ export class ChatPanel {
       inner.textContent = content;
     }
     div.appendChild(inner);
+    if (role === 'assistant' && !isError) this._appendMessageActions(div, content);
     this.messagesEl.appendChild(div);
     this.scrollToBottom();
+    return div;
+  }
+
+  /**
+   * Shows the tokens and estimated cost of a BYOK answer under it.
+   * @param {HTMLElement} messageEl
+   * @param {import('../services/UsageService.js').MessageUsage} usage
+   */
+  appendUsage(messageEl, usage) {
+    if (!messageEl || !usage) return;
+    messageEl.appendChild(el('span', 'msg__usage', formatUsage(usage)));
+  }
+
+  /**
+   * Shows an SRD entry from the local dataset (not an AI answer).
+   * @param {string} label - Entry kind, e.g. "Spell"
+   * @param {string} markdown - Verbatim entry formatted by SrdService
+   */
+  appendSrdEntry(label, markdown) {
+    this.appendLocalMessage(`SRD 5.2 · ${label}`, markdown, { className: 'msg--srd', actions: true });
+  }
+
+  /**
+   * Shows a message made locally (command output): not an AI answer and not kept in the history.
+   * @param {string} label - Small heading, e.g. "Commands"
+   * @param {string} markdown
+   * @param {{ className?: string, actions?: boolean }} [options] - Extra class; show the share / save actions
+   */
+  appendLocalMessage(label, markdown, { className = 'msg--local', actions = false } = {}) {
+    if (!this.messagesEl) return;
+    this.hideWelcome();
+    const div = el('div', `msg msg--assistant ${className}`);
+    const inner = el('div', 'msg__content');
+    inner.innerHTML = markdownToHtml(markdown);
+    div.append(el('span', 'msg__tag', label), inner);
+    if (actions) this._appendMessageActions(div, markdown);
+    this.messagesEl.appendChild(div);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Enables the "Share with party" action on assistant messages (GM only).
+   * Affects messages rendered from now on.
+   * @param {((content: string, button: HTMLButtonElement) => void)|null} fn
+   */
+  setOnShare(fn) {
+    this._onShare = fn;
+  }
+
+  /**
+   * Enables the "Save to GM Vault" action on assistant messages (GM only).
+   * Affects messages rendered from now on.
+   * @param {((content: string, button: HTMLButtonElement) => void)|null} fn
+   */
+  setOnSaveToVault(fn) {
+    this._onSaveToVault = fn;
+  }
+
+  _appendMessageActions(messageEl, content) {
+    this._appendShareAction(messageEl, content);
+    if (!this._onSaveToVault || !content) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'msg__action';
+    btn.textContent = 'Save to GM Vault';
+    btn.title = 'Add this answer to your campaign notes as a new GM Vault page';
+    btn.addEventListener('click', () => this._onSaveToVault?.(content, btn));
+    messageEl.appendChild(btn);
+  }
+
+  _appendShareAction(messageEl, content) {
+    if (!this._onShare || !content) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'msg__action';
+    btn.textContent = 'Share with party';
+    btn.title = 'Send this answer to every player in the room';
+    btn.addEventListener('click', () => this._onShare?.(content, btn));
+    messageEl.appendChild(btn);
+  }
+
+  /**
+   * Renders the read-only feed of answers shared by the GM.
+   * @param {Array<{ content: string, sharedBy: string, sharedAt: number }>} messages - Oldest first
+   */
+  renderFeed(messages) {
+    if (!this.feedListEl) return;
+    this.feedListEl.innerHTML = '';
+    if (messages.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'feed-list__empty';
+      empty.textContent = 'Nothing has been shared yet.';
+      this.feedListEl.appendChild(empty);
+      return;
+    }
+    [...messages].reverse().forEach(m => {
+      const li = document.createElement('li');
+      li.className = 'feed-list__item';
+      const meta = document.createElement('span');
+      meta.className = 'feed-list__meta';
+      meta.textContent = `${m.sharedBy} · ${new Date(m.sharedAt).toLocaleString()}`;
+      const content = document.createElement('div');
+      content.className = 'msg__content';
+      content.innerHTML = markdownToHtml(m.content);
+      li.append(meta, content);
+      this.feedListEl.appendChild(li);
+    });
+  }
+
+  /**
+   * Fills the usage panel: tokens and estimated cost this session, today and this month,
+   * and where spending stands against the budget cap.
+   * @param {{ session: Object, today: Object, month: Object }} totals - From UsageService.getTotals()
+   * @param {import('../services/UsageService.js').BudgetStatus} budget
+   */
+  renderUsage(totals, budget) {
+    const container = this.container?.querySelector('#usage-totals');
+    if (!container) return;
+    container.innerHTML = '';
+    const table = el('table', 'usage-table');
+    const head = el('tr');
+    ['', 'Answers', 'Tokens in', 'Tokens out', 'Cost'].forEach(label => head.appendChild(el('th', '', label)));
+    table.appendChild(head);
+    [['This session', totals.session], ['Today', totals.today], ['This month', totals.month]].forEach(([label, t]) => {
+      const row = el('tr');
+      const cost = formatCost(t.cost) + (t.unpriced > 0 ? '*' : '');
+      [label, t.requests, t.inputTokens, t.outputTokens].forEach(value => {
+        row.appendChild(el('td', '', typeof value === 'number' ? value.toLocaleString() : value));
+      });
+      row.appendChild(el('td', '', cost));
+      table.appendChild(row);
+    });
+    container.appendChild(table);
+    if (totals.session.unpriced + totals.month.unpriced > 0) {
+      container.appendChild(el('small', '', '* Some answers came from models without a known price and are not in the cost.'));
+    }
+    const status = budget.state === 'off'
+      ? 'No budget cap.'
+      : budget.message || `${formatCost(budget.spent)} of ${formatCost(budget.cap)} spent ${budget.period === 'day' ? 'today' : 'this month'}.`;
+    container.appendChild(el('p', `usage-budget usage-budget--${budget.state}`, status));
+  }
+
+  /** @param {number} count - Unread shared messages (0 hides the badge) */
+  setFeedBadge(count) {
+    if (!this.feedBadgeEl) return;
+    this.feedBadgeEl.textContent = count > 0 ? String(count) : '';
+    this.feedBadgeEl.classList.toggle('hidden', count <= 0);
+  }
+
+  /**
+   * Shows a dice roll made by the assistant (roll_dice tool).
+   * @param {{ text: string, total: number, reason?: string }} roll
+   * @param {HTMLElement} [beforeEl] - Insert before this element (the streaming answer) instead of at the end
+   */
+  appendRoll(roll, beforeEl) {
+    if (!this.messagesEl) return;
+    this.hideWelcome();
+    const div = document.createElement('div');
+    div.className = 'msg msg--assistant msg--roll';
+    const tag = document.createElement('span');
+    tag.className = 'msg__tag';
+    tag.textContent = roll.reason ? `🎲 Roll · ${roll.reason}` : '🎲 Roll';
+    const total = document.createElement('div');
+    total.className = 'msg__roll-total';
+    total.textContent = String(roll.total);
+    const detail = document.createElement('div');
+    detail.className = 'msg__roll-detail';
+    detail.textContent = roll.text;
+    div.append(tag, total, detail);
+    if (beforeEl && beforeEl.parentNode === this.messagesEl) {
+      this.messagesEl.insertBefore(div, beforeEl);
+    } else {
+      this.messagesEl.appendChild(div);
+    }
+    this.scrollToBottom();
+  }
+
+  /**
+   * Called when "Add to scene" is pressed on an encounter card.
+   * @param {(encounter: Object, button: HTMLButtonElement) => void} fn
+   */
+  setOnEncounterToScene(fn) {
+    this._onEncounterToScene = fn;
+  }
+
+  /**
+   * Shows an encounter built by EncounterService as a card: monsters table, XP budget
+   * and rating (computed in code), then the model's flavor in the card's .msg__content.
+   * @param {import('../services/EncounterService.js').Encounter} encounter
+   * @param {string} [notes] - Flavor and tactics (Markdown); can be streamed later with updateLoadingContent
+   * @returns {HTMLElement|undefined} The card element
+   */
+  appendEncounterCard(encounter, notes = '') {
+    if (!this.messagesEl) return;
+    this.hideWelcome();
+    const div = document.createElement('div');
+    div.className = 'msg msg--assistant msg--encounter';
+
+    const tag = document.createElement('span');
+    tag.className = 'msg__tag';
+    tag.textContent = `Encounter · ${encounter.difficulty}`;
+
+    const party = document.createElement('div');
+    party.className = 'encounter-card__party';
+    party.textContent = `${encounter.levels.length} characters · levels ${encounter.levels.join(', ')}`;
+
+    const table = document.createElement('table');
+    table.className = 'encounter-card__table';
+    const head = table.insertRow();
+    ['#', 'Monster', 'CR', 'XP', 'AC', 'HP'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    encounter.groups.forEach(g => {
+      const row = table.insertRow();
+      [g.count, g.name, g.cr, g.xp * g.count, g.ac, g.hp ?? '?'].forEach(value => {
+        row.insertCell().textContent = String(value);
+      });
+    });
+
+    const budget = document.createElement('div');
+    budget.className = 'encounter-card__budget';
+    const { low, moderate, high } = encounter.budget;
+    budget.textContent = `Budget: Low ${low} · Moderate ${moderate} · High ${high} XP`;
+
+    const total = document.createElement('div');
+    total.className = `encounter-card__total encounter-card__total--${encounter.rating.replace(/\s+/g, '-')}`;
+    total.textContent = `Total ${encounter.totalXp} XP → ${encounter.rating}`;
+
+    div.append(tag, party, table, budget, total);
+
+    if (encounter.warnings?.length > 0) {
+      const warnings = document.createElement('ul');
+      warnings.className = 'encounter-card__warnings';
+      encounter.warnings.forEach(w => {
+        const li = document.createElement('li');
+        li.textContent = w;
+        warnings.appendChild(li);
+      });
+      div.appendChild(warnings);
+    }
+
+    const inner = document.createElement('div');
+    inner.className = 'msg__content encounter-card__notes';
+    inner.innerHTML = notes ? markdownToHtml(notes) : '';
+    div.appendChild(inner);
+
+    const toScene = document.createElement('button');
+    toScene.type = 'button';
+    toScene.className = 'btn btn--secondary encounter-card__scene';
+    toScene.textContent = 'Add to scene';
+    toScene.title = 'Add the monsters to the current scene as hidden tokens';
+    toScene.addEventListener('click', () => this._onEncounterToScene?.(encounter, toScene));
+    div.appendChild(toScene);
+
+    this.messagesEl.appendChild(div);
+    this.scrollToBottom();
+    return div;
+  }
+
+  /**
+   * Shows a creature stat block (validated JSON from the model) as a classic 5e card,
+   * with buttons to copy it as Markdown or JSON.
+   * @param {Object} statBlock - Valid stat block (utils/statBlock.js)
+   * @param {HTMLElement} [replaceEl] - Loading bubble to replace instead of appending
+   * @returns {HTMLElement|undefined} The card element
+   */
+  appendStatBlockCard(statBlock, replaceEl) {
+    if (!this.messagesEl) return;
+    this.hideWelcome();
+    const sb = statBlock;
+    const div = el('div', 'msg msg--assistant msg--statblock');
+    const card = el('div', 'statblock');
+
+    const subtitle = [`${sb.size} ${sb.type}`, sb.alignment].filter(Boolean).join(', ');
+    card.append(el('h3', 'statblock__name', sb.name), el('div', 'statblock__meta', subtitle), el('hr', 'statblock__rule'));
+
+    const property = (label, text) => {
+      const line = el('div', 'statblock__line');
+      line.append(el('strong', '', `${label} `), document.createTextNode(text));
+      return line;
+    };
+    card.append(
+      property('AC', `${sb.ac}${sb.acNote ? ` (${sb.acNote})` : ''}`),
+      property('HP', `${sb.hp}${sb.hitDice ? ` (${sb.hitDice})` : ''}`),
+      property('Speed', formatSpeed(sb.speed)),
+      el('hr', 'statblock__rule')
+    );
+
+    const abilities = el('table', 'statblock__abilities');
+    const head = abilities.insertRow();
+    const scores = abilities.insertRow();
+    const saves = abilities.insertRow();
+    ABILITIES.forEach(a => {
+      head.appendChild(el('th', '', a.toUpperCase()));
+      scores.insertCell().textContent = `${sb.abilities[a]} (${abilityModifier(sb.abilities[a])})`;
+      const save = sb.saves?.[a];
+      saves.insertCell().textContent = save === undefined ? '' : `save ${signed(save)}`;
+    });
+    if (!sb.saves) saves.remove();
+    card.append(abilities, el('hr', 'statblock__rule'));
+
+    statBlockDetails(sb).forEach(([label, text]) => card.appendChild(property(label, text)));
+
+    statBlockSections(sb).forEach(([title, features, intro]) => {
+      if (title !== 'Traits') card.appendChild(el('h4', 'statblock__section', title));
+      if (intro) card.appendChild(el('p', 'statblock__intro', intro));
+      features.forEach(f => {
+        const p = el('p', 'statblock__feature');
+        p.append(el('strong', '', `${f.name}. `), document.createTextNode(f.text));
+        card.appendChild(p);
+      });
+    });
+    div.appendChild(card);
+
+    const markdown = statBlockToMarkdown(sb);
+    const copyButton = (label, getText) => {
+      const btn = el('button', 'msg__action', label);
+      btn.type = 'button';
+      btn.addEventListener('click', async () => {
+        const ok = await copyText(getText());
+        btn.textContent = ok ? 'Copied ✓' : 'Copy failed';
+        setTimeout(() => { btn.textContent = label; }, COPIED_LABEL_MS);
+      });
+      return btn;
+    };
+    const actions = el('div', 'statblock__actions');
+    actions.append(
+      copyButton('Copy Markdown', () => markdown),
+      copyButton('Copy JSON', () => JSON.stringify(sb, null, 2))
+    );
+    div.appendChild(actions);
+    this._appendMessageActions(actions, markdown);
+
+    if (replaceEl?.parentNode) replaceEl.replaceWith(div);
+    else this.messagesEl.appendChild(div);
+    this.scrollToBottom();
+    return div;
   }
 
   appendLoading() {
@@ -78,8 +478,46 @@ export class ChatPanel {
     return div;
   }
 
+  /**
+   * Renders the partial answer received so far inside the loading bubble (streaming).
+   * @param {HTMLElement} loadingEl
+   * @param {string} content - Accumulated content
+   */
+  updateLoadingContent(loadingEl, content) {
+    const contentEl = loadingEl?.querySelector('.msg__content');
+    if (!contentEl) return;
+    const nearBottom = this.messagesEl
+      ? this.messagesEl.scrollHeight - this.messagesEl.scrollTop - this.messagesEl.clientHeight < 40
+      : false;
+    contentEl.innerHTML = markdownToHtml(content);
+    if (nearBottom) this.scrollToBottom();
+  }
+
+  /**
+   * Connection status under the loading bubble ("Offline, will send when…", "Retrying…").
+   * An empty text removes it.
+   * @param {HTMLElement} loadingEl
+   * @param {string} text
+   */
+  setLoadingStatus(loadingEl, text) {
+    if (!loadingEl) return;
+    let statusEl = loadingEl.querySelector('.msg__status');
+    if (!text) {
+      statusEl?.remove();
+      return;
+    }
+    if (!statusEl) {
+      statusEl = document.createElement('span');
+      statusEl.className = 'msg__status';
+      loadingEl.appendChild(statusEl);
+    }
+    statusEl.textContent = text;
+    this.scrollToBottom();
+  }
+
   replaceLoadingWithMessage(loadingEl, content, isError = false) {
     if (!loadingEl) return;
+    this.setLoadingStatus(loadingEl, '');
     loadingEl.classList.remove('msg--loading');
     loadingEl.removeAttribute('data-loading');
     const contentEl = loadingEl.querySelector('.msg__content');
@@ -91,9 +529,19 @@ export class ChatPanel {
       }
     }
     if (isError) loadingEl.classList.add('msg--error');
+    else this._appendShareAction(loadingEl, content);
     this.scrollToBottom();
   }
 
+  /** Adds a small "stopped" note under an answer that was interrupted with Stop. */
+  markStopped(messageEl) {
+    if (!messageEl) return;
+    const note = document.createElement('span');
+    note.className = 'msg__stopped';
+    note.textContent = 'Stopped';
+    messageEl.appendChild(note);
+  }
+
   removeLoading() {
     const el = this.messagesEl?.querySelector('[data-loading="true"]');
     if (el) el.remove();
@@ -110,10 +558,218 @@ export class ChatPanel {
     this.showWelcome();
   }
 
+  /**
+   * Replaces the visible messages with a thread's stored history.
+   * @param {Array<{ role: string, content: string, isError?: boolean, encounter?: Object, notes?: string, usage?: Object }>} messages
+   */
+  renderHistory(messages) {
+    this.clearMessages();
+    (messages || []).forEach(m => {
+      if (m.encounter) {
+        this.appendEncounterCard(m.encounter, m.notes);
+        return;
+      }
+      if (m.statBlock) {
+        this.appendStatBlockCard(m.statBlock);
+        return;
+      }
+      if (!m.content) return;
+      const div = this.appendMessage(m.role, m.content, !!m.isError);
+      if (m.usage) this.appendUsage(div, m.usage);
+    });
+  }
+
+  setThreadTitle(title) {
+    if (this.threadTitleEl) this.threadTitleEl.textContent = title || '';
+  }
+
+  /**
+   * Renders the conversation list. Buttons carry data-action (open | rename | export | delete)
+   * and data-thread-id; the controller handles them by delegation.
+   * @param {Array<{ id: string, title: string, updatedAt: number, messageCount: number }>} threads
+   * @param {string} activeId
+   */
+  renderThreads(threads, activeId) {
+    if (!this.threadListEl) return;
+    this.threadListEl.innerHTML = '';
+    threads.forEach(thread => {
+      const li = document.createElement('li');
+      li.className = 'thread-list__item' + (thread.id === activeId ? ' thread-list__item--active' : '');
+      li.setAttribute('data-thread-id', thread.id);
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'thread-list__open';
+      open.setAttribute('data-action', 'open');
+      open.setAttribute('data-thread-id', thread.id);
+      const title = document.createElement('span');
+      title.className = 'thread-list__title';
+      title.textContent = thread.title;
+      const meta = document.createElement('span');
+      meta.className = 'thread-list__meta';
+      meta.textContent = `${thread.messageCount} messages · ${new Date(thread.updatedAt).toLocaleString()}`;
+      open.append(title, meta);
+
+      li.append(
+        open,
+        this._threadActionButton('rename', thread.id, '✎', 'Rename'),
+        this._threadActionButton('export', thread.id, '⇩', 'Export or save to GM Vault'),
+        this._threadActionButton('delete', thread.id, '🗑', 'Delete')
+      );
+      this.threadListEl.appendChild(li);
+    });
+  }
+
+  _threadActionButton(action, threadId, label, title) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn--ghost thread-list__action';
+    btn.setAttribute('data-action', action);
+    btn.setAttribute('data-thread-id', threadId);
+    btn.title = title;
+    btn.textContent = label;
+    return btn;
+  }
+
+  /**
+   * Shows (or hides) the export choices under a thread: data-action export-markdown |
+   * export-json | export-text, plus vault when saving to GM Vault is possible.
+   * @param {string} threadId
+   * @param {boolean} canSaveToVault
+   */
+  toggleThreadExport(threadId, canSaveToVault) {
+    const li = this.threadListEl?.querySelector(`li[data-thread-id="${CSS.escape(threadId)}"]`);
+    if (!li) return;
+    const open = li.querySelector('.thread-list__export');
+    if (open) {
+      open.remove();
+      return;
+    }
+    const row = document.createElement('div');
+    row.className = 'thread-list__export';
+    const choices = [['export-markdown', 'Markdown'], ['export-json', 'JSON'], ['export-text', 'Text']];
+    if (canSaveToVault) choices.push(['vault', 'Save to GM Vault']);
+    choices.forEach(([action, label]) => {
+      const btn = this._threadActionButton(action, threadId, label, '');
+      btn.className = 'btn btn--secondary thread-list__export-btn';
+      btn.removeAttribute('title');
+      row.appendChild(btn);
+    });
+    li.appendChild(row);
+  }
+
+  /**
+   * Replaces a thread's title with an inline input. Enter saves, Escape cancels.
+   * @param {string} threadId
+   * @param {(title: string) => void} onSave
+   */
+  startRenameThread(threadId, onSave) {
+    const li = this.threadListEl?.querySelector(`li[data-thread-id="${CSS.escape(threadId)}"]`);
+    const open = li?.querySelector('.thread-list__open');
+    if (!open) return;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'thread-list__rename-input';
+    input.maxLength = 80;
+    input.value = open.querySelector('.thread-list__title')?.textContent || '';
+    open.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      if (save) onSave(input.value);
+      else input.replaceWith(open);
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  /**
+   * Two-step delete: the first click arms the button, the second confirms.
+   * @param {HTMLElement} btn
+   * @returns {boolean} True when the deletion is confirmed
+   */
+  confirmThreadDelete(btn) {
+    if (btn.getAttribute('data-confirm') === 'true') return true;
+    btn.setAttribute('data-confirm', 'true');
+    btn.textContent = 'Delete?';
+    setTimeout(() => {
+      btn.removeAttribute('data-confirm');
+      btn.textContent = '🗑';
+    }, 3000);
+    return false;
+  }
+
   setInput(value) {
     if (this.inputEl) this.inputEl.value = value || '';
   }
 
+  focusInput() {
+    this.inputEl?.focus();
+  }
+
+  /**
+   * Command autocomplete above the input. An empty list hides it.
+   * @param {import('../services/CommandService.js').Command[]} commands
+   */
+  showCommandSuggestions(commands) {
+    if (!this.suggestionsEl) return;
+    this._suggestions = commands || [];
+    this._suggestionIndex = 0;
+    if (this._suggestions.length === 0) {
+      this.hideCommandSuggestions();
+      return;
+    }
+    this._renderSuggestions();
+    this.suggestionsEl.classList.remove('hidden');
+  }
+
+  hideCommandSuggestions() {
+    this._suggestions = [];
+    if (!this.suggestionsEl) return;
+    this.suggestionsEl.classList.add('hidden');
+    this.suggestionsEl.innerHTML = '';
+  }
+
+  /** @param {number} delta - +1 down, -1 up (wraps around) */
+  moveCommandSelection(delta) {
+    if (this._suggestions.length === 0) return;
+    const count = this._suggestions.length;
+    this._suggestionIndex = (this._suggestionIndex + delta + count) % count;
+    this._renderSuggestions();
+  }
+
+  /** @returns {Object|null} The highlighted command, or null if the list is closed */
+  getSelectedCommand() {
+    return this._suggestions[this._suggestionIndex] || null;
+  }
+
+  /** @param {((command: Object) => void)|null} fn - Called when a suggestion is clicked */
+  setOnCommandPick(fn) {
+    this._onCommandPick = fn;
+  }
+
+  _renderSuggestions() {
+    this.suggestionsEl.innerHTML = '';
+    this._suggestions.forEach((command, i) => {
+      const item = el('li', `chat__suggestion${i === this._suggestionIndex ? ' chat__suggestion--active' : ''}`);
+      item.setAttribute('role', 'option');
+      item.setAttribute('data-index', String(i));
+      item.setAttribute('aria-selected', String(i === this._suggestionIndex));
+      item.append(
+        el('span', 'chat__suggestion-name', `/${command.name}${command.usage ? ` ${command.usage}` : ''}`),
+        el('span', 'chat__suggestion-desc', command.description.replace(/`/g, ''))
+      );
+      this.suggestionsEl.appendChild(item);
+    });
+  }
+
   getInputValue() {
     return this.inputEl?.value?.trim() || '';
   }
@@ -123,15 +779,58 @@ export class ChatPanel {
     if (this.sendBtn) this.sendBtn.disabled = !!disabled;
   }
 
+  /** Swaps the send button for the Stop button while an answer is being generated. */
+  setGenerating(generating) {
+    if (this.sendBtn) this.sendBtn.classList.toggle('hidden', !!generating);
+    if (this.stopBtn) this.stopBtn.classList.toggle('hidden', !generating);
+  }
+
+  /**
+   * Header badge with the plan in hosted mode.
+   * @param {'free'|'premium'|'offline'|null} tier - null hides the badge (BYOK mode)
+   * @param {number|null} [remaining] - Free messages left today
+   */
   setTierBadge(tier, remaining) {
-    // Badge removed from UI, keeping method for compatibility
+    if (!this.tierBadge) return;
+    this.tierBadge.classList.toggle('hidden', !tier);
+    if (!tier) return;
+    this.tierBadge.className = `header__badge ${tier}`;
+    if (tier === 'premium') {
+      this.tierBadge.textContent = 'Premium';
+      this.tierBadge.title = 'Patreon premium: unlimited messages';
+    } else if (tier === 'offline') {
+      this.tierBadge.textContent = 'Offline';
+      this.tierBadge.title = 'The GM AI server could not be reached';
+    } else {
+      this.tierBadge.textContent = remaining != null ? `Free · ${remaining}` : 'Free';
+      this.tierBadge.title = remaining != null ? `${remaining} free messages left today` : 'Free plan';
+    }
   }
 
   setLimitsHtml(html) {
-    // Limits hidden, keeping method for compatibility
+    if (!this.limitsEl) return;
+    this.limitsEl.innerHTML = html || '';
+    this.limitsEl.classList.toggle('hidden', !html);
   }
 
+  /**
+   * Daily usage line above the input (free plan only).
+   * The Patreon link carries data-action="patreon" so the controller can start the login.
+   * @param {string|null} tier - null or 'premium' hides it
+   * @param {number} usedToday
+   * @param {number} dailyLimit
+   */
   renderLimits(tier, usedToday, dailyLimit) {
-    // Limits hidden, keeping method for compatibility
+    if (!this.limitsEl) return;
+    if (tier !== 'free' || !dailyLimit) {
+      this.setLimitsHtml('');
+      return;
+    }
+    const remaining = Math.max(0, dailyLimit - (usedToday || 0));
+    const text = remaining > 0
+      ? `${remaining} of ${dailyLimit} free messages left today.`
+      : `You have used your ${dailyLimit} free messages for today.`;
+    this.setLimitsHtml(`${text} <a href="#" data-action="patreon">Become a patron</a> for unlimited messages.`);
+    this.limitsEl.classList.toggle('chat__limits--reached', remaining === 0);
   }
 }
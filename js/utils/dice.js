@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Dice expression parser and roller.
+ * Supports: NdM, d% , keep/drop highest/lowest (kh, kl, dh, dl; "k" = kh),
+ * advantage/disadvantage shorthands ("d20 adv", "1d20dis"), and +/- modifiers
+ * across several terms ("1d8+1d6+3", "4d6dl1", "2d20kh1+5").
+ */
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+
+const DICE_TERM = /^(\d*)d(\d+|%)(?:(kh|kl|dh|dl|k)(\d+))?(adv|dis)?$/;
+const NUMBER_TERM = /^\d+$/;
+
+/** Uniform integer in [1, sides], using crypto when available. */
+function rollDie(sides) {
+  if (typeof crypto !== 'undefined' && typeof crypto.getRandomValues === 'function') {
+    // Rejection sampling avoids modulo bias
+    const limit = Math.floor(0x100000000 / sides) * sides;
+    const buf = new Uint32Array(1);
+    do {
+      crypto.getRandomValues(buf);
+    } while (buf[0] >= limit);
+    return (buf[0] % sides) + 1;
+  }
+  return Math.floor(Math.random() * sides) + 1;
+}
+
+export class DiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiceError';
+  }
+}
+
+/**
+ * Parses an expression into terms without rolling.
+ * @param {string} expression
+ * @returns {Array<{ sign: 1|-1, count?: number, sides?: number, keep?: { mode: 'kh'|'kl'|'dh'|'dl', n: number }, value?: number, source: string }>}
+ * @throws {DiceError} On invalid syntax or out-of-range values
+ */
+export function parseDice(expression) {
+  const compact = String(expression || '')
+    .toLowerCase()
+    .replace(/\s+(adv|advantage|ventaja)\b/g, 'adv')
+    .replace(/\s+(dis|disadvantage|desventaja)\b/g, 'dis')
+    .replace(/\s+/g, '');
+  if (!compact) throw new DiceError('Empty dice expression');
+
+  const parts = compact.match(/[+-]?[^+-]+/g) || [];
+  if (parts.join('') !== compact) throw new DiceError(`Invalid dice expression: ${expression}`);
+
+  return parts.map(part => {
+    const sign = part.startsWith('-') ? -1 : 1;
+    const source = part.replace(/^[+-]/, '');
+
+    if (NUMBER_TERM.test(source)) {
+      return { sign, value: parseInt(source, 10), source };
+    }
+
+    const m = source.match(DICE_TERM);
+    if (!m) throw new DiceError(`Invalid dice term: ${source}`);
+
+    let count = m[1] ? parseInt(m[1], 10) : 1;
+    const sides = m[2] === '%' ? 100 : parseInt(m[2], 10);
+    let keep = null;
+
+    if (m[3]) {
+      keep = { mode: m[3] === 'k' ? 'kh' : m[3], n: parseInt(m[4], 10) };
+    }
+    if (m[5]) {
+      if (keep) throw new DiceError(`Use either adv/dis or keep/drop, not both: ${source}`);
+      // Advantage: roll one extra die and keep the best ones (2d20kh1 for a single d20)
+      keep = { mode: m[5] === 'adv' ? 'kh' : 'kl', n: count };
+      count += 1;
+    }
+
+    if (count < 1 || count > MAX_DICE) throw new DiceError(`Dice count must be between 1 and ${MAX_DICE}`);
+    if (sides < 2 || sides > MAX_SIDES) throw new DiceError(`Dice sides must be between 2 and ${MAX_SIDES}`);
+    if (keep && (keep.n < 1 || keep.n > count)) throw new DiceError(`Cannot keep/drop ${keep.n} of ${count} dice`);
+
+    return { sign, count, sides, keep, source };
+  });
+}
+
+function keptIndexes(rolls, keep) {
+  const order = rolls.map((value, index) => ({ value, index }));
+  const highFirst = [...order].sort((a, b) => b.value - a.value || a.index - b.index);
+  const lowFirst = [...order].sort((a, b) => a.value - b.value || a.index - b.index);
+  let chosen;
+  switch (keep.mode) {
+    case 'kh': chosen = highFirst.slice(0, keep.n); break;
+    case 'kl': chosen = lowFirst.slice(0, keep.n); break;
+    case 'dh': chosen = lowFirst.slice(0, rolls.length - keep.n); break;
+    case 'dl': chosen = highFirst.slice(0, rolls.length - keep.n); break;
+    default: chosen = order;
+  }
+  return new Set(chosen.map(c => c.index));
+}
+
+/**
+ * Rolls a dice expression.
+ * @param {string} expression - e.g. "2d20kh1+5", "d20 adv + 3", "8d6"
+ * @returns {{ expression: string, total: number, terms: Array<Object>, text: string }}
+ *   `text` is a one-line breakdown, e.g. "2d20kh1 [17, (4)] + 5 = 22" (dropped dice in parentheses)
+ * @throws {DiceError}
+ */
+export function rollDice(expression) {
+  const terms = parseDice(expression).map(term => {
+    if (term.value !== undefined) {
+      return { ...term, subtotal: term.sign * term.value };
+    }
+    const rolls = Array.from({ length: term.count }, () => rollDie(term.sides));
+    const kept = term.keep ? keptIndexes(rolls, term.keep) : new Set(rolls.map((_, i) => i));
+    const sum = rolls.reduce((acc, value, i) => acc + (kept.has(i) ? value : 0), 0);
+    return { ...term, rolls, kept: [...kept].sort((a, b) => a - b), subtotal: term.sign * sum };
+  });
+
+  const total = terms.reduce((acc, t) => acc + t.subtotal, 0);
+  const text = terms.map((t, i) => {
+    const sign = t.sign < 0 ? '- ' : (i > 0 ? '+ ' : '');
+    if (t.value !== undefined) return `${sign}${t.value}`;
+    const shown = t.rolls.map((v, idx) => (t.kept.includes(idx) ? String(v) : `(${v})`)).join(', ');
+    return `${sign}${t.source} [${shown}]`;
+  }).join(' ') + ` = ${total}`;
+
+  return { expression: String(expression).trim(), total, terms, text };
+}
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Fetches remote documents and extracts their plain text.
+ * Shared by DocumentService (Settings → Document URLs) and VaultIntegrationService (GM Vault pages).
+ *
+ * Documents are fetched directly when the host allows CORS; otherwise through the
+ * backend function `fetch-document`, which downloads them server-side. A download (both
+ * attempts and the body) has one deadline and can be cancelled by the caller.
+ */
+
+/** Time allowed for one document download, body included */
+export const DOCUMENT_TIMEOUT_MS = 20000;
+
+const PDFJS_URL = 'https://esm.sh/pdfjs-dist@4.0.379';
+const PDFJS_WORKER_URL = 'https://esm.sh/pdfjs-dist@4.0.379/build/pdf.worker.min.mjs';
+
+let pdfjsPromise = null;
+
+function loadPdfJs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import(PDFJS_URL).then(pdfjs => {
+      pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+function detectType(url, contentType) {
+  const type = (contentType || '').toLowerCase();
+  const path = url.toLowerCase().split(/[?#]/)[0];
+  if (type.includes('pdf') || path.endsWith('.pdf')) return 'pdf';
+  if (type.includes('html') || path.endsWith('.html') || path.endsWith('.htm')) return 'html';
+  if (type.includes('markdown') || path.endsWith('.md') || path.endsWith('.markdown')) return 'markdown';
+  return 'text';
+}
+
+function nameFromUrl(url) {
+  try {
+    const { pathname, hostname } = new URL(url);
+    const last = decodeURIComponent(pathname.split('/').filter(Boolean).pop() || '');
+    return last || hostname;
+  } catch {
+    return url;
+  }
+}
+
+async function extractPdf(buffer) {
+  const pdfjs = await loadPdfJs();
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer) }).promise;
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const page = await pdf.getPage(i);
+    const content = await page.getTextContent();
+    // hasEOL marks line ends; keep them so paragraphs survive chunking
+    pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+  }
+  const meta = await pdf.getMetadata().catch(() => null);
+  return { text: pages.join('\n\n'), title: meta?.info?.Title?.trim() || null };
+}
+
+function extractHtml(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style, noscript, nav, header, footer, svg').forEach(n => n.remove());
+  const blocks = doc.body
+    ? [...doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li, td, th, pre, blockquote')]
+        .map(n => n.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+    : [];
+  const text = blocks.length > 0 ? blocks.join('\n\n') : (doc.body?.textContent || '');
+  return { text, title: doc.title?.trim() || null };
+}
+
+function extractMarkdown(md) {
+  const text = md
+    .replace(/```[\s\S]*?```/g, block => block.replace(/```\w*/g, ''))
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/[*_`>]/g, '');
+  const heading = md.match(/^#\s+(.+)$/m);
+  return { text, title: heading ? heading[1].trim() : null };
+}
+
+async function download(url, apiBaseUrl, signal) {
+  try {
+    const res = await fetch(url, { signal });
+    if (res.ok) {
+      return { buffer: await res.arrayBuffer(), contentType: res.headers.get('Content-Type') || '' };
+    }
+  } catch (e) {
+    if (signal.aborted) throw e;
+    // Most likely CORS: retry through the backend
+  }
+
+  const base = (apiBaseUrl || '').replace(/\/+$/, '');
+  if (!base) throw new Error('Document blocked by CORS and no backend URL is configured');
+
+  const res = await fetch(`${base}/.netlify/functions/fetch-document?url=${encodeURIComponent(url)}`, { signal });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Error ${res.status}`);
+  }
+  return { buffer: await res.arrayBuffer(), contentType: res.headers.get('Content-Type') || '' };
+}
+
+/**
+ * Fetches the raw document. Tries the URL directly and falls back to the
+ * backend proxy when the browser blocks it (CORS) or the request fails.
+ * @param {string} url
+ * @param {string} apiBaseUrl - Backend base URL (Netlify site), may be empty
+ * @param {{ signal?: AbortSignal, timeoutMs?: number }} [options] - Cancelling rejects with an AbortError
+ * @returns {Promise<{ buffer: ArrayBuffer, contentType: string }>}
+ */
+export async function fetchDocument(url, apiBaseUrl, { signal, timeoutMs = DOCUMENT_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  try {
+    return await download(url, apiBaseUrl, controller.signal);
+  } catch (e) {
+    if (timedOut) throw new Error(`The document did not download within ${Math.round(timeoutMs / 1000)} s`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Extracts plain text (and a title when the format has one) from a fetched document.
+ * @param {ArrayBuffer} buffer
+ * @param {string} url - Used to guess the type from the extension
+ * @param {string} contentType
+ * @returns {Promise<{ text: string, title: string }>} title falls back to the file name
+ */
+export async function extractDocumentText(buffer, url, contentType) {
+  const type = detectType(url, contentType);
+  let extracted;
+  if (type === 'pdf') {
+    extracted = await extractPdf(buffer);
+  } else {
+    const raw = new TextDecoder().decode(buffer);
+    extracted = type === 'html' ? extractHtml(raw)
+      : type === 'markdown' ? extractMarkdown(raw)
+      : { text: raw, title: null };
+  }
+  return { text: extracted.text, title: extracted.title || nameFromUrl(url) };
+}
+
+/**
+ * Plain text of an HTML fragment (e.g. rich page content sent by GM Vault).
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  return extractHtml(html).text;
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Encounter arithmetic from SRD 5.2 ("Combat Encounters"): XP budget per
+ * character by level and difficulty, XP by Challenge Rating, and a deterministic monster
+ * picker. No randomness and no model involved — the numbers must be reproducible.
+ */
+
+export const DIFFICULTIES = ['low', 'moderate', 'high'];
+
+/** XP budget per character, by level (index 0 = level 1): [low, moderate, high] */
+const XP_BUDGET_PER_CHARACTER = [
+  [50, 75, 100],
+  [100, 150, 200],
+  [150, 225, 400],
+  [250, 375, 500],
+  [500, 750, 1100],
+  [600, 1000, 1400],
+  [750, 1300, 1700],
+  [1000, 1700, 2100],
+  [1300, 2000, 2600],
+  [1600, 2300, 3100],
+  [1900, 2900, 4100],
+  [2200, 3700, 4700],
+  [2600, 4200, 5400],
+  [2900, 4900, 6200],
+  [3300, 5400, 7800],
+  [3800, 6100, 9800],
+  [4500, 7200, 11700],
+  [5000, 8700, 14200],
+  [5500, 10700, 17200],
+  [6400, 13200, 22000]
+];
+
+const XP_BY_CR = {
+  '0': 10, '1/8': 25, '1/4': 50, '1/2': 100,
+  '1': 200, '2': 450, '3': 700, '4': 1100, '5': 1800, '6': 2300, '7': 2900, '8': 3900,
+  '9': 5000, '10': 5900, '11': 7200, '12': 8400, '13': 10000, '14': 11500, '15': 13000,
+  '16': 15000, '17': 18000, '18': 20000, '19': 22000, '20': 25000, '21': 33000, '22': 41000,
+  '23': 50000, '24': 62000, '25': 75000, '26': 90000, '27': 105000, '28': 120000,
+  '29': 135000, '30': 155000
+};
+
+const MAX_GROUP_SIZE = 8;
+
+/**
+ * @param {string|number} cr - e.g. "1/4", "3", 0.5
+ * @returns {number}
+ */
+export function crToNumber(cr) {
+  const str = String(cr).trim();
+  if (str.includes('/')) {
+    const [a, b] = str.split('/').map(Number);
+    return b ? a / b : NaN;
+  }
+  return Number(str);
+}
+
+/**
+ * @param {string|number} cr
+ * @returns {number} XP for that Challenge Rating (0 if unknown)
+ */
+export function crToXp(cr) {
+  return XP_BY_CR[String(cr).trim()] ?? 0;
+}
+
+/**
+ * Reads party levels from free text: "5 5 6 4", "4x5" (four level-5 characters) or "4 at 5".
+ * @param {string} text
+ * @returns {number[]} Levels 1–20 (empty if nothing usable)
+ */
+export function parsePartyLevels(text) {
+  const str = String(text || '').toLowerCase().trim();
+  const repeated = str.match(/^(\d+)\s*(?:x|×|\*|@|at|de)\s*(?:level|nivel|lvl)?\s*(\d+)$/);
+  if (repeated) {
+    const size = Math.min(parseInt(repeated[1], 10), 12);
+    return Array.from({ length: size }, () => parseInt(repeated[2], 10)).filter(l => l >= 1 && l <= 20);
+  }
+  return (str.match(/\d+/g) || []).map(n => parseInt(n, 10)).filter(l => l >= 1 && l <= 20);
+}
+
+/**
+ * Total XP budget of a party for each difficulty.
+ * @param {number[]} levels
+ * @returns {{ low: number, moderate: number, high: number }}
+ */
+export function getXpBudget(levels) {
+  const budget = { low: 0, moderate: 0, high: 0 };
+  levels.forEach(level => {
+    const row = XP_BUDGET_PER_CHARACTER[Math.min(Math.max(level, 1), 20) - 1];
+    DIFFICULTIES.forEach((d, i) => { budget[d] += row[i]; });
+  });
+  return budget;
+}
+
+/**
+ * Which difficulty an XP total corresponds to for a given budget.
+ * @param {number} totalXp
+ * @param {{ low: number, moderate: number, high: number }} budget
+ * @returns {'trivial'|'low'|'moderate'|'high'|'beyond high'}
+ */
+export function rateEncounter(totalXp, budget) {
+  if (totalXp < budget.low / 2) return 'trivial';
+  if (totalXp <= budget.low) return 'low';
+  if (totalXp <= budget.moderate) return 'moderate';
+  if (totalXp <= budget.high) return 'high';
+  return 'beyond high';
+}
+
+/**
+ * Picks one or two monster types and counts whose total XP is as close to the budget
+ * as possible without exceeding it. Ties prefer fewer creatures, then a single monster type,
+ * then the list order.
+ * @param {number} budgetXp
+ * @param {Array<{ name: string, cr: string, xp: number }>} monsters - Candidates
+ * @param {{ maxCreatures?: number }} [options]
+ * @returns {Array<{ monster: Object, count: number }>} Empty if even one creature exceeds the budget
+ */
+export function pickMonsters(budgetXp, monsters, { maxCreatures = MAX_GROUP_SIZE } = {}) {
+  let best = null;
+  const consider = (groups) => {
+    const xp = groups.reduce((acc, g) => acc + g.monster.xp * g.count, 0);
+    const creatures = groups.reduce((acc, g) => acc + g.count, 0);
+    if (xp > budgetXp || creatures > maxCreatures) return;
+    const better = !best || xp > best.xp ||
+      (xp === best.xp && (creatures < best.creatures || (creatures === best.creatures && groups.length < best.groups.length)));
+    if (better) {
+      best = { groups, xp, creatures };
+    }
+  };
+
+  monsters.forEach((a, i) => {
+    for (let n = 1; n <= maxCreatures; n++) {
+      consider([{ monster: a, count: n }]);
+      monsters.slice(i + 1).forEach(b => {
+        for (let m = 1; n + m <= maxCreatures; m++) {
+          consider([{ monster: a, count: n }, { monster: b, count: m }]);
+        }
+      });
+    }
+  });
+
+  return best ? best.groups : [];
+}
+
+/**
+ * Average hit points from an SRD hit point string such as "11 (2d8 + 2)".
+ * @param {string|number} hp
+ * @returns {number|null}
+ */
+export function averageHp(hp) {
+  const n = parseInt(String(hp), 10);
+  return Number.isNaN(n) ? null : n;
+}
@@ -1,31 +1,349 @@
 /**
- * Renderizado mínimo de Markdown a HTML seguro para las respuestas del asistente.
- * Soporta: **negrita**, *cursiva*, saltos de línea, [enlaces](url).
+ * Renderizado de Markdown a HTML seguro para las respuestas del asistente.
+ * Bloques: títulos (#), listas ordenadas y no ordenadas (anidadas por sangría), tablas (GFM),
+ * bloques de código (``` o ~~~), citas (>), separadores (---) y párrafos con saltos de línea.
+ * En línea: **negrita**, *cursiva* (anidables, como en CommonMark), ~~tachado~~, `código` y
+ * [enlaces](url). Las imágenes ![alt](url) se muestran como un enlace con su texto alternativo.
+ * Todo el texto se escapa antes de añadir etiquetas y solo se enlazan URLs http(s) y mailto,
+ * así que el resultado se puede asignar a innerHTML. Un bloque de código sin cerrar llega
+ * hasta el final, para que el streaming no parpadee.
  */
 
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+const PUNCTUATION = /[\p{P}\p{S}]/u;
+
+/**
+ * Carácter alrededor de un delimitador: espacio (también el principio o el final), puntuación u otro.
+ * @param {string|undefined} char
+ */
+function charClass(char) {
+  if (char === undefined || /\s/.test(char)) return 'space';
+  return PUNCTUATION.test(char) ? 'punct' : 'other';
 }
 
 /**
- * Convierte texto con Markdown básico a HTML seguro.
+ * *cursiva* y **negrita** con * o _, anidadas: cada cierre se empareja con la apertura más
+ * cercana del mismo carácter (algoritmo de delimitadores de CommonMark, simplificado), así que
+ * `**negrita *cursiva***` cierra las etiquetas en orden.
+ * @param {string} html - Texto ya escapado
+ * @returns {string}
+ */
+function renderEmphasis(html) {
+  const tokens = [];
+  const runs = /\*+|_+/g;
+  let last = 0;
+  let match;
+  while ((match = runs.exec(html)) !== null) {
+    if (match.index > last) tokens.push({ text: html.slice(last, match.index) });
+    const before = charClass(html[match.index - 1]);
+    const after = charClass(html[match.index + match[0].length]);
+    const leftFlanking = after !== 'space' && (after !== 'punct' || before !== 'other');
+    const rightFlanking = before !== 'space' && (before !== 'punct' || after !== 'other');
+    const char = match[0][0];
+    tokens.push({
+      char,
+      count: match[0].length,
+      length: match[0].length,
+      // _ inside a word (snake_case) neither opens nor closes
+      canOpen: char === '*' ? leftFlanking : leftFlanking && (!rightFlanking || before === 'punct'),
+      canClose: char === '*' ? rightFlanking : rightFlanking && (!leftFlanking || after === 'punct'),
+      open: '',
+      close: ''
+    });
+    last = match.index + match[0].length;
+  }
+  if (last < html.length) tokens.push({ text: html.slice(last) });
+
+  tokens.forEach((closer, i) => {
+    while (closer.char && closer.canClose && closer.count > 0) {
+      let j = i - 1;
+      for (; j >= 0; j--) {
+        const opener = tokens[j];
+        if (opener.char !== closer.char || !opener.canOpen || opener.count === 0) continue;
+        // "Rule of 3": a run that can both open and close only matches if the lengths allow it
+        const bothWays = opener.canClose || closer.canOpen;
+        if (bothWays && (opener.length + closer.length) % 3 === 0 && (opener.length % 3 !== 0 || closer.length % 3 !== 0)) continue;
+        break;
+      }
+      if (j < 0) break;
+      const opener = tokens[j];
+      const used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+      const tag = used === 2 ? 'strong' : 'em';
+      // The delimiters used are the innermost ones: new tags go inside the earlier ones
+      opener.open = `<${tag}>${opener.open}`;
+      closer.close = `${closer.close}</${tag}>`;
+      opener.count -= used;
+      closer.count -= used;
+      // Delimiters between the pair can no longer open anything
+      tokens.slice(j + 1, i).forEach(t => { t.canOpen = false; });
+    }
+  });
+
+  return tokens.map(t => t.text ?? renderRun(t)).join('');
+}
+
+/** Delimiter run: closing tags, the delimiters left as text, then opening tags. */
+function renderRun(token) {
+  return token.close + token.char.repeat(token.count) + token.open;
+}
+
+/**
+ * Formato en línea. El código se aparta antes de escapar para que su contenido no se formatee,
+ * y los enlaces también, para que la cursiva no toque sus URLs.
+ * @param {string} text - Texto sin escapar
+ * @returns {string} HTML seguro
+ */
+function renderInline(text) {
+  const stash = [];
+  const hold = (html) => {
+    stash.push(html);
+    return `\u0000${stash.length - 1}\u0000`;
+  };
+  let html = text.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`));
+  html = escapeHtml(html);
+
+  // ![alt](url) y [texto](url): solo http(s) y mailto; el resto se deja como texto. Las imágenes
+  // no se cargan (podrían rastrear al usuario): se enlazan con su texto alternativo
+  html = html.replace(/(!?)\[([^\]]*)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, (all, image, label, url) => {
+    if (!image && !label) return all;
+    return hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label || url)}</a>`);
+  });
+  html = renderEmphasis(html);
+  // ~~tachado~~
+  html = html.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+  // Links hold code spans stashed before them, so restore until nothing is left
+  while (/\u0000\d+\u0000/.test(html)) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (_, i) => stash[Number(i)]);
+  }
+  return html;
+}
+
+function splitRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-');
+}
+
+function renderTable(lines, start) {
+  const header = splitRow(lines[start]);
+  const aligns = splitRow(lines[start + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return '';
+  });
+  const cellHtml = (tag, text, col) => {
+    const align = aligns[col] ? ` style="text-align:${aligns[col]}"` : '';
+    return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+  };
+
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+    const cells = splitRow(lines[i]);
+    rows.push(`<tr>${header.map((_, col) => cellHtml('td', cells[col] || '', col)).join('')}</tr>`);
+    i++;
+  }
+  const head = `<thead><tr>${header.map((text, col) => cellHtml('th', text, col)).join('')}</tr></thead>`;
+  const body = rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : '';
+  return { html: `<div class="md-table"><table>${head}${body}</table></div>`, next: i };
+}
+
+/**
+ * Lista que empieza en `start`: cada elemento se lleva las líneas más sangradas que su
+ * marcador (sublistas, párrafos de continuación), que se renderizan como bloques.
+ */
+function renderList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+    const contentIndent = baseIndent + match[2].length + 1;
+    const body = [match[3]];
+    i++;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        // A blank line only continues the item if indented content follows
+        if (i + 1 < lines.length && !isBlank(lines[i + 1]) && indentOf(lines[i + 1]) > baseIndent) {
+          body.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) > baseIndent) {
+        body.push(line.slice(Math.min(indentOf(line), contentIndent)));
+        i++;
+        continue;
+      }
+      if (LIST_ITEM.test(line) || startsBlock(lines, i)) break;
+      body.push(line.trim()); // lazy continuation of the item's text
+      i++;
+    }
+    items.push(body);
+    while (i < lines.length && isBlank(lines[i]) && i + 1 < lines.length) {
+      const next = lines[i + 1].match(LIST_ITEM);
+      if (!next || indentOf(next[1]) !== baseIndent) break;
+      i++;
+    }
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+  const html = items.map(body => {
+    const hasBlocks = body.some((l, idx) => idx > 0 && (isBlank(l) || LIST_ITEM.test(l) || startsBlock(body, idx)));
+    return `<li>${hasBlocks ? renderBlocks(body, true) : renderInline(body.join('\n')).replace(/\n/g, '<br>')}</li>`;
+  }).join('');
+  return { html: `<${tag}${startAttr}>${html}</${tag}>`, next: i };
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || isTableStart(lines, i);
+}
+
+/**
+ * @param {string[]} lines
+ * @param {boolean} [tight] - Inside a list item: the first paragraph is not wrapped in <p>
+ * @returns {string}
+ */
+function renderBlocks(lines, tight = false) {
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const marker = fence[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+      const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      out.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      out.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && !isBlank(lines[i]) && (QUOTE.test(lines[i]) || quoted.length > 0 && !startsBlock(lines, i))) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      out.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const table = renderTable(lines, i);
+      out.push(table.html);
+      i = table.next;
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const list = renderList(lines, i);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && !isBlank(lines[i]) && !LIST_ITEM.test(lines[i]) && !startsBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    const html = renderInline(paragraph.join('\n')).replace(/\n/g, '<br>');
+    out.push(tight && out.length === 0 ? html : `<p>${html}</p>`);
+  }
+
+  return out.join('');
+}
+
+/**
+ * Convierte texto con Markdown a HTML seguro.
  * @param {string} text
  * @returns {string} HTML seguro
  */
 export function markdownToHtml(text) {
   if (!text || typeof text !== 'string') return '';
-  let html = escapeHtml(text);
-
-  // **negrita** (evitar doble match en ***)
-  html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-  // *cursiva* (solo si no es **)
-  html = html.replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, '<em>$1</em>');
-  // [texto](url)
-  html = html.replace(/\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-  // Saltos de línea
-  html = html.replace(/\n/g, '<br>');
+  return renderBlocks(text.replace(/\r\n?/g, '\n').replace(/\u0000/g, '').split('\n'));
+}
 
-  return html;
+/**
+ * Quita la sintaxis de Markdown en línea y de títulos (exportar como texto plano).
+ * Listas, citas y tablas se dejan como están, que ya se leen bien en texto.
+ * @param {string} text
+ * @returns {string}
+ */
+export function markdownToPlainText(text) {
+  if (!text || typeof text !== 'string') return '';
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/^ {0,3}(`{3,}|~{3,}).*$/gm, '')
+    .replace(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, '$1')
+    .replace(/!?\[([^\]]*)\]\(([^)\s]+)\)/g, (_, label, url) => label ? `${label} (${url})` : url)
+    .replace(/(\*{1,3}|_{1,2}|~~)(?=\S)([^*_~\n]*?\S)\1/g, '$2')
+    .replace(/`([^`\n]+)`/g, '$1')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
 }
@@ -1,17 +1,67 @@
 /**
  * @fileoverview Builds the system prompt for OpenAI
- * Used by the client when calling OpenAI directly (BYOK mode)
+ * Used by the client when calling OpenAI directly (BYOK mode) and by the chat function.
  */
 
+/** Longest persona kept in the prompt (the room settings store up to this much). */
+export const MAX_PERSONA_CHARS = 1000;
+
+/**
+ * What players may use when the GM has not set a policy (RoleService stores the GM's choice).
+ * The GM always has everything.
+ * - allowChat: ask the assistant at all (SRD lookups with ?name always work)
+ * - allowVault: pages the GM made visible to players in GM Vault (never GM-only pages)
+ * - allowScene: visible tokens on the map (never hidden tokens or monster stats)
+ * - allowDocuments: the document URLs configured in the player's own Settings
+ * - allowDice: the roll_dice tool
+ */
+export const DEFAULT_PLAYER_POLICY = Object.freeze({
+  allowChat: true,
+  allowVault: false,
+  allowScene: false,
+  allowDocuments: true,
+  allowDice: true
+});
+
 /**
- * Builds the complete system prompt including SRD, document URLs, and vault context
+ * Builds the complete system prompt including SRD, document URLs, and vault context.
+ * For `role: 'PLAYER'` the prompt is player-safe: sections the GM has not allowed for
+ * players are dropped here (whatever the caller passed) and no-spoiler rules are added.
  * @param {string} documentUrls - URLs from settings (one per line)
  * @param {string} vaultContext - GM Vault summary text
+ * @param {{ documentContext?: string, srdContext?: string, sceneContext?: string, journalContext?: string, persona?: string, toolsEnabled?: boolean, json?: boolean, role?: string, playerPolicy?: Object }} [context] - Extra prompt sections:
+ *   excerpts retrieved from the documents (DocumentService), verbatim SRD entries (SrdService),
+ *   the tokens on the current Owlbear scene (SceneContextService) and the campaign journal
+ *   (JournalService, never sent for players); `persona`, the GM's instructions on tone and setting
+ *   (room settings), which never override the rules below;
+ *   `toolsEnabled` when the request includes the roll_dice tool; `json` when the answer must be
+ *   a JSON object (stat blocks), which replaces the short-answer rules;
+ *   `role` ('GM' | 'PLAYER', default GM) and `playerPolicy` ({ allowVault, allowScene, allowDocuments, allowDice })
  * @returns {string} Complete system prompt
  */
-export function buildSystemPrompt(documentUrls = '', vaultContext = '') {
+export function buildSystemPrompt(documentUrls = '', vaultContext = '', context = {}) {
+  const isPlayer = context.role === 'PLAYER';
+  const policy = { ...DEFAULT_PLAYER_POLICY, ...(context.playerPolicy || {}) };
+  const allowed = (key) => !isPlayer || policy[key] === true;
+
+  const documentContext = allowed('allowDocuments') ? (context.documentContext || '') : '';
+  const srdContext = context.srdContext || '';
+  const sceneContext = allowed('allowScene') ? (context.sceneContext || '') : '';
+  const journalContext = isPlayer ? '' : (context.journalContext || '');
+  const persona = String(context.persona || '').trim().slice(0, MAX_PERSONA_CHARS);
+  const toolsEnabled = allowed('allowDice') && Boolean(context.toolsEnabled);
+  if (!allowed('allowVault')) vaultContext = '';
+  if (!allowed('allowDocuments')) documentUrls = '';
+
   let prompt = `You are an expert assistant for Dungeons & Dragons 5th edition (D&D 5e). Your knowledge is based on the official SRD 5.2 (Systems Reference Document) under Creative Commons license, available at: https://media.dndbeyond.com/compendium-images/srd/5.2/SP_SRD_CC_v5.2.1.pdf`;
 
+  if (persona) {
+    prompt += `\n\n--- PERSONA AND CAMPAIGN (set by the GM) ---
+Follow these instructions on tone, voice and setting as long as they do not conflict with the rules below.
+${persona}
+---`;
+  }
+
   // Normalize document URLs (support \n and \r\n, trim, remove empty)
   const urlList = typeof documentUrls === 'string'
     ? documentUrls.split(/\r?\n/).map(u => u.trim()).filter(u => u.length > 0)
@@ -19,23 +69,55 @@ export function buildSystemPrompt(documentUrls = '', vaultContext = '') {
 
   if (urlList.length > 0) {
     prompt += `\n\n--- USER'S REFERENCE DOCUMENTS (from Settings) ---
-The user has configured these documents as their reference materials. You MUST treat these as primary sources. When answering, refer to these documents when relevant. Do NOT say you cannot read or access them.
+The user has configured these documents as their reference materials. You MUST treat them as primary sources. You only know their content through the excerpts included below; when an answer depends on them, use those excerpts and name the source. If the excerpts do not cover the question, say the documents do not mention it instead of inventing content.
 
 Document URLs:
 ${urlList.map(u => `- ${u}`).join('\n')}
 ---`;
   }
 
+  if (srdContext) {
+    prompt += srdContext;
+  }
+
+  if (documentContext) {
+    prompt += documentContext;
+  }
+
   if (vaultContext) {
     prompt += vaultContext;
   }
 
-  prompt += `\n\nSTRICT RULES:
+  if (journalContext) {
+    prompt += journalContext;
+  }
+
+  if (sceneContext) {
+    prompt += sceneContext;
+  }
+
+  if (context.json) {
+    prompt += `\n\nOUTPUT FORMAT: reply with a single JSON object exactly as the user's message describes. No prose, no Markdown, no code fence.`;
+  } else {
+    prompt += `\n\nSTRICT RULES:
 - Maximum 2-4 short sentences per answer. Never write paragraphs.
 - No introductions like "Generally...", "It depends...", "You could...". Answer the question directly.
 - No suggestions to "consult your document" unless the user explicitly asks where to look. If you don't know the exact rule, give one concrete option and stop.
-- Base answers on: SRD 5.2, user's document URLs, GM Vault. Do NOT say you cannot read PDFs or documents.
+- Base answers on: SRD 5.2 (the verbatim entries above take precedence over memory), excerpts from the user's documents, GM Vault, the campaign journal. Never make up what a user document says.
 - One skill check suggestion = one line (e.g. "Arcana CD 13" or "Prueba de Arcana CD 13"). No explaining when to use it unless asked.`;
+  }
+
+  if (isPlayer) {
+    prompt += `\n\nPLAYER MODE — you are talking to a PLAYER, not the Game Master:
+- Answer rules questions (conditions, actions, spells the player can cast, equipment) normally.
+- Never reveal monster statistics (AC, hit points, CR, saving throws, damage, resistances, abilities) even if asked; describe creatures only as a character would see them.
+- Never reveal plot secrets, traps, hidden creatures, NPC motives or anything from the GM's notes. If a question needs that, say the GM decides.
+- Do not make rulings that override the GM; present the rule and leave the call to the GM.`;
+  }
+
+  if (toolsEnabled) {
+    prompt += `\n- Never invent dice results: when a roll is needed, call the roll_dice tool and report its result.`;
+  }
 
   return prompt;
 }
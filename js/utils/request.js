@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Shared fetch layer for the chat requests (GM AI server and BYOK providers):
+ * a timeout until the response starts, retries with exponential backoff, cancellation through
+ * the caller's AbortSignal, and, while the browser is offline, waiting for the connection
+ * to come back before sending.
+ * Chat requests are POSTs that cost tokens or a daily message, so a POST is only sent again
+ * when the server refused it (429/503 with a Retry-After) or when the browser reports being
+ * offline after a network error. Any other network error may have come after the server got
+ * the request (a dropped connection), so it is shown instead. GET and HEAD are also retried on
+ * any network error, 408 and gateway errors.
+ */
+
+export const DEFAULT_TIMEOUT_MS = 60000;
+export const DEFAULT_MAX_RETRIES = 3;
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 8000;
+/** A longer Retry-After is not waited for: the error is shown instead */
+const MAX_RETRY_AFTER_MS = 30000;
+/** Retried for any method, only when the server sends Retry-After */
+const RETRY_AFTER_STATUSES = new Set([429, 503]);
+/** Also retried for idempotent methods, with or without Retry-After */
+const IDEMPOTENT_RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD']);
+
+/** Thrown when no response started within the timeout. */
+export class TimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`No answer after ${Math.round(timeoutMs / 1000)} s. The server may be busy; try again.`);
+    this.name = 'TimeoutError';
+  }
+}
+
+function abortError() {
+  return new DOMException('The request was cancelled.', 'AbortError');
+}
+
+/**
+ * Milliseconds the server asked to wait (Retry-After in seconds or as a date, or retry-after-ms).
+ * @param {Headers} headers
+ * @returns {number|null}
+ */
+export function parseRetryAfter(headers) {
+  const ms = Number(headers.get('retry-after-ms'));
+  if (Number.isFinite(ms) && ms > 0) return ms;
+  const value = headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Exponential backoff with jitter: about 1 s, 2 s, 4 s... up to MAX_DELAY_MS. */
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** Servers on this machine (e.g. Ollama) answer without an internet connection. */
+function isLocalUrl(url) {
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Resolves when the browser is back online.
+ * @param {AbortSignal} [signal] - Rejects with an AbortError when it fires
+ */
+export function waitForOnline(signal) {
+  return new Promise((resolve, reject) => {
+    if (!isOffline()) return resolve();
+    if (signal?.aborted) return reject(abortError());
+    const onOnline = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    const onAbort = () => {
+      window.removeEventListener('online', onOnline);
+      reject(abortError());
+    };
+    window.addEventListener('online', onOnline, { once: true });
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * One attempt: fetch aborted by the caller's signal (also while the body is read) or by the
+ * timeout. The timer stops once the response headers arrive, so a long streamed answer is not
+ * cut off. AbortSignal.any() follows the caller's signal without adding a listener to it on
+ * every attempt.
+ */
+async function fetchOnce(url, init, timeoutMs, signal) {
+  const timeout = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    timeout.abort();
+  }, timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal });
+  } catch (e) {
+    if (timedOut) throw new TimeoutError(timeoutMs);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * @typedef {Object} RequestStatus
+ * @property {'offline'|'retrying'} type
+ * @property {number} [attempt] - Retry number (1 = first retry)
+ * @property {number} [delayMs] - Wait before the retry
+ * @property {string} [reason] - Why the last attempt failed
+ */
+
+/**
+ * fetch() with timeout, retries and offline waiting. Returns the last response, ok or not,
+ * so callers keep their own error handling; throws an AbortError when the caller cancels,
+ * a TimeoutError, or the network error of the last attempt.
+ * @param {string} url
+ * @param {RequestInit} init - Without `signal`; pass it in options
+ * @param {{ signal?: AbortSignal, timeoutMs?: number, maxRetries?: number, onStatus?: (status: RequestStatus) => void }} [options]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init, options = {}) {
+  const { signal, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES, onStatus } = options;
+  const local = isLocalUrl(url);
+  const idempotent = IDEMPOTENT_METHODS.has((init?.method || 'GET').toUpperCase());
+
+  for (let attempt = 0; ; attempt++) {
+    if (!local && isOffline()) {
+      onStatus?.({ type: 'offline' });
+      await waitForOnline(signal);
+    }
+
+    let res;
+    let failure;
+    try {
+      res = await fetchOnce(url, init, timeoutMs, signal);
+    } catch (e) {
+      if (signal?.aborted) throw abortError();
+      failure = e;
+    }
+
+    // A timeout is not retried: the user has already waited long enough (and a POST may
+    // already be running on the server). Nor is a POST's network error while online: the
+    // connection may have dropped after the server received it
+    const retryAfter = res ? parseRetryAfter(res.headers) : null;
+    const retryable = failure
+      ? !(failure instanceof TimeoutError) && (idempotent || (!local && isOffline()))
+      : idempotent
+        ? IDEMPOTENT_RETRY_STATUSES.has(res.status)
+        : RETRY_AFTER_STATUSES.has(res.status) && retryAfter !== null;
+    if (!retryable || attempt >= maxRetries || (retryAfter ?? 0) > MAX_RETRY_AFTER_MS) {
+      if (failure) throw failure;
+      return res;
+    }
+
+    let delayMs = retryAfter ?? backoffDelay(attempt);
+    // Free the connection of the response that is being dropped
+    res?.body?.cancel().catch(() => {});
+    const reason = failure
+      ? (failure instanceof TypeError ? 'Connection lost' : (failure.message || 'Connection error'))
+      : (res.status === 429 ? 'Rate limited' : `Error ${res.status}`);
+    console.warn(`[GM AI] Request failed (${reason}); retry ${attempt + 1} in ${Math.round(delayMs)} ms`);
+    // Offline now: the next attempt waits for the connection instead of the backoff
+    if (!(failure && isOffline())) {
+      onStatus?.({ type: 'retrying', attempt: attempt + 1, delayMs, reason });
+      await sleep(delayMs, signal);
+    }
+  }
+}
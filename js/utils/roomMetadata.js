@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Size budget for OBR room metadata. A room keeps at most 16 KB of metadata,
+ * shared by every extension (GM Vault's com.dmscreen/* keys included), so each write measures
+ * what is already stored instead of trusting per-key limits. Each GM AI key also has its own
+ * cap (ROOM_METADATA_CAPS) so one feature cannot take the whole room.
+ */
+
+export const ROOM_METADATA_MAX_BYTES = 16 * 1024;
+/** Left free for other extensions' writes */
+const HEADROOM_BYTES = 1024;
+
+/** Bytes each GM AI key may take (serialized JSON), whatever the room has free. */
+export const ROOM_METADATA_CAPS = {
+  'com.gm-ia/sharedFeed': 4096,
+  'com.gm-ia/journal': 4096,
+  'com.gm-ia/roomConfig': 3072,
+  'com.gm-ia/playerPolicy': 512
+};
+
+const encoder = new TextEncoder();
+
+/** @returns {number} UTF-8 bytes of the value as JSON */
+export function jsonBytes(value) {
+  return encoder.encode(JSON.stringify(value ?? null)).length;
+}
+
+/**
+ * Whether `value` can be stored under `key`: within the key's cap, and the whole room
+ * metadata (other keys as they are now) within the limit.
+ * @param {Object} metadata - Current room metadata
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function fitsInRoom(metadata, key, value) {
+  const cap = ROOM_METADATA_CAPS[key] ?? ROOM_METADATA_MAX_BYTES;
+  if (jsonBytes(value) > cap) return false;
+  return jsonBytes({ ...(metadata || {}), [key]: value }) <= ROOM_METADATA_MAX_BYTES - HEADROOM_BYTES;
+}
+
+/**
+ * The newest items of a list that fit under `key` (oldest dropped first).
+ * @param {Object} metadata - Current room metadata
+ * @param {string} key
+ * @param {Array} items - Oldest first
+ * @returns {Array} Possibly empty
+ */
+export function fitListInRoom(metadata, key, items) {
+  let kept = [...items];
+  while (kept.length > 0 && !fitsInRoom(metadata, key, kept)) kept = kept.slice(1);
+  return kept;
+}
+
+/**
+ * Writes one key if it fits (reads the room metadata first).
+ * @param {Object} obr - OBR SDK instance
+ * @param {string} key
+ * @param {*} value
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function setRoomMetadata(obr, key, value) {
+  try {
+    const metadata = await obr.room.getMetadata();
+    if (!fitsInRoom(metadata, key, value)) {
+      return { ok: false, error: 'The room storage is full (Owlbear Rodeo keeps 16 KB per room, shared with other extensions).' };
+    }
+    await obr.room.setMetadata({ [key]: value });
+    return { ok: true };
+  } catch (e) {
+    console.warn(`[GM AI] Could not write room metadata ${key}`, e);
+    return { ok: false, error: e.message || 'Could not save to the room.' };
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Creature stat blocks returned by the model as JSON: the schema (sent in the
+ * prompt and used to validate the answer), a small validator for the subset of JSON Schema
+ * it uses, parsing of the model's reply and the Markdown form kept in the history.
+ */
+
+import { crToXp } from './encounterMath.js';
+
+export const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+export const SPEED_MODES = ['walk', 'burrow', 'climb', 'fly', 'swim'];
+
+const ABILITY_SCORE = { type: 'integer', minimum: 1, maximum: 30 };
+const BONUS = { type: 'integer', minimum: -5, maximum: 30 };
+const FEATURE = {
+  type: 'object',
+  required: ['name', 'text'],
+  properties: { name: { type: 'string', minLength: 1 }, text: { type: 'string', minLength: 1 } },
+  additionalProperties: false
+};
+const FEATURES = { type: 'array', items: FEATURE };
+const STRINGS = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+/** JSON Schema of a stat block (5e 2024 layout). */
+export const STAT_BLOCK_SCHEMA = {
+  type: 'object',
+  required: ['name', 'size', 'type', 'ac', 'hp', 'speed', 'abilities', 'cr', 'actions'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    size: { type: 'string', enum: ['Tiny', 'Small', 'Medium', 'Large', 'Huge', 'Gargantuan', 'Medium or Small'] },
+    type: { type: 'string', minLength: 1 },
+    alignment: { type: 'string' },
+    ac: { type: 'integer', minimum: 1, maximum: 30 },
+    acNote: { type: 'string' },
+    hp: { type: 'integer', minimum: 1 },
+    hitDice: { type: 'string', pattern: '^\\d+d\\d+( ?[+-] ?\\d+)?$' },
+    speed: {
+      type: 'object',
+      required: ['walk'],
+      properties: Object.fromEntries(SPEED_MODES.map(m => [m, { type: 'integer', minimum: 0 }])),
+      additionalProperties: false
+    },
+    abilities: {
+      type: 'object',
+      required: ABILITIES,
+      properties: Object.fromEntries(ABILITIES.map(a => [a, ABILITY_SCORE])),
+      additionalProperties: false
+    },
+    saves: {
+      type: 'object',
+      properties: Object.fromEntries(ABILITIES.map(a => [a, BONUS])),
+      additionalProperties: false
+    },
+    skills: { type: 'object', additionalProperties: BONUS },
+    vulnerabilities: STRINGS,
+    resistances: STRINGS,
+    immunities: STRINGS,
+    conditionImmunities: STRINGS,
+    senses: { type: 'string' },
+    passivePerception: { type: 'integer', minimum: 0 },
+    languages: { type: 'string' },
+    cr: { type: 'string', pattern: '^(0|1/8|1/4|1/2|[1-9]|[12]\\d|30)$' },
+    traits: FEATURES,
+    actions: { ...FEATURES, minItems: 1 },
+    bonusActions: FEATURES,
+    reactions: FEATURES,
+    legendaryActions: {
+      type: 'object',
+      required: ['actions'],
+      properties: {
+        uses: { type: 'integer', minimum: 1 },
+        description: { type: 'string' },
+        actions: { ...FEATURES, minItems: 1 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+const TYPE_NAMES = {
+  array: 'an array',
+  boolean: 'a boolean',
+  integer: 'an integer',
+  number: 'a number',
+  object: 'an object',
+  string: 'a string'
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates a value against the JSON Schema subset used here (type, enum, required, properties,
+ * additionalProperties, items, minItems, minLength, pattern, minimum, maximum).
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path]
+ * @returns {string[]} One message per problem, e.g. "abilities.str must be at most 30"
+ */
+export function validateSchema(value, schema, path = '') {
+  const at = path || 'value';
+  const actual = typeOf(value);
+  const typeMatches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+  if (schema.type && !typeMatches) return [`${at} must be ${TYPE_NAMES[schema.type]}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  if (actual === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${at} must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} has an invalid format ("${value}")`);
+  }
+  if (actual === 'integer' || actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be at most ${schema.maximum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${at} needs at least ${schema.minItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+  if (actual === 'object') {
+    const prefix = path ? `${path}.` : '';
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${prefix}${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propSchema = schema.properties?.[key];
+      if (propSchema) {
+        errors.push(...validateSchema(item, propSchema, prefix + key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${prefix}${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, prefix + key));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Reads a stat block from the model's reply (bare JSON or inside a ```json fence).
+ * @param {string} text
+ * @returns {{ statBlock: Object|null, errors: string[] }}
+ */
+export function parseStatBlock(text) {
+  const raw = String(text || '').trim();
+  const body = raw.match(/```(?:json)?\s*([\s\S]*?)```/i)?.[1] ?? raw;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end <= start) return { statBlock: null, errors: ['the reply contains no JSON object'] };
+
+  let value;
+  try {
+    value = JSON.parse(body.slice(start, end + 1));
+  } catch (e) {
+    return { statBlock: null, errors: [`the JSON does not parse (${e.message})`] };
+  }
+  const errors = validateSchema(value, STAT_BLOCK_SCHEMA);
+  return errors.length > 0 ? { statBlock: null, errors } : { statBlock: value, errors: [] };
+}
+
+/** @returns {string} e.g. "+3" */
+export function abilityModifier(score) {
+  const mod = Math.floor((score - 10) / 2);
+  return mod >= 0 ? `+${mod}` : String(mod);
+}
+
+/** @returns {string} e.g. "+3" */
+export function signed(n) {
+  return n >= 0 ? `+${n}` : String(n);
+}
+
+/** @returns {number} Proficiency bonus for a Challenge Rating */
+export function proficiencyBonus(cr) {
+  const value = String(cr).includes('/') ? 0 : Number(cr);
+  return Math.max(2, Math.ceil(value / 4) + 1);
+}
+
+/**
+ * The lines of the stat block below the ability scores, as [label, text] pairs.
+ * Shared by the card (ChatPanel) and the Markdown form.
+ * @param {Object} sb - Valid stat block
+ * @returns {Array<[string, string]>}
+ */
+export function statBlockDetails(sb) {
+  const list = (items) => (items && items.length > 0 ? items.join(', ') : '');
+  const senses = [sb.senses, sb.passivePerception !== undefined ? `Passive Perception ${sb.passivePerception}` : '']
+    .filter(Boolean).join('; ');
+  const xp = crToXp(sb.cr);
+  return [
+    ['Saving Throws', Object.entries(sb.saves || {}).map(([a, v]) => `${a.toUpperCase()} ${signed(v)}`).join(', ')],
+    ['Skills', Object.entries(sb.skills || {}).map(([s, v]) => `${s} ${signed(v)}`).join(', ')],
+    ['Vulnerabilities', list(sb.vulnerabilities)],
+    ['Resistances', list(sb.resistances)],
+    ['Immunities', [list(sb.immunities), list(sb.conditionImmunities)].filter(Boolean).join('; ')],
+    ['Senses', senses],
+    ['Languages', sb.languages || '—'],
+    ['CR', `${sb.cr} (XP ${xp.toLocaleString('en-US')}; PB ${signed(proficiencyBonus(sb.cr))})`]
+  ].filter(([, text]) => text);
+}
+
+/** @returns {string} e.g. "30 ft., Fly 60 ft." */
+export function formatSpeed(speed) {
+  return SPEED_MODES
+    .filter(m => speed[m] !== undefined && (m === 'walk' || speed[m] > 0))
+    .map(m => (m === 'walk' ? `${speed[m]} ft.` : `${m[0].toUpperCase()}${m.slice(1)} ${speed[m]} ft.`))
+    .join(', ');
+}
+
+/** Action sections in display order: [title, features, intro]. */
+export function statBlockSections(sb) {
+  const legendary = sb.legendaryActions;
+  return [
+    ['Traits', sb.traits, ''],
+    ['Actions', sb.actions, ''],
+    ['Bonus Actions', sb.bonusActions, ''],
+    ['Reactions', sb.reactions, ''],
+    ['Legendary Actions', legendary?.actions, legendary
+      ? legendary.description || `Legendary Action Uses: ${legendary.uses || 3}. Immediately after another creature's turn, the ${sb.name.toLowerCase()} can expend a use to take one of the following actions.`
+      : '']
+  ].filter(([, features]) => features && features.length > 0);
+}
+
+/**
+ * Markdown form of a stat block (what the model sees in later turns, and "Copy Markdown").
+ * @param {Object} sb - Valid stat block
+ * @returns {string}
+ */
+export function statBlockToMarkdown(sb) {
+  const subtitle = [`${sb.size} ${sb.type}`, sb.alignment].filter(Boolean).join(', ');
+  const lines = [
+    `**${sb.name}**`,
+    `*${subtitle}*`,
+    '',
+    `**AC** ${sb.ac}${sb.acNote ? ` (${sb.acNote})` : ''}`,
+    `**HP** ${sb.hp}${sb.hitDice ? ` (${sb.hitDice})` : ''}`,
+    `**Speed** ${formatSpeed(sb.speed)}`,
+    '',
+    `| ${ABILITIES.map(a => a.toUpperCase()).join(' | ')} |`,
+    `|${ABILITIES.map(() => ':---:').join('|')}|`,
+    `| ${ABILITIES.map(a => `${sb.abilities[a]} (${abilityModifier(sb.abilities[a])})`).join(' | ')} |`,
+    '',
+    ...statBlockDetails(sb).map(([label, text]) => `**${label}** ${text}`)
+  ];
+  for (const [title, features, intro] of statBlockSections(sb)) {
+    lines.push('', `**${title}**`);
+    if (intro) lines.push(intro);
+    features.forEach(f => lines.push(`***${f.name}.*** ${f.text}`));
+  }
+  return lines.join('\n');
+}
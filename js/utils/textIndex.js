@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Small in-memory full-text index (BM25) used to pick the passages
+ * most relevant to a question from user documents.
+ * No dependencies; text is normalized (lowercase, no accents) so Spanish and
+ * English queries match regardless of diacritics.
+ */
+
+const STOPWORDS = new Set([
+  // English
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'with', 'this', 'that', 'from', 'they', 'have',
+  'has', 'was', 'were', 'will', 'can', 'what', 'when', 'where', 'which', 'who', 'how', 'why', 'does', 'did',
+  'into', 'than', 'then', 'them', 'their', 'there', 'these', 'those', 'its', 'our', 'about', 'any', 'all',
+  'one', 'out', 'his', 'her', 'she', 'him', 'also', 'only', 'may', 'each', 'per', 'if', 'of', 'to', 'in',
+  'is', 'it', 'on', 'or', 'as', 'at', 'be', 'by', 'an', 'do', 'me', 'my', 'we', 'so', 'no',
+  // Spanish
+  'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'al', 'que', 'en', 'por', 'para',
+  'con', 'sin', 'se', 'su', 'sus', 'es', 'son', 'lo', 'le', 'les', 'mi', 'tu', 'yo', 'como', 'mas', 'pero',
+  'sobre', 'este', 'esta', 'esto', 'ese', 'esa', 'eso', 'hay', 'muy', 'ya', 'si', 'ha', 'he', 'y', 'o'
+]);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Splits text into normalized search terms.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Splits a long text into overlapping chunks, preferring paragraph boundaries.
+ * @param {string} text
+ * @param {{ size?: number, overlap?: number }} [options] - Sizes in characters
+ * @returns {string[]}
+ */
+export function chunkText(text, { size = 1200, overlap = 200 } = {}) {
+  const paragraphs = String(text || '')
+    .split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (!current) return;
+    chunks.push(current);
+    current = overlap > 0 ? current.slice(-overlap) : '';
+  };
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.length > size) {
+      flush();
+      for (let i = 0; i < paragraph.length; i += size - overlap) {
+        chunks.push(paragraph.slice(i, i + size));
+      }
+      current = '';
+      continue;
+    }
+    if (current && current.length + paragraph.length + 1 > size) flush();
+    current = current ? `${current}\n${paragraph}` : paragraph;
+  }
+  if (current && (chunks.length === 0 || !chunks[chunks.length - 1].endsWith(current))) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+export class TextIndex {
+  constructor() {
+    this._docs = [];
+    this._docFreq = new Map();
+    this._totalLength = 0;
+  }
+
+  get size() {
+    return this._docs.length;
+  }
+
+  /**
+   * Adds a passage to the index.
+   * @param {string} text
+   * @param {Object} [meta] - Returned with search results (e.g. { source, title })
+   */
+  add(text, meta = {}) {
+    const terms = tokenize(text);
+    if (terms.length === 0) return;
+    const freq = new Map();
+    terms.forEach(t => freq.set(t, (freq.get(t) || 0) + 1));
+    freq.forEach((_, t) => this._docFreq.set(t, (this._docFreq.get(t) || 0) + 1));
+    this._docs.push({ text, meta, freq, length: terms.length });
+    this._totalLength += terms.length;
+  }
+
+  /**
+   * Removes every passage whose meta matches the predicate.
+   * @param {(meta: Object) => boolean} predicate
+   */
+  remove(predicate) {
+    const kept = [];
+    this._docs.forEach(doc => {
+      if (predicate(doc.meta)) {
+        doc.freq.forEach((_, t) => {
+          const n = (this._docFreq.get(t) || 1) - 1;
+          if (n > 0) this._docFreq.set(t, n);
+          else this._docFreq.delete(t);
+        });
+        this._totalLength -= doc.length;
+      } else {
+        kept.push(doc);
+      }
+    });
+    this._docs = kept;
+  }
+
+  clear() {
+    this._docs = [];
+    this._docFreq = new Map();
+    this._totalLength = 0;
+  }
+
+  /**
+   * Ranks passages against a query with BM25.
+   * @param {string} query
+   * @param {number} [limit=5]
+   * @returns {Array<{ text: string, meta: Object, score: number }>}
+   */
+  search(query, limit = 5) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this._docs.length === 0) return [];
+
+    const n = this._docs.length;
+    const avgLength = this._totalLength / n;
+    const idf = new Map(terms.map(t => {
+      const df = this._docFreq.get(t) || 0;
+      return [t, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+    }));
+
+    return this._docs
+      .map(doc => {
+        let score = 0;
+        terms.forEach(t => {
+          const tf = doc.freq.get(t);
+          if (!tf) return;
+          score += idf.get(t) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+        });
+        return { text: doc.text, meta: doc.meta, score };
+      })
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
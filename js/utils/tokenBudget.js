@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Token estimates and the context budget for a request.
+ * Counts are approximate (about 4 characters per token for English and Spanish text),
+ * which is close enough to keep a request inside the model's context window without
+ * shipping a tokenizer to the browser.
+ */
+
+import { getModelInfo } from '../providers/models.js';
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Upper bound for the prompt whatever the model allows: a long session should not
+ * send 100k tokens with every question. Older turns are summarized instead.
+ */
+const MAX_PROMPT_TOKENS = 12000;
+/** Fixed part of the system prompt (instructions and rules), kept out of the budget. */
+const BASE_PROMPT_TOKENS = 800;
+
+/**
+ * @param {string} text
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(String(text).length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * @param {Array<{ content?: string|null }>} messages
+ * @returns {number} Approximate token count including per-message overhead
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * @param {string} [model]
+ * @returns {number} Context window of the model in tokens, from the model registry (a conservative default if unknown)
+ */
+export function getContextWindow(model) {
+  return getModelInfo(model).contextWindow;
+}
+
+/**
+ * Tokens available for history and context sections in one request.
+ * @param {string} [model]
+ * @param {number} replyTokens - max_tokens reserved for the answer
+ * @returns {number}
+ */
+export function getPromptBudget(model, replyTokens) {
+  const available = getContextWindow(model) - replyTokens - BASE_PROMPT_TOKENS;
+  return Math.max(1000, Math.min(MAX_PROMPT_TOKENS, available));
+}
+
+/**
+ * Shares a budget between sections in priority order. Each section first gets up to its
+ * `min`, highest priority first; what is left then goes to each section in the same order
+ * until it has everything it asked for.
+ * @param {number} budget
+ * @param {Array<{ name: string, tokens: number, min?: number }>} sections - Highest priority first
+ * @returns {Object<string, number>} Tokens granted per section name
+ */
+export function allocateBudget(budget, sections) {
+  const granted = {};
+  let left = budget;
+  for (const s of sections) {
+    granted[s.name] = Math.min(s.tokens, s.min || 0, left);
+    left -= granted[s.name];
+  }
+  for (const s of sections) {
+    const extra = Math.min(s.tokens - granted[s.name], left);
+    granted[s.name] += extra;
+    left -= extra;
+  }
+  return granted;
+}
+
+/**
+ * Shortens text to about `maxTokens`, cutting at a line break when there is one nearby.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string} The text unchanged if it fits, otherwise trimmed with a note
+ */
+export function fitText(text, maxTokens) {
+  if (!text || estimateTokens(text) <= maxTokens) return text || '';
+  if (maxTokens <= 0) return '';
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  let cut = text.slice(0, maxChars);
+  const lineBreak = cut.lastIndexOf('\n');
+  if (lineBreak > maxChars * 0.6) cut = cut.slice(0, lineBreak);
+  return `${cut.trimEnd()}\n[…trimmed to fit the context window]\n`;
+}
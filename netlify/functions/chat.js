@@ -1,124 +1,175 @@
 /**
- * Netlify Function: OpenAI proxy for D&D chat.
- * Uses OPENAI_API_KEY from environment variables (never expose on client).
+ * Netlify Function: LLM proxy for D&D chat.
+ * The provider is chosen with LLM_PROVIDER (openai, anthropic, ollama, openai-compatible;
+ * default openai), its endpoint with LLM_BASE_URL and its key with the provider's variable
+ * (OPENAI_API_KEY, ANTHROPIC_API_KEY) or LLM_API_KEY. Keys are never exposed on the client.
  * Reference: SRD 5.2 https://media.dndbeyond.com/compendium-images/srd/5.2/SP_SRD_CC_v5.2.1.pdf
+ *
+ * Written as a Functions v2 handler (Request -> Response) so that, when the client
+ * sends `stream: true`, the provider's SSE body can be passed through as it arrives
+ * (the X-LLM-Provider header tells the client how to read it).
+ * The system prompt and the provider adapters are the same modules the client uses (bundled by esbuild);
+ * the model registry (js/providers/models.js) decides the parameters each model accepts.
+ *
+ * Each question counts against the free quota once: the response carries a turn token
+ * (X-GM-AI-Turn) that the client sends back with the follow-up rounds of the same question.
  */
 
-function buildSystemPrompt(documentUrls = '', vaultContext = '') {
-  let prompt = `You are an expert assistant for Dungeons & Dragons 5th edition (D&D 5e). Your knowledge is based on the official SRD 5.2 (Systems Reference Document) under Creative Commons license, available at: https://media.dndbeyond.com/compendium-images/srd/5.2/SP_SRD_CC_v5.2.1.pdf`;
+import { buildSystemPrompt } from '../../js/utils/promptBuilder.js';
+import { getProvider, getModelInfo } from '../../js/providers/index.js';
+import { getUsage, recordMessage, resolveIdentity, startTurn, useFollowUp } from '../lib/quota.js';
+import { getSessionStatus } from '../lib/patreon.js';
 
-  // Normalize document URLs (support \n and \r\n, trim, remove empty)
-  const urlList = typeof documentUrls === 'string'
-    ? documentUrls.split(/\r?\n/).map(u => u.trim()).filter(u => u.length > 0)
-    : Array.isArray(documentUrls) ? documentUrls.map(u => String(u).trim()).filter(u => u) : [];
-
-  if (urlList.length > 0) {
-    prompt += `\n\n--- USER'S REFERENCE DOCUMENTS (from Settings) ---
-The user has configured these documents as their reference materials. You MUST treat these as primary sources. When answering, refer to these documents when relevant. Do NOT say you cannot read or access them.
-
-Document URLs:
-${urlList.map(u => `- ${u}`).join('\n')}
----`;
-  }
-
-  if (vaultContext) {
-    prompt += vaultContext;
-  }
-
-  prompt += `\n\nSTRICT RULES:
-- Maximum 2-4 short sentences per answer. Never write paragraphs.
-- No introductions like "Generally...", "It depends...", "You could...". Answer the question directly.
-- No suggestions to "consult your document" unless the user explicitly asks where to look. If you don't know the exact rule, give one concrete option and stop.
-- Base answers on: SRD 5.2, user's document URLs, GM Vault. Do NOT say you cannot read PDFs or documents.
-- One skill check suggestion = one line (e.g. "Arcana CD 13" or "Prueba de Arcana CD 13"). No explaining when to use it unless asked.`;
-
-  return prompt;
-}
+const DEFAULT_REPLY_TOKENS = 1024;
+const MAX_REPLY_TOKENS = 2048;
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, X-Patreon-Token, X-User-Id',
-  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  'Access-Control-Allow-Headers': 'Content-Type, X-Patreon-Token, X-User-Id, X-GM-AI-Turn',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Expose-Headers': 'X-LLM-Provider, Retry-After, X-GM-AI-Turn'
 };
 
-function jsonResponse(body, statusCode = 200) {
-  return {
-    statusCode,
-    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  };
+function jsonResponse(body, statusCode = 200, extraHeaders = {}) {
+  return new Response(JSON.stringify(body), {
+    status: statusCode,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json', ...extraHeaders }
+  });
 }
 
-exports.handler = async (event, context) => {
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+export default async (req, context) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: CORS_HEADERS });
   }
 
-  if (event.httpMethod !== 'POST') {
+  if (req.method !== 'POST') {
     return jsonResponse({ error: 'Method not allowed' }, 405);
   }
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    return jsonResponse({ error: 'OPENAI_API_KEY not configured on server' }, 500);
+  const provider = getProvider(process.env.LLM_PROVIDER);
+  const baseUrl = process.env.LLM_BASE_URL || provider.defaultBaseUrl;
+  const apiKey = process.env[provider.envKey] || process.env.LLM_API_KEY || '';
+  if (provider.keyRequired && !apiKey) {
+    return jsonResponse({ error: `${provider.envKey} not configured on server` }, 500);
+  }
+  if (!baseUrl) {
+    return jsonResponse({ error: 'LLM_BASE_URL not configured on server' }, 500);
   }
 
   let body;
   try {
-    body = JSON.parse(event.body || '{}');
+    body = JSON.parse((await req.text()) || '{}');
   } catch {
     return jsonResponse({ error: 'Invalid JSON body' }, 400);
   }
 
-  const { messages = [], model = 'gpt-4o-mini', documentUrls = '', vaultContext = '' } = body;
+  const { messages = [], documentUrls = '', vaultContext = '', documentContext = '', srdContext = '', sceneContext = '', journalContext = '', persona = '', role, playerPolicy, stream = false, tools, json = false } = body;
   if (!Array.isArray(messages) || messages.length === 0) {
     return jsonResponse({ error: 'messages array required' }, 400);
   }
+  const fallbackModel = process.env.LLM_MODEL || provider.defaultModel;
+  const model = body.model || fallbackModel;
 
-  const patreonToken = event.headers['x-patreon-token'] || event.headers['X-Patreon-Token'];
-  const isPremium = Boolean(patreonToken && process.env.PATREON_PREMIUM_TOKEN && patreonToken === process.env.PATREON_PREMIUM_TOKEN);
+  const { premium: isPremium } = await getSessionStatus(req.headers.get('x-patreon-token'));
+  const identity = resolveIdentity(req, context);
+  // Every request is a new message unless it carries a valid turn token with rounds left
+  let countsAsMessage = true;
+  try {
+    countsAsMessage = !(await useFollowUp(identity, req.headers.get('x-gm-ai-turn')));
+    if (countsAsMessage) {
+      const usage = await getUsage(identity, isPremium);
+      if (usage.limitReached) {
+        return jsonResponse({ limitReached: true, usedToday: usage.usedToday, dailyLimit: usage.dailyLimit });
+      }
+    }
+  } catch (e) {
+    // Without the count the free quota cannot be enforced: free users wait, premium users go on
+    console.error('Usage store unavailable', e);
+    if (!isPremium) {
+      return jsonResponse({ error: 'Could not check your daily messages right now. Please try again in a moment.' });
+    }
+  }
 
-  const systemPrompt = buildSystemPrompt(documentUrls, vaultContext);
-  const openAiMessages = [
+  const hasTools = Array.isArray(tools) && tools.length > 0 && getModelInfo(model).tools;
+  const systemPrompt = buildSystemPrompt(documentUrls, vaultContext, { documentContext, srdContext, sceneContext, journalContext, persona, toolsEnabled: hasTools, json: Boolean(json), role, playerPolicy });
+  // Longer replies (stat blocks) may ask for more, up to MAX_REPLY_TOKENS
+  const maxTokens = Math.min(MAX_REPLY_TOKENS, Math.max(1, parseInt(body.maxTokens, 10) || DEFAULT_REPLY_TOKENS));
+  // Tool rounds (client-side tools such as roll_dice) carry tool_calls / tool_call_id
+  const chatMessages = [
     { role: 'system', content: systemPrompt },
-    ...messages.map((m) => ({ role: m.role, content: m.content }))
+    ...messages.map((m) => {
+      const msg = { role: m.role, content: m.content ?? null };
+      if (m.tool_calls) msg.tool_calls = m.tool_calls;
+      if (m.tool_call_id) msg.tool_call_id = m.tool_call_id;
+      return msg;
+    })
   ];
 
-  const FALLBACK_MODEL = 'gpt-4o-mini';
-
-  async function callOpenAI(useModel) {
-    const res = await fetch('https://api.openai.com/v1/chat/completions', {
+  async function callProvider(useModel) {
+    // Models that cannot stream answer as JSON, which the client also reads
+    const streaming = Boolean(stream) && getModelInfo(useModel).streaming;
+    const request = provider.buildRequest({
+      baseUrl,
+      apiKey,
+      model: useModel,
+      messages: chatMessages,
+      tools: hasTools ? tools : null,
+      stream: streaming,
+      maxTokens,
+      temperature: 0.7,
+      json: Boolean(json)
+    });
+    const res = await fetch(request.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: useModel,
-        messages: openAiMessages,
-        max_tokens: 1024,
-        temperature: 0.7
-      })
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      // Stop the upstream request if the client goes away (Stop button)
+      signal: req.signal
     });
-    return { res, data: await res.json().catch(() => ({})) };
+    // Streamed bodies are only read on success; errors always come back as JSON
+    const data = (streaming && res.ok) ? null : await res.json().catch(() => ({}));
+    return { res, data, streaming };
   }
 
   try {
-    let { res, data } = await callOpenAI(model);
-    const isModelError = !res.ok && (data.error?.code === 'model_not_found' || data.error?.message?.toLowerCase().includes('model'));
-    if (isModelError && model !== FALLBACK_MODEL) {
-      const fallback = await callOpenAI(FALLBACK_MODEL);
-      res = fallback.res;
-      data = fallback.data;
+    let { res, data, streaming } = await callProvider(model);
+    // Only for a model the provider does not have; parameters come from the registry
+    if (!res.ok && provider.isModelError(res.status, data) && fallbackModel && model !== fallbackModel) {
+      ({ res, data, streaming } = await callProvider(fallbackModel));
+    }
+    if (res.status === 429) {
+      // Passed on with the provider's Retry-After so the client can back off and retry
+      const retryAfter = res.headers.get('retry-after');
+      return jsonResponse({ error: provider.parseError(res.status, data) }, 429, retryAfter ? { 'Retry-After': retryAfter } : {});
     }
     if (!res.ok) {
-      return jsonResponse({
-        error: data.error?.message || data.error?.code || `OpenAI error ${res.status}`
-      }, 200);
+      return jsonResponse({ error: provider.parseError(res.status, data) }, 200);
+    }
+    const turnHeaders = {};
+    if (countsAsMessage) {
+      await recordMessage(identity);
+      const turn = startTurn(identity);
+      if (turn) turnHeaders['X-GM-AI-Turn'] = turn;
+    }
+    if (streaming) {
+      return new Response(res.body, {
+        status: 200,
+        headers: {
+          ...CORS_HEADERS,
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'X-LLM-Provider': provider.id,
+          ...turnHeaders
+        }
+      });
     }
-    return jsonResponse(data);
+    // Same shape for every provider: an OpenAI chat completion
+    const { content, toolCalls } = provider.parseResponse(data);
+    const message = { role: 'assistant', content };
+    if (toolCalls) message.tool_calls = toolCalls;
+    return jsonResponse({ choices: [{ message }] }, 200, turnHeaders);
   } catch (err) {
-    console.error('OpenAI request failed', err);
-    return jsonResponse({ error: err.message || 'OpenAI request failed' }, 200);
+    console.error(`${provider.label} request failed`, err);
+    return jsonResponse({ error: err.message || `${provider.label} request failed` }, 200);
   }
 };
@@ -0,0 +1,213 @@
+/**
+ * Netlify Function: descarga un documento del usuario (PDF, HTML, Markdown, texto)
+ * en el servidor, para las URLs que el navegador no puede leer por CORS.
+ * GET ?url=https://... → cuerpo del documento con su Content-Type original.
+ *
+ * Only public addresses are fetched: the host name is checked, and so is every address it
+ * resolves to, at connection time (a custom DNS lookup), so neither a private IP literal nor a
+ * public name pointing inside the network gets through. Redirects are followed by hand, with
+ * each hop checked the same way. The body is read up to MAX_BYTES and cut off beyond that.
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import net from 'node:net';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS'
+};
+
+// Netlify's synchronous responses are limited to ~6 MB, and binary bodies go out base64-encoded
+const MAX_BYTES = 4 * 1024 * 1024; // 4 MB
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+const ALLOWED_TYPES = ['application/pdf', 'text/html', 'text/markdown', 'text/plain', 'text/x-markdown', 'application/octet-stream'];
+
+function jsonResponse(body, statusCode = 200) {
+  return new Response(JSON.stringify(body), {
+    status: statusCode,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+  });
+}
+
+/** Thrown when a URL, a redirect or a resolved address is not allowed. */
+class BlockedUrlError extends Error {
+  constructor() {
+    super('URL not allowed');
+    this.name = 'BlockedUrlError';
+  }
+}
+
+/** Loopback, private, link-local, shared (CGNAT), benchmarking, multicast and reserved IPv4. */
+function isPrivateIpv4(address) {
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19));
+}
+
+/**
+ * The eight 16-bit groups of a valid IPv6 address (net.isIPv6), "::" and a trailing
+ * dotted IPv4 part expanded.
+ * @returns {number[]}
+ */
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const split = text.split('::');
+  const head = split[0] ? split[0].split(':') : [];
+  const tail = split.length > 1 && split[1] ? split[1].split(':') : [];
+  const zeros = Array(8 - head.length - tail.length).fill('0');
+  return [...head, ...zeros, ...tail].map(group => parseInt(group, 16));
+}
+
+function isPrivateIpv6(address) {
+  const g = ipv6Groups(address);
+  const embeddedIpv4 = () => `${g[6] >> 8}.${g[6] & 255}.${g[7] >> 8}.${g[7] & 255}`;
+  // :: and ::1, and the deprecated IPv4-compatible ::a.b.c.d
+  if (g.slice(0, 6).every(x => x === 0)) return true;
+  // IPv4-mapped ::ffff:a.b.c.d and NAT64 64:ff9b::a.b.c.d reach the embedded IPv4 address
+  if (g.slice(0, 5).every(x => x === 0) && g[5] === 0xffff) return isPrivateIpv4(embeddedIpv4());
+  if (g[0] === 0x64 && g[1] === 0xff9b) return isPrivateIpv4(embeddedIpv4());
+  return (g[0] & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+    (g[0] & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+    (g[0] & 0xff00) === 0xff00; // ff00::/8 multicast
+}
+
+/** @param {string} address - IP literal */
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (version === 4) return isPrivateIpv4(address);
+  if (version === 6) return isPrivateIpv6(address);
+  return true;
+}
+
+/**
+ * Rechaza hosts locales o de red privada para no convertir la función en un proxy interno.
+ * Host names are checked again once resolved (safeLookup).
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return isPrivateAddress(host);
+  return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local');
+}
+
+/** dns.lookup() that refuses names resolving to a private address (checked when connecting). */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new BlockedUrlError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function assertAllowed(url) {
+  if (!['http:', 'https:'].includes(url.protocol) || isPrivateHost(url.hostname)) {
+    throw new BlockedUrlError();
+  }
+}
+
+/**
+ * One GET without following redirects.
+ * @returns {Promise<import('node:http').IncomingMessage>}
+ */
+function get(url, signal) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { lookup: safeLookup, signal, headers: { Accept: ALLOWED_TYPES.join(', ') } }, resolve);
+    req.on('error', reject);
+  });
+}
+
+/** GET following up to MAX_REDIRECTS redirects, each one checked. */
+async function fetchPublic(url, signal) {
+  for (let hop = 0; ; hop++) {
+    assertAllowed(url);
+    const res = await get(url, signal);
+    const location = res.headers.location;
+    if (res.statusCode < 300 || res.statusCode >= 400 || !location) return res;
+    res.resume();
+    if (hop >= MAX_REDIRECTS) throw new Error('Too many redirects');
+    url = new URL(location, url);
+  }
+}
+
+/**
+ * Reads the body, giving up as soon as it passes MAX_BYTES.
+ * @returns {Promise<Buffer|null>} Null if too large
+ */
+async function readBody(res) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > MAX_BYTES) {
+      res.destroy();
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export default async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: CORS_HEADERS });
+  }
+
+  if (req.method !== 'GET') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  let target;
+  try {
+    target = new URL(new URL(req.url).searchParams.get('url') || '');
+  } catch {
+    return jsonResponse({ error: 'A valid url parameter is required' }, 400);
+  }
+
+  try {
+    const res = await fetchPublic(target, AbortSignal.timeout(FETCH_TIMEOUT_MS));
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      return jsonResponse({ error: `Document server returned ${res.statusCode}` }, 502);
+    }
+
+    const contentType = (res.headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+    if (!ALLOWED_TYPES.includes(contentType)) {
+      res.resume();
+      return jsonResponse({ error: `Unsupported document type: ${contentType}` }, 415);
+    }
+
+    const declared = Number(res.headers['content-length'] || 0);
+    const body = declared > MAX_BYTES ? null : await readBody(res);
+    if (!body) {
+      res.destroy();
+      return jsonResponse({ error: 'Document too large (max 4 MB)' }, 413);
+    }
+
+    return new Response(body, {
+      status: 200,
+      headers: { ...CORS_HEADERS, 'Content-Type': contentType, 'Cache-Control': 'public, max-age=300' }
+    });
+  } catch (err) {
+    if (err instanceof BlockedUrlError) return jsonResponse({ error: 'URL not allowed' }, 400);
+    console.error('fetch-document failed', err);
+    const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+    return jsonResponse({ error: timedOut ? 'Document download timed out' : 'Could not download document' }, 502);
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * Netlify Function: Patreon OAuth callback. Exchanges the code, reads the user's membership
+ * of our campaign, stores whether it grants premium and hands a signed session to the plugin.
+ * The result page posts `{ type: 'gm-ia-patreon', token, premium, name }` (or `error`) to the
+ * popup's opener — only to this site's origin, where the plugin is served — and closes.
+ */
+
+import {
+  clearStateCookie,
+  createSession,
+  exchangeCode,
+  fetchIdentity,
+  getRedirectUri,
+  isConfigured,
+  isPremiumMember,
+  isValidState,
+  readStateNonce,
+  saveMembership
+} from '../lib/patreon.js';
+
+/**
+ * @param {string} origin
+ * @param {Object} message
+ * @param {string} [cookie] - Set-Cookie value (clears the login nonce)
+ */
+function resultPage(origin, message, cookie) {
+  // JSON inside <script>: escape "<" so a name cannot close the tag
+  const json = JSON.stringify({ type: 'gm-ia-patreon', ...message }).replace(/</g, '\\u003c');
+  const text = message.error
+    ? 'Patreon login failed. You can close this window.'
+    : (message.premium ? 'Premium unlocked. You can close this window.' : 'Logged in, but no premium pledge was found. You can close this window.');
+  return new Response(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>GM AI · Patreon</title></head>
+<body style="font-family: sans-serif; padding: 2rem;">
+<p>${text}</p>
+<script>
+  (function () {
+    var message = ${json};
+    if (window.opener) {
+      window.opener.postMessage(message, ${JSON.stringify(origin)});
+      setTimeout(function () { window.close(); }, 800);
+    }
+  })();
+</script>
+</body>
+</html>`, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...(cookie ? { 'Set-Cookie': cookie } : {})
+    }
+  });
+}
+
+export default async (req) => {
+  const url = new URL(req.url);
+  const origin = url.origin;
+
+  if (!isConfigured()) {
+    return resultPage(origin, { error: 'Patreon login is not configured on this server.' });
+  }
+  const redirectUri = getRedirectUri(req);
+  // The nonce is single use: cleared whatever the outcome
+  const clearCookie = clearStateCookie(redirectUri);
+  if (url.searchParams.get('error')) {
+    return resultPage(origin, { error: url.searchParams.get('error') }, clearCookie);
+  }
+
+  const code = url.searchParams.get('code');
+  if (!code || !isValidState(url.searchParams.get('state'), readStateNonce(req))) {
+    return resultPage(origin, { error: 'Invalid or expired login request. Please try again.' }, clearCookie);
+  }
+
+  try {
+    const accessToken = await exchangeCode(code, redirectUri);
+    const { userId, name, member } = await fetchIdentity(accessToken);
+    const premium = isPremiumMember(member);
+    await saveMembership(userId, premium);
+    return resultPage(origin, { token: createSession(userId, name), premium, name }, clearCookie);
+  } catch (err) {
+    console.error('Patreon login failed', err);
+    return resultPage(origin, { error: err.message || 'Patreon login failed.' }, clearCookie);
+  }
+};
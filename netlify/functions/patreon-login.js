@@ -0,0 +1,24 @@
+/**
+ * Netlify Function: starts the Patreon login. The plugin opens it in a popup;
+ * it redirects to Patreon's consent page, which comes back to patreon-callback.
+ * The login nonce cookie set here ties the OAuth state to this browser.
+ */
+
+import { getRedirectUri, isConfigured, startLogin } from '../lib/patreon.js';
+
+export default async (req) => {
+  if (req.method !== 'GET') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+  if (!isConfigured()) {
+    return new Response('Patreon login is not configured on this server.', {
+      status: 500,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+  }
+  const { url, cookie } = startLogin(getRedirectUri(req));
+  return new Response(null, {
+    status: 302,
+    headers: { Location: url, 'Set-Cookie': cookie, 'Cache-Control': 'no-store' }
+  });
+};
@@ -0,0 +1,41 @@
+/**
+ * Netlify Function: Patreon webhook (members:create, members:update, members:delete,
+ * members:pledge:*). Keeps the stored membership current so premium ends with the pledge.
+ * Register it in the Patreon developer portal with PATREON_WEBHOOK_SECRET as the secret.
+ */
+
+import { applyWebhook, isValidWebhookSignature } from '../lib/patreon.js';
+
+function jsonResponse(body, statusCode = 200) {
+  return new Response(JSON.stringify(body), {
+    status: statusCode,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+export default async (req) => {
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const rawBody = await req.text();
+  if (!isValidWebhookSignature(rawBody, req.headers.get('x-patreon-signature'))) {
+    return jsonResponse({ error: 'Invalid signature' }, 401);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, 400);
+  }
+
+  try {
+    const result = await applyWebhook(req.headers.get('x-patreon-event') || '', body);
+    return jsonResponse({ ok: true, applied: Boolean(result) });
+  } catch (err) {
+    console.error('Patreon webhook failed', err);
+    // Non-2xx makes Patreon retry the delivery
+    return jsonResponse({ error: 'Could not store membership' }, 500);
+  }
+};
@@ -1,43 +1,49 @@
 /**
- * Netlify Function: devuelve el tier del usuario (free/premium) para freemium Patreon.
- * Si env PATREON_PREMIUM_TOKEN está definido, el token enviado por el cliente se compara con él.
- * Para producción: sustituir por validación real con API de Patreon.
+ * Netlify Function: devuelve el tier del usuario (free/premium) para freemium Patreon
+ * y los mensajes que ha usado hoy, contados en el servidor por chat.js (netlify/lib/quota.js).
+ * El tier sale de la sesión firmada de Patreon (X-Patreon-Token) y de la membresía guardada,
+ * que el webhook de Patreon mantiene al día (netlify/lib/patreon.js).
  */
 
+import { getUsage, resolveIdentity } from '../lib/quota.js';
+import { getSessionStatus } from '../lib/patreon.js';
+
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type, X-Patreon-Token',
+  'Access-Control-Allow-Headers': 'Content-Type, X-Patreon-Token, X-User-Id',
   'Access-Control-Allow-Methods': 'GET, OPTIONS'
 };
 
-const FREE_DAILY_LIMIT = 10;
+function jsonResponse(body, statusCode = 200) {
+  return new Response(JSON.stringify(body), {
+    status: statusCode,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+  });
+}
 
-exports.handler = async (event, context) => {
-  if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+export default async (req, context) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: 200, headers: CORS_HEADERS });
   }
 
-  if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+  if (req.method !== 'GET') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
   }
 
-  const token = event.queryStringParameters?.token || event.headers['x-patreon-token'] || event.headers['X-Patreon-Token'];
-  const premiumSecret = process.env.PATREON_PREMIUM_TOKEN;
-  const isPremium = Boolean(premiumSecret && token && token === premiumSecret);
-
-  const body = {
-    tier: isPremium ? 'premium' : 'free',
-    dailyLimit: FREE_DAILY_LIMIT,
-    usedToday: 0
-  };
+  const session = await getSessionStatus(req.headers.get('x-patreon-token'));
+  let usage;
+  try {
+    usage = await getUsage(resolveIdentity(req, context), session.premium);
+  } catch (e) {
+    console.error('Usage store unavailable', e);
+    return jsonResponse({ error: 'Usage store unavailable' }, 503);
+  }
+  const { usedToday, dailyLimit } = usage;
 
-  return {
-    statusCode: 200,
-    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  };
+  return jsonResponse({
+    tier: session.premium ? 'premium' : 'free',
+    dailyLimit,
+    usedToday,
+    patreon: session.userId ? { loggedIn: true, name: session.name || '' } : { loggedIn: false }
+  });
 };
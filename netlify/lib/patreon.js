@@ -0,0 +1,249 @@
+/**
+ * Patreon OAuth and membership checks for the premium tier.
+ * Login: patreon-login → Patreon consent → patreon-callback, which reads the user's membership
+ * of our campaign (API v2 identity), stores it and issues a signed session (session.js).
+ * patreon-webhook keeps the stored membership up to date, so ending a pledge revokes premium
+ * on the next request even though the session token itself is still valid.
+ * PATREON_BASE_URL points everything at a local stub (scripts/patreon-stub.mjs) for testing.
+ * The OAuth `state` is bound to the browser that started the login: patreon-login sets a random
+ * nonce in an HttpOnly cookie and signs its hash into the state, and the callback only accepts a
+ * state whose nonce matches that cookie (then clears it), so a captured state cannot be replayed
+ * to log someone else into the attacker's Patreon account.
+ * Memberships live in the "gm-ia-patrons" store (Netlify Blobs, see store.js), shared by every
+ * function instance, so a webhook that ends a pledge is seen by all of them.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { getStore } from './store.js';
+import { signToken, verifyToken } from './session.js';
+
+const STORE_NAME = 'gm-ia-patrons';
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const STATE_TTL_SECONDS = 10 * 60;
+const SCOPES = 'identity identity.memberships';
+const STATE_COOKIE = 'gm_ia_patreon_state';
+
+function baseUrl() {
+  return (process.env.PATREON_BASE_URL || 'https://www.patreon.com').replace(/\/+$/, '');
+}
+
+/** Whether the OAuth flow can run (client id/secret, campaign and session secret set). */
+export function isConfigured() {
+  return Boolean(process.env.PATREON_CLIENT_ID && process.env.PATREON_CLIENT_SECRET &&
+    process.env.PATREON_CAMPAIGN_ID && process.env.SESSION_SECRET);
+}
+
+/**
+ * @param {Request} req
+ * @returns {string} PATREON_REDIRECT_URI, or the callback function on this site
+ */
+export function getRedirectUri(req) {
+  return process.env.PATREON_REDIRECT_URI || `${new URL(req.url).origin}/.netlify/functions/patreon-callback`;
+}
+
+function hashNonce(nonce) {
+  return createHash('sha256').update(nonce).digest('base64url');
+}
+
+function stateCookie(redirectUri, value, maxAge) {
+  const { pathname, protocol } = new URL(redirectUri);
+  // Lax: sent on the top-level redirect back from Patreon, not on cross-site subrequests
+  const secure = protocol === 'https:' ? '; Secure' : '';
+  return `${STATE_COOKIE}=${value}; Path=${pathname}; Max-Age=${maxAge}; HttpOnly; SameSite=Lax${secure}`;
+}
+
+/**
+ * Starts a login bound to this browser.
+ * @param {string} redirectUri
+ * @returns {{ url: string, cookie: string }} Patreon consent page (signed short-lived `state`)
+ *   and the Set-Cookie value holding the state's nonce
+ */
+export function startLogin(redirectUri) {
+  const nonce = randomBytes(24).toString('base64url');
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: process.env.PATREON_CLIENT_ID,
+    redirect_uri: redirectUri,
+    scope: SCOPES,
+    state: signToken({ purpose: 'patreon-state', nonce: hashNonce(nonce) }, STATE_TTL_SECONDS)
+  });
+  return {
+    url: `${baseUrl()}/oauth2/authorize?${params}`,
+    cookie: stateCookie(redirectUri, nonce, STATE_TTL_SECONDS)
+  };
+}
+
+/**
+ * @param {Request} req
+ * @returns {string|null} The login nonce cookie of this browser
+ */
+export function readStateNonce(req) {
+  const cookies = (req.headers.get('cookie') || '').split(';').map(c => c.trim());
+  const entry = cookies.find(c => c.startsWith(`${STATE_COOKIE}=`));
+  return entry ? entry.slice(STATE_COOKIE.length + 1) : null;
+}
+
+/**
+ * @param {string} redirectUri
+ * @returns {string} Set-Cookie value that removes the nonce (each login is used once)
+ */
+export function clearStateCookie(redirectUri) {
+  return stateCookie(redirectUri, '', 0);
+}
+
+/**
+ * @param {string|null} state - From the callback query
+ * @param {string|null} nonce - From this browser's cookie (readStateNonce)
+ * @returns {boolean} Signed, unexpired and started by this browser
+ */
+export function isValidState(state, nonce) {
+  const payload = verifyToken(state);
+  if (payload?.purpose !== 'patreon-state' || !nonce || typeof payload.nonce !== 'string') return false;
+  const expected = Buffer.from(payload.nonce);
+  const given = Buffer.from(hashNonce(nonce));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * @param {string} code - From the callback query
+ * @param {string} redirectUri - Same value sent to the consent page
+ * @returns {Promise<string>} Access token
+ */
+export async function exchangeCode(code, redirectUri) {
+  const res = await fetch(`${baseUrl()}/api/oauth2/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      code,
+      grant_type: 'authorization_code',
+      client_id: process.env.PATREON_CLIENT_ID,
+      client_secret: process.env.PATREON_CLIENT_SECRET,
+      redirect_uri: redirectUri
+    })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.access_token) {
+    throw new Error(data.error_description || data.error || `Patreon token error ${res.status}`);
+  }
+  return data.access_token;
+}
+
+/**
+ * Whether a membership (API v2 `member` resource) grants premium: an active patron of our
+ * campaign entitled to one of PATREON_PREMIUM_TIER_IDS or, if that is not set, pledging
+ * at least PATREON_PREMIUM_MIN_CENTS (default: any amount).
+ * @param {{ campaignId?: string, patronStatus?: string, amountCents?: number, tierIds?: string[] }} member
+ * @returns {boolean}
+ */
+export function isPremiumMember(member) {
+  if (!member || member.campaignId !== process.env.PATREON_CAMPAIGN_ID) return false;
+  if (member.patronStatus !== 'active_patron') return false;
+  const tierIds = (process.env.PATREON_PREMIUM_TIER_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (tierIds.length > 0) return (member.tierIds || []).some(id => tierIds.includes(id));
+  const minCents = parseInt(process.env.PATREON_PREMIUM_MIN_CENTS, 10) || 1;
+  return (member.amountCents || 0) >= minCents;
+}
+
+/** Reads a JSON:API `member` resource (identity include or webhook body). */
+function readMember(resource) {
+  const attributes = resource?.attributes || {};
+  const relationships = resource?.relationships || {};
+  return {
+    campaignId: relationships.campaign?.data?.id,
+    userId: relationships.user?.data?.id,
+    patronStatus: attributes.patron_status || null,
+    amountCents: attributes.currently_entitled_amount_cents || 0,
+    tierIds: (relationships.currently_entitled_tiers?.data || []).map(t => t.id)
+  };
+}
+
+/**
+ * The logged-in user and their membership of our campaign.
+ * @param {string} accessToken
+ * @returns {Promise<{ userId: string, name: string, member: Object|null }>}
+ */
+export async function fetchIdentity(accessToken) {
+  const params = new URLSearchParams({
+    include: 'memberships,memberships.campaign,memberships.currently_entitled_tiers',
+    'fields[user]': 'full_name',
+    'fields[member]': 'patron_status,currently_entitled_amount_cents'
+  });
+  const res = await fetch(`${baseUrl()}/api/oauth2/v2/identity?${params}`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.data?.id) {
+    throw new Error(data.errors?.[0]?.detail || `Patreon identity error ${res.status}`);
+  }
+  const member = (data.included || [])
+    .filter(r => r.type === 'member')
+    .map(readMember)
+    .find(m => m.campaignId === process.env.PATREON_CAMPAIGN_ID) || null;
+  return { userId: data.data.id, name: data.data.attributes?.full_name || '', member };
+}
+
+/**
+ * Stores whether a Patreon user is premium (source of truth for every request).
+ * @param {string} userId
+ * @param {boolean} premium
+ */
+export async function saveMembership(userId, premium) {
+  const store = await getStore(STORE_NAME);
+  await store.setJSON(`user/${userId}`, { premium, updatedAt: Date.now() });
+}
+
+/**
+ * @param {string} userId
+ * @param {string} name
+ * @returns {string} Session token for X-Patreon-Token
+ */
+export function createSession(userId, name) {
+  return signToken({ sub: userId, name }, SESSION_TTL_SECONDS);
+}
+
+/**
+ * Premium status of the user behind a session token.
+ * @param {string|null|undefined} token - X-Patreon-Token
+ * @returns {Promise<{ premium: boolean, userId: string|null, name?: string }>}
+ */
+export async function getSessionStatus(token) {
+  const session = token ? verifyToken(token) : null;
+  if (!session?.sub) return { premium: false, userId: null };
+  try {
+    const store = await getStore(STORE_NAME);
+    const membership = await store.get(`user/${session.sub}`);
+    return { premium: membership?.premium === true, userId: session.sub, name: session.name };
+  } catch (e) {
+    console.error('Patreon membership read failed', e);
+    return { premium: false, userId: session.sub, name: session.name };
+  }
+}
+
+/**
+ * Checks X-Patreon-Signature: hex HMAC-MD5 of the raw body with the webhook secret.
+ * @param {string} rawBody
+ * @param {string|null} signature
+ * @returns {boolean}
+ */
+export function isValidWebhookSignature(rawBody, signature) {
+  const secret = process.env.PATREON_WEBHOOK_SECRET;
+  if (!secret || !signature) return false;
+  const expected = Buffer.from(createHmac('md5', secret).update(rawBody).digest('hex'));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * Applies a members:* webhook to the stored membership.
+ * @param {string} event - X-Patreon-Event, e.g. "members:pledge:delete"
+ * @param {Object} body - Parsed webhook body
+ * @returns {Promise<{ userId: string, premium: boolean }|null>} Null if the event was ignored
+ */
+export async function applyWebhook(event, body) {
+  if (!String(event).startsWith('members:') || body?.data?.type !== 'member') return null;
+  const member = readMember(body.data);
+  if (!member.userId || member.campaignId !== process.env.PATREON_CAMPAIGN_ID) return null;
+  const premium = event === 'members:pledge:delete' || event === 'members:delete' ? false : isPremiumMember(member);
+  await saveMembership(member.userId, premium);
+  return { userId: member.userId, premium };
+}
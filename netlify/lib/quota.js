@@ -0,0 +1,141 @@
+/**
+ * Daily message quotas for the free tier, counted on the server.
+ * Counts live in the "gm-ia-usage" store (Netlify Blobs or a local JSON file, see store.js),
+ * so clearing localStorage does not reset them. Each message is counted for the user id
+ * and for the client IP: a new X-User-Id alone is not enough to get a fresh quota.
+ * Shared by chat.js (enforce + count) and tier.js (report).
+ *
+ * The server decides what a message is, not the request body: every request counts unless it
+ * carries a turn token (X-GM-AI-Turn) issued when this user's question was counted. A token
+ * covers a few follow-up rounds of that question (tool results, a stat block repair), and its
+ * uses are counted in the store, so it cannot be replayed for new questions.
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import { getStore } from './store.js';
+import { signToken, verifyToken } from './session.js';
+
+const STORE_NAME = 'gm-ia-usage';
+
+const DEFAULT_DAILY_LIMIT = 10;
+// Several players can share one connection (same house, same table)
+const IP_LIMIT_FACTOR = 5;
+
+const TURN_TTL_SECONDS = 10 * 60;
+/** Tool rounds of one answer (MAX_TOOL_ROUNDS in ApiService) plus a stat block repair */
+const MAX_FOLLOW_UPS = 5;
+
+function readLimit(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function getDailyLimit() {
+  return readLimit(process.env.FREE_DAILY_LIMIT, DEFAULT_DAILY_LIMIT);
+}
+
+function getIpDailyLimit() {
+  return readLimit(process.env.FREE_DAILY_IP_LIMIT, getDailyLimit() * IP_LIMIT_FACTOR);
+}
+
+function hash(value) {
+  return createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Who is asking. The client sends a stable X-User-Id; the IP is only used hashed.
+ * @param {Request} req
+ * @param {Object} [context] - Netlify function context (context.ip)
+ * @returns {{ userKey: string, ipKey: string|null }}
+ */
+export function resolveIdentity(req, context) {
+  const ip = context?.ip || req.headers.get('x-nf-client-connection-ip') ||
+    (req.headers.get('x-forwarded-for') || '').split(',')[0].trim() || null;
+  const userId = (req.headers.get('x-user-id') || '').trim().slice(0, 128);
+  const ipKey = ip ? `ip-${hash(ip)}` : null;
+  return { userKey: userId ? `user-${hash(userId)}` : (ipKey || 'anonymous'), ipKey };
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function readCount(store, key) {
+  const value = await store.get(`${today()}/${key}`);
+  return Number(value?.count) || 0;
+}
+
+/**
+ * Today's usage for an identity and whether it may send another message.
+ * Premium users are never limited (dailyLimit is null).
+ * Throws when the store cannot be read: callers must not let free users through then.
+ * @param {{ userKey: string, ipKey: string|null }} identity
+ * @param {boolean} isPremium
+ * @returns {Promise<{ usedToday: number, dailyLimit: number|null, limitReached: boolean }>}
+ */
+export async function getUsage(identity, isPremium) {
+  const store = await getStore(STORE_NAME);
+  const usedToday = await readCount(store, identity.userKey);
+  if (isPremium) return { usedToday, dailyLimit: null, limitReached: false };
+  const dailyLimit = getDailyLimit();
+  const ipUsed = identity.ipKey && identity.ipKey !== identity.userKey ? await readCount(store, identity.ipKey) : 0;
+  return { usedToday, dailyLimit, limitReached: usedToday >= dailyLimit || ipUsed >= getIpDailyLimit() };
+}
+
+/**
+ * Token for the follow-up rounds of a question that has just been counted.
+ * @param {{ userKey: string }} identity
+ * @returns {string|null} Null without SESSION_SECRET (then every round counts)
+ */
+export function startTurn(identity) {
+  try {
+    return signToken({ purpose: 'turn', sub: identity.userKey, jti: randomUUID() }, TURN_TTL_SECONDS);
+  } catch (e) {
+    console.error(e.message);
+    return null;
+  }
+}
+
+/**
+ * Whether a request is a follow-up round of an already counted question, and if so uses up
+ * one of the token's rounds. Forged, expired, foreign or used-up tokens count as a new message.
+ * @param {{ userKey: string }} identity
+ * @param {string|null} token - X-GM-AI-Turn
+ * @returns {Promise<boolean>}
+ */
+export async function useFollowUp(identity, token) {
+  const turn = token ? verifyToken(token) : null;
+  if (turn?.purpose !== 'turn' || turn.sub !== identity.userKey || !turn.jti) return false;
+  const store = await getStore(STORE_NAME);
+  const key = `${today()}/turn-${turn.jti}`;
+  const used = Number((await store.get(key))?.count) || 0;
+  if (used >= MAX_FOLLOW_UPS) return false;
+  await store.setJSON(key, { count: used + 1, updatedAt: Date.now() });
+  return true;
+}
+
+/**
+ * Counts one message for the user and their IP.
+ * Read-modify-write: two messages sent in the same instant may be counted once.
+ * @param {{ userKey: string, ipKey: string|null }} identity
+ * @returns {Promise<number>} The user's new count for today
+ */
+export async function recordMessage(identity) {
+  try {
+    const store = await getStore(STORE_NAME);
+    const keys = [identity.userKey];
+    if (identity.ipKey && identity.ipKey !== identity.userKey) keys.push(identity.ipKey);
+    let userCount = 0;
+    for (const key of keys) {
+      const count = (await readCount(store, key)) + 1;
+      await store.setJSON(`${today()}/${key}`, { count, updatedAt: Date.now() });
+      if (key === identity.userKey) userCount = count;
+    }
+    // Counters of previous days are not needed any more
+    await store.prune(key => key.startsWith(`${today()}/`));
+    return userCount;
+  } catch (e) {
+    console.error('Usage store write failed', e);
+    return 0;
+  }
+}
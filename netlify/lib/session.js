@@ -0,0 +1,53 @@
+/**
+ * Signed, stateless tokens: `base64url(JSON payload).base64url(HMAC-SHA256)` with SESSION_SECRET.
+ * Used for the Patreon session the plugin stores (X-Patreon-Token), the OAuth `state` and the
+ * quota turn tokens (X-GM-AI-Turn).
+ * A valid signature only proves who the user is; premium status is checked again
+ * against the stored membership (patreon.js), so a webhook can revoke it.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret || secret.length < 16) {
+    throw new Error('SESSION_SECRET not configured on server (min. 16 characters)');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * @param {Object} payload - Claims; `iat` and `exp` (seconds) are added
+ * @param {number} ttlSeconds
+ * @returns {string}
+ */
+export function signToken(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const data = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds })).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * @param {string|null|undefined} token
+ * @returns {Object|null} The payload, or null if malformed, tampered with or expired
+ */
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+  try {
+    const expected = Buffer.from(sign(data));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch (e) {
+    if (e.message?.startsWith('SESSION_SECRET')) console.error(e.message);
+    return null;
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Small key/value store for the functions: Netlify Blobs (strong consistency, shared by every
+ * function instance) in production, a JSON file under `netlify dev` or with GM_IA_STORE_DIR.
+ * Values are JSON objects. Used for usage counts (quota.js) and Patreon memberships (patreon.js).
+ * There is no silent fallback: if Blobs cannot be used, reads and writes throw.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { getStore as getBlobStore } from '@netlify/blobs';
+
+/**
+ * @typedef {Object} JsonStore
+ * @property {(key: string) => Promise<Object|null>} get
+ * @property {(key: string, value: Object) => Promise<void>} setJSON
+ * @property {(keep: (key: string) => boolean) => Promise<void>} prune - Drops keys (file store only; Blobs keeps everything)
+ */
+
+/** @returns {string|null} Folder for the file store, or null to use Blobs */
+function storeDir() {
+  if (process.env.GM_IA_STORE_DIR) return process.env.GM_IA_STORE_DIR;
+  return process.env.NETLIFY_DEV ? path.join(process.cwd(), '.netlify', 'gm-ia') : null;
+}
+
+/** @returns {JsonStore} */
+function createFileStore(file) {
+  const load = async () => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return {};
+    }
+  };
+  const save = async (data) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data));
+  };
+  return {
+    async get(key) {
+      return (await load())[key] ?? null;
+    },
+    async setJSON(key, value) {
+      const data = await load();
+      data[key] = value;
+      await save(data);
+    },
+    async prune(keep) {
+      const data = await load();
+      Object.keys(data).forEach(k => {
+        if (!keep(k)) delete data[k];
+      });
+      await save(data);
+    }
+  };
+}
+
+const stores = new Map();
+
+/**
+ * @param {string} name - Blobs store name (also the file name)
+ * @returns {Promise<JsonStore>}
+ */
+export async function getStore(name) {
+  if (!stores.has(name)) {
+    const dir = storeDir();
+    if (dir) {
+      stores.set(name, createFileStore(path.join(dir, `${name}.json`)));
+    } else {
+      const store = getBlobStore({ name, consistency: 'strong' });
+      stores.set(name, {
+        get: (key) => store.get(key, { type: 'json' }),
+        setJSON: (key, value) => store.setJSON(key, value),
+        prune: async () => {}
+      });
+    }
+  }
+  return stores.get(name);
+}
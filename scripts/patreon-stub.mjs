@@ -0,0 +1,117 @@
+/**
+ * Local stand-in for the Patreon API, to test the login and webhook functions without Patreon.
+ *
+ *   node scripts/patreon-stub.mjs                    # serves on http://localhost:8787
+ *   PATREON_BASE_URL=http://localhost:8787 netlify dev
+ *
+ * The consent page is skipped: /oauth2/authorize redirects straight back with a code for the
+ * patron named by ?user= (or STUB_USER): "premium" (active, 500 cents, tier "stub-premium"),
+ * "free" (active, 100 cents, tier "stub-basic") or "former" (declined). The campaign id is
+ * PATREON_CAMPAIGN_ID, as in the functions.
+ *
+ * Sending a signed webhook (same PATREON_WEBHOOK_SECRET as the functions):
+ *   node scripts/patreon-stub.mjs webhook members:pledge:delete http://localhost:8888/.netlify/functions/patreon-webhook premium
+ */
+
+import { createHmac } from 'node:crypto';
+import http from 'node:http';
+
+const PORT = Number(process.env.STUB_PORT) || 8787;
+const CAMPAIGN_ID = process.env.PATREON_CAMPAIGN_ID || 'stub-campaign';
+
+const PATRONS = {
+  premium: { id: '1001', name: 'Premium Patron', status: 'active_patron', cents: 500, tier: 'stub-premium' },
+  free: { id: '1002', name: 'Basic Patron', status: 'active_patron', cents: 100, tier: 'stub-basic' },
+  former: { id: '1003', name: 'Former Patron', status: 'former_patron', cents: 0, tier: null }
+};
+
+function memberResource(patron, status = patron.status) {
+  return {
+    type: 'member',
+    id: `member-${patron.id}`,
+    attributes: {
+      patron_status: status,
+      currently_entitled_amount_cents: status === 'active_patron' ? patron.cents : 0
+    },
+    relationships: {
+      campaign: { data: { type: 'campaign', id: CAMPAIGN_ID } },
+      user: { data: { type: 'user', id: patron.id } },
+      currently_entitled_tiers: { data: status === 'active_patron' && patron.tier ? [{ type: 'tier', id: patron.tier }] : [] }
+    }
+  };
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+  });
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'GET' && url.pathname === '/oauth2/authorize') {
+    const user = url.searchParams.get('user') || process.env.STUB_USER || 'premium';
+    const back = new URL(url.searchParams.get('redirect_uri'));
+    back.searchParams.set('code', `stub-code-${user}`);
+    back.searchParams.set('state', url.searchParams.get('state') || '');
+    return send(res, 302, '', { Location: back.toString() });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/oauth2/token') {
+    const params = new URLSearchParams(await readBody(req));
+    const user = (params.get('code') || '').replace(/^stub-code-/, '');
+    if (!PATRONS[user] || params.get('grant_type') !== 'authorization_code') {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+    return send(res, 200, { access_token: `stub-token-${user}`, token_type: 'Bearer', expires_in: 3600 });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/oauth2/v2/identity') {
+    const user = (req.headers.authorization || '').replace(/^Bearer stub-token-/, '');
+    const patron = PATRONS[user];
+    if (!patron) return send(res, 401, { errors: [{ detail: 'Unauthorized' }] });
+    return send(res, 200, {
+      data: { type: 'user', id: patron.id, attributes: { full_name: patron.name } },
+      included: [memberResource(patron)]
+    });
+  }
+
+  return send(res, 404, { errors: [{ detail: 'Not found' }] });
+}
+
+async function sendWebhook(event, target, user = 'premium') {
+  const secret = process.env.PATREON_WEBHOOK_SECRET;
+  const patron = PATRONS[user];
+  if (!secret || !target || !patron) {
+    console.error('Usage: PATREON_WEBHOOK_SECRET=... node scripts/patreon-stub.mjs webhook <event> <url> [premium|free|former]');
+    process.exit(1);
+  }
+  const ended = event === 'members:pledge:delete' || event === 'members:delete';
+  const body = JSON.stringify({ data: memberResource(patron, ended ? 'former_patron' : patron.status) });
+  const res = await fetch(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Patreon-Event': event,
+      'X-Patreon-Signature': createHmac('md5', secret).update(body).digest('hex')
+    },
+    body
+  });
+  console.log(res.status, await res.text());
+}
+
+if (process.argv[2] === 'webhook') {
+  await sendWebhook(process.argv[3], process.argv[4], process.argv[5]);
+} else {
+  http.createServer((req, res) => {
+    handle(req, res).catch((e) => send(res, 500, { errors: [{ detail: e.message }] }));
+  }).listen(PORT, () => console.log(`Patreon stub on http://localhost:${PORT} (campaign ${CAMPAIGN_ID})`));
+}